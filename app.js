@@ -4,7 +4,9 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const path = require('path');
 const bodyParser = require('body-parser');
-const rateLimit = require('./middlewares/rateLimit');
+const { readLimiter, writeLimiter } = require('./middlewares/rateLimit');
+const { listBoards } = require('./config/boards');
+const storage = require('./storage');
 
 // Create Express app
 const app = express();
@@ -16,18 +18,20 @@ app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
 
-// Rate limiting
-app.use(rateLimit);
+// Serve uploaded files when they are stored on local disk; other drivers serve their own
+if (storage.root) {
+  app.use('/uploads', express.static(storage.root));
+}
 
-// Serve static files from uploads directory
-app.use('/uploads', express.static(path.join(__dirname, process.env.UPLOAD_DIRECTORY || 'uploads')));
+// Serve bundled images such as the spoiler thumbnail
+app.use('/assets', express.static(path.join(__dirname, 'assets')));
 
-// API routes
-app.use('/api', require('./routes/api'));
+// API routes, with general read and write budgets per client; posting has its own budgets per board
+app.use('/api', readLimiter, writeLimiter, require('./routes/api'));
 
 // Simple status endpoint
 app.get('/status', (req, res) => {
-  res.json({ status: 'OK', boardName: '/b/', time: new Date() });
+  res.json({ status: 'OK', boards: listBoards().map(board => `/${board.slug}/`), time: new Date() });
 });
 
 // Root path redirects to status
@@ -48,6 +52,10 @@ app.use((err, req, res, next) => {
     return res.status(401).json({ error: 'Invalid or missing authentication' });
   }
   
+  if (err.name === 'ForbiddenError') {
+    return res.status(403).json({ error: err.message });
+  }
+  
   // Default error response
   res.status(err.status || 500).json({
     error: process.env.NODE_ENV === 'production' 
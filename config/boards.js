@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read a whole number from the environment, where 0 is a valid value
+ */
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+// Settings every board inherits unless it overrides them
+const defaults = {
+  description: '',
+  nsfw: false,
+  maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB default
+  maxFiles: envInt('MAX_FILES', 4), // files that can be attached to one post
+  allowedFileTypes: (process.env.ALLOWED_FILE_TYPES || 'image/jpeg,image/png,image/gif,image/webp,video/webm,video/mp4')
+    .split(','),
+  video: {
+    allowAudio: process.env.VIDEO_ALLOW_AUDIO === 'true', // accept videos with a sound track
+    maxDuration: envInt('MAX_VIDEO_DURATION', 120) // longest video in seconds (0 = no limit)
+  },
+  bumpLimit: parseInt(process.env.BUMP_LIMIT) || 300, // replies after which a thread stops bumping
+  imageLimit: parseInt(process.env.IMAGE_LIMIT) || 150, // images after which image replies are refused
+  threadsPerPage: 15,
+  maxPages: 10, // threads past the last page are pruned
+  archive: true, // archive pruned threads instead of deleting them
+  archiveDays: envInt('ARCHIVE_DAYS', 0), // days archived threads are kept before deletion (0 = forever)
+  // Per-IP budgets: at most `max` actions every `windowSeconds`. A max or window of 0 turns a budget off.
+  rateLimits: {
+    thread: { max: 1, windowSeconds: envInt('THREAD_COOLDOWN', 300) },
+    reply: { max: 1, windowSeconds: envInt('REPLY_COOLDOWN', 30) },
+    imageReply: { max: 1, windowSeconds: envInt('IMAGE_REPLY_COOLDOWN', 60) },
+    delete: { max: envInt('DELETE_LIMIT', 10), windowSeconds: 60 },
+    report: { max: envInt('REPORT_LIMIT', 10), windowSeconds: 600 }
+  },
+  duplicateFiles: {
+    thread: true, // refuse files already posted in the same thread
+    boardWindowSeconds: envInt('DUPLICATE_WINDOW', 0), // refuse files posted on the board this recently (0 = off)
+    perceptualDistance: null // also refuse images whose perceptual hashes differ by at most this many bits (null = off)
+  }
+};
+
+// Boards shipped out of the box, used when BOARDS_CONFIG is not set
+const builtinBoards = [
+  { slug: 'b', title: 'Random', nsfw: true },
+  { slug: 'g', title: 'Technology' }
+];
+
+// Slugs that would collide with unscoped API routes
+const reservedSlugs = ['boards', 'board', 'thread', 'threads', 'post', 'posts', 'stats', 'archive', 'admin', 'banned', 'live', 'catalog', 'search'];
+
+/**
+ * Load board definitions from the JSON file named by BOARDS_CONFIG,
+ * falling back to the built-in boards
+ */
+const loadBoards = () => {
+  let definitions = builtinBoards;
+
+  if (process.env.BOARDS_CONFIG) {
+    const configPath = path.resolve(process.env.BOARDS_CONFIG);
+    definitions = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  }
+
+  const boards = new Map();
+
+  definitions.forEach(definition => {
+    if (!definition.slug || !/^[a-z0-9]{1,10}$/.test(definition.slug)) {
+      throw new Error(`Invalid board slug: ${definition.slug}`);
+    }
+    if (reservedSlugs.includes(definition.slug)) {
+      throw new Error(`Board slug is reserved: ${definition.slug}`);
+    }
+
+    boards.set(definition.slug, Object.freeze({
+      slug: definition.slug,
+      title: definition.title || definition.slug,
+      ...defaults,
+      ...definition,
+      // Boards can override single budgets, video rules and duplicate rules
+      rateLimits: { ...defaults.rateLimits, ...definition.rateLimits },
+      video: { ...defaults.video, ...definition.video },
+      duplicateFiles: { ...defaults.duplicateFiles, ...definition.duplicateFiles }
+    }));
+  });
+
+  return boards;
+};
+
+const boards = loadBoards();
+
+// Board used by the legacy unscoped routes (/api/threads, /api/thread/:id, ...)
+const defaultSlug = process.env.DEFAULT_BOARD || 'b';
+
+if (!boards.has(defaultSlug)) {
+  throw new Error(`Default board /${defaultSlug}/ is not configured`);
+}
+
+/**
+ * Get a board by its slug
+ *
+ * @param {string} slug - Board slug, e.g. "b"
+ * @returns {Object|null} Board settings or null if the board doesn't exist
+ */
+exports.getBoard = (slug) => boards.get(slug) || null;
+
+/**
+ * Get the board used by unscoped routes
+ *
+ * @returns {Object} Board settings
+ */
+exports.getDefaultBoard = () => boards.get(defaultSlug);
+
+/**
+ * List all configured boards
+ *
+ * @returns {Object[]} Board settings in configuration order
+ */
+exports.listBoards = () => Array.from(boards.values());
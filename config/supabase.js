@@ -5,8 +5,7 @@ const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_ANON_KEY;
 
 if (!supabaseUrl || !supabaseKey) {
-  console.error('Missing Supabase environment variables. Make sure SUPABASE_URL and SUPABASE_ANON_KEY are set.');
-  process.exit(1);
+  throw new Error('Missing Supabase environment variables. Make sure SUPABASE_URL and SUPABASE_ANON_KEY are set, or use DB_DRIVER=memory to run without Supabase.');
 }
 
 // Create a single supabase client for interacting with the database
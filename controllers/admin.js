@@ -0,0 +1,407 @@
+const db = require('../db');
+const { getBoard } = require('../config/boards');
+const { login, logout, createStaff, canModerate, publicStaff } = require('../utils/staff');
+const { removeThread, removePost, removeFile } = require('../utils/deletion');
+const { pruneBoard } = require('../utils/pruning');
+const { logAction } = require('../utils/modLog');
+const { closeReports } = require('../utils/reports');
+const { publicRecord } = require('../utils/serialize');
+const { publish } = require('../utils/live');
+const { relinkMovedThread } = require('../utils/quotes');
+
+/**
+ * Load a thread or post, responding with 404/403 when it is missing or
+ * on a board the staff member can't moderate
+ *
+ * @returns {Promise<Object|null>} Row, or null if a response was already sent
+ */
+const loadTarget = async (req, res, table) => {
+  const { data: record, error } = await db
+    .from(table)
+    .select('*')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!record) {
+    res.status(404).json({ error: table === 'threads' ? 'Thread not found' : 'Post not found' });
+    return null;
+  }
+
+  if (!canModerate(req.staff, record.board)) {
+    res.status(403).json({ error: `You cannot moderate /${record.board}/` });
+    return null;
+  }
+
+  return record;
+};
+
+/**
+ * Log in and get a session token
+ */
+exports.login = async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const session = await login(username, password);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    res.json({
+      token: session.token,
+      expires_at: session.expiresAt,
+      staff: publicStaff(session.staff)
+    });
+  } catch (err) {
+    console.error('Error logging in:', err);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+};
+
+/**
+ * End the current session
+ */
+exports.logout = async (req, res) => {
+  try {
+    await logout(req.staffToken);
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    console.error('Error logging out:', err);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+};
+
+/**
+ * Get the logged-in staff member
+ */
+exports.getMe = (req, res) => {
+  res.json({ staff: publicStaff(req.staff) });
+};
+
+/**
+ * Delete any thread
+ */
+exports.deleteThread = async (req, res) => {
+  try {
+    const thread = await loadTarget(req, res, 'threads');
+    if (!thread) return;
+
+    await removeThread(thread);
+    await closeReports(req.staff, 'thread', thread.id, 'resolved');
+    await logAction(req.staff, 'delete_thread', {
+      board: thread.board,
+      targetType: 'thread',
+      targetId: thread.id,
+      details: { reason: req.body.reason || null, subject: thread.subject, comment: thread.comment }
+    });
+
+    res.json({ message: 'Thread deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting thread:', err);
+    res.status(500).json({ error: 'Failed to delete thread' });
+  }
+};
+
+/**
+ * Delete any post
+ */
+exports.deletePost = async (req, res) => {
+  try {
+    const post = await loadTarget(req, res, 'posts');
+    if (!post) return;
+
+    await removePost(post);
+    await closeReports(req.staff, 'post', post.id, 'resolved');
+    await logAction(req.staff, 'delete_post', {
+      board: post.board,
+      targetType: 'post',
+      targetId: post.id,
+      details: { reason: req.body.reason || null, thread_id: post.thread_id, comment: post.comment }
+    });
+
+    res.json({ message: 'Post deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting post:', err);
+    res.status(500).json({ error: 'Failed to delete post' });
+  }
+};
+
+/**
+ * Delete the files attached to a thread or post: one of them when
+ * file_index is given, otherwise all of them
+ */
+const deleteFile = (table, targetType) => async (req, res) => {
+  try {
+    const record = await loadTarget(req, res, table);
+    if (!record) return;
+
+    const { reason, file_index: index } = req.body;
+    const removed = index === null ? record.files : record.files.slice(index, index + 1);
+
+    if (removed.length === 0) {
+      return res.status(400).json({ error: index === null ? `This ${targetType} has no file` : `This ${targetType} has no file ${index}` });
+    }
+
+    await removeFile(table, record, index);
+    await logAction(req.staff, 'delete_file', {
+      board: record.board,
+      targetType,
+      targetId: record.id,
+      details: { reason: reason || null, file_names: removed.map(file => file.file_name) }
+    });
+
+    res.json({ message: removed.length === 1 ? 'File deleted successfully' : 'Files deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting file:', err);
+    res.status(500).json({ error: 'Failed to delete file' });
+  }
+};
+
+exports.deleteThreadFile = deleteFile('threads', 'thread');
+exports.deletePostFile = deleteFile('posts', 'post');
+
+/**
+ * Set or clear a boolean flag on a thread (sticky, locked)
+ */
+const setThreadFlag = (column, value, action) => async (req, res) => {
+  try {
+    const thread = await loadTarget(req, res, 'threads');
+    if (!thread) return;
+
+    const { data, error } = await db
+      .from('threads')
+      .update({ [column]: value })
+      .eq('id', thread.id)
+      .select();
+
+    if (error) throw error;
+
+    publish('update_thread', { board: thread.board, threadId: thread.id }, {
+      id: thread.id,
+      no: thread.no,
+      [column]: value
+    });
+
+    await logAction(req.staff, action, {
+      board: thread.board,
+      targetType: 'thread',
+      targetId: thread.id,
+      details: { reason: req.body.reason || null }
+    });
+
+    res.json({ thread: publicRecord(data[0]) });
+  } catch (err) {
+    console.error(`Error updating thread ${column}:`, err);
+    res.status(500).json({ error: 'Failed to update thread' });
+  }
+};
+
+exports.stickyThread = setThreadFlag('is_sticky', true, 'sticky');
+exports.unstickyThread = setThreadFlag('is_sticky', false, 'unsticky');
+exports.lockThread = setThreadFlag('is_locked', true, 'lock');
+exports.unlockThread = setThreadFlag('is_locked', false, 'unlock');
+
+/**
+ * Move a thread and its replies to another board
+ */
+exports.moveThread = async (req, res) => {
+  try {
+    const thread = await loadTarget(req, res, 'threads');
+    if (!thread) return;
+
+    const target = getBoard(req.body.board);
+    if (!target) {
+      return res.status(400).json({ error: 'Target board not found' });
+    }
+    if (!canModerate(req.staff, target.slug)) {
+      return res.status(403).json({ error: `You cannot moderate /${target.slug}/` });
+    }
+    if (target.slug === thread.board) {
+      return res.status(400).json({ error: `Thread is already on /${target.slug}/` });
+    }
+
+    // Renumbers the thread and its replies on the target board, in one transaction
+    const { data: numbers, error } = await db.rpc('move_thread', {
+      moved_thread_id: thread.id,
+      target_board: target.slug
+    });
+
+    if (error) throw error;
+    if (!numbers) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    await relinkMovedThread(thread.id, target.slug, numbers);
+
+    const { data: moved, error: movedError } = await db
+      .from('threads')
+      .select('*')
+      .eq('id', thread.id)
+      .single();
+
+    if (movedError) throw movedError;
+
+    // Watchers of the old board and the thread learn where it went
+    publish('move_thread', { board: thread.board, threadId: thread.id }, {
+      id: thread.id,
+      from: thread.board,
+      to: target.slug,
+      no: moved.no
+    });
+    publish('thread', { board: target.slug, threadId: thread.id }, { thread: publicRecord(moved) });
+
+    await logAction(req.staff, 'move_thread', {
+      board: thread.board,
+      targetType: 'thread',
+      targetId: thread.id,
+      details: { reason: req.body.reason || null, from: thread.board, to: target.slug, previous_no: thread.no }
+    });
+
+    // The thread may have pushed another one off the target board
+    try {
+      await pruneBoard(target);
+    } catch (e) {
+      console.error('Error pruning board:', e);
+    }
+
+    res.json({ thread: publicRecord(moved) });
+  } catch (err) {
+    console.error('Error moving thread:', err);
+    res.status(500).json({ error: 'Failed to move thread' });
+  }
+};
+
+/**
+ * Query the moderation log (paginated, newest first)
+ */
+exports.getModLog = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const pageSize = parseInt(req.query.pageSize) || 50;
+    const offset = (page - 1) * pageSize;
+    const { board, action, staff, target_id } = req.query;
+
+    let query = db
+      .from('mod_log')
+      .select('*', { count: 'exact' });
+
+    // Board-scoped staff only see their own boards
+    if (req.staff.boards) {
+      query = query.in('board', req.staff.boards);
+    }
+    if (board) query = query.eq('board', board);
+    if (action) query = query.eq('action', action);
+    if (staff) query = query.eq('staff_username', staff);
+    if (target_id) query = query.eq('target_id', target_id);
+
+    const { data: entries, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + pageSize - 1);
+
+    if (error) throw error;
+
+    res.json({
+      entries,
+      pagination: {
+        total: count,
+        page,
+        pageSize,
+        totalPages: Math.ceil(count / pageSize)
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching moderation log:', err);
+    res.status(500).json({ error: 'Failed to fetch moderation log' });
+  }
+};
+
+/**
+ * List staff accounts
+ */
+exports.listStaff = async (req, res) => {
+  try {
+    const { data: staff, error } = await db
+      .from('staff')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({ staff: staff.map(publicStaff) });
+  } catch (err) {
+    console.error('Error fetching staff:', err);
+    res.status(500).json({ error: 'Failed to fetch staff' });
+  }
+};
+
+/**
+ * Create a staff account
+ */
+exports.createStaff = async (req, res) => {
+  try {
+    const { username, password, role, boards } = req.body;
+
+    const { data: existing, error: existingError } = await db
+      .from('staff')
+      .select('id')
+      .eq('username', username)
+      .maybeSingle();
+
+    if (existingError) throw existingError;
+    if (existing) {
+      return res.status(409).json({ error: 'Username is already taken' });
+    }
+
+    const unknownBoards = (boards || []).filter(slug => !getBoard(slug));
+    if (unknownBoards.length > 0) {
+      return res.status(400).json({ error: `Unknown boards: ${unknownBoards.join(', ')}` });
+    }
+
+    const staff = await createStaff({ username, password, role, boards });
+    await logAction(req.staff, 'create_staff', {
+      targetType: 'staff',
+      targetId: staff.id,
+      details: { username, role, boards }
+    });
+
+    res.status(201).json({ staff: publicStaff(staff) });
+  } catch (err) {
+    console.error('Error creating staff:', err);
+    res.status(500).json({ error: 'Failed to create staff account' });
+  }
+};
+
+/**
+ * Delete a staff account and its sessions
+ */
+exports.deleteStaff = async (req, res) => {
+  try {
+    if (req.params.id === req.staff.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    const { data: staff, error } = await db
+      .from('staff')
+      .delete()
+      .eq('id', req.params.id)
+      .select();
+
+    if (error) throw error;
+    if (staff.length === 0) {
+      return res.status(404).json({ error: 'Staff account not found' });
+    }
+
+    await logAction(req.staff, 'delete_staff', {
+      targetType: 'staff',
+      targetId: staff[0].id,
+      details: { username: staff[0].username }
+    });
+
+    res.json({ message: 'Staff account deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting staff:', err);
+    res.status(500).json({ error: 'Failed to delete staff account' });
+  }
+};
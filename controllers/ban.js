@@ -0,0 +1,335 @@
+const net = require('net');
+const db = require('../db');
+const { getBoard } = require('../config/boards');
+const { canModerate } = require('../utils/staff');
+const { logAction } = require('../utils/modLog');
+const {
+  getClientIp,
+  normalizeRange,
+  findActiveBans,
+  isActive,
+  publicBan
+} = require('../utils/bans');
+
+/**
+ * Check whether a staff member may manage a ban on a board (null = global)
+ */
+const canManageBan = (staff, board) => (board ? canModerate(staff, board) : !staff.boards);
+
+/**
+ * Insert a ban and log it
+ */
+const insertBan = async (staff, { ipRange, board, reason, expiresAt, sourceType = null, sourceId = null }) => {
+  const { data, error } = await db
+    .from('bans')
+    .insert([{
+      ip_range: ipRange,
+      board: board || null,
+      reason,
+      expires_at: expiresAt || null,
+      source_type: sourceType,
+      source_id: sourceId,
+      created_by: staff.id,
+      created_by_username: staff.username,
+      created_at: new Date()
+    }])
+    .select();
+
+  if (error) throw error;
+
+  await logAction(staff, 'ban', {
+    board: board || null,
+    targetType: 'ban',
+    targetId: data[0].id,
+    details: { ip_range: ipRange, reason, expires_at: expiresAt || null, source_type: sourceType, source_id: sourceId }
+  });
+
+  return data[0];
+};
+
+/**
+ * Check the requesting client's ban status
+ */
+exports.getBanStatus = async (req, res) => {
+  try {
+    const bans = await findActiveBans(getClientIp(req));
+
+    res.json({
+      banned: bans.length > 0,
+      bans: bans.map(publicBan)
+    });
+  } catch (err) {
+    console.error('Error checking ban status:', err);
+    res.status(500).json({ error: 'Failed to check ban status' });
+  }
+};
+
+/**
+ * Submit the one appeal allowed per ban
+ */
+exports.appealBan = async (req, res) => {
+  try {
+    const { ban_id, appeal } = req.body;
+
+    // Only bans that currently cover the client can be appealed
+    const bans = await findActiveBans(getClientIp(req));
+    const ban = bans.find(item => item.id === ban_id);
+
+    if (!ban) {
+      return res.status(404).json({ error: 'Ban not found' });
+    }
+    if (ban.appeal_text) {
+      return res.status(409).json({ error: 'This ban has already been appealed' });
+    }
+
+    const { data, error } = await db
+      .from('bans')
+      .update({
+        appeal_text: appeal,
+        appeal_status: 'pending',
+        appealed_at: new Date()
+      })
+      .eq('id', ban.id)
+      .select();
+
+    if (error) throw error;
+
+    res.status(201).json({
+      message: 'Appeal submitted successfully',
+      ban: publicBan(data[0])
+    });
+  } catch (err) {
+    console.error('Error submitting appeal:', err);
+    res.status(500).json({ error: 'Failed to submit appeal' });
+  }
+};
+
+/**
+ * Ban an IP address or CIDR range
+ */
+exports.createBan = async (req, res) => {
+  try {
+    const { range, board, reason, expires_at } = req.body;
+
+    const ipRange = normalizeRange(range);
+    if (!ipRange) {
+      return res.status(400).json({ error: 'Invalid IP address or CIDR range' });
+    }
+    if (board && !getBoard(board)) {
+      return res.status(400).json({ error: 'Board not found' });
+    }
+    if (!canManageBan(req.staff, board)) {
+      return res.status(403).json({ error: board ? `You cannot moderate /${board}/` : 'Only global staff can issue global bans' });
+    }
+
+    const ban = await insertBan(req.staff, { ipRange, board, reason, expiresAt: expires_at });
+
+    res.status(201).json({ ban });
+  } catch (err) {
+    console.error('Error creating ban:', err);
+    res.status(500).json({ error: 'Failed to create ban' });
+  }
+};
+
+/**
+ * Ban whoever made a thread or post, optionally widening to their subnet
+ */
+const banPoster = (table, targetType) => async (req, res) => {
+  try {
+    const { global, prefix, reason, expires_at } = req.body;
+
+    const { data: record, error } = await db
+      .from(table)
+      .select('id, board, ip_address')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!record) {
+      return res.status(404).json({ error: table === 'threads' ? 'Thread not found' : 'Post not found' });
+    }
+
+    // The validator allows IPv6 prefixes; IPv4 posters only have 32 bits
+    if (prefix !== undefined && net.isIPv4(record.ip_address || '') && prefix > 32) {
+      return res.status(400).json({ error: 'IPv4 prefixes can be at most 32' });
+    }
+
+    const ipRange = normalizeRange(prefix === undefined ? record.ip_address : `${record.ip_address}/${prefix}`);
+    if (!ipRange) {
+      return res.status(400).json({ error: 'The poster has no usable IP address' });
+    }
+
+    const board = global ? null : record.board;
+    if (!canManageBan(req.staff, board)) {
+      return res.status(403).json({ error: board ? `You cannot moderate /${board}/` : 'Only global staff can issue global bans' });
+    }
+
+    const ban = await insertBan(req.staff, {
+      ipRange,
+      board,
+      reason,
+      expiresAt: expires_at,
+      sourceType: targetType,
+      sourceId: record.id
+    });
+
+    res.status(201).json({ ban });
+  } catch (err) {
+    console.error('Error banning poster:', err);
+    res.status(500).json({ error: 'Failed to ban poster' });
+  }
+};
+
+exports.banThreadPoster = banPoster('threads', 'thread');
+exports.banPostPoster = banPoster('posts', 'post');
+
+/**
+ * List bans (paginated, newest first)
+ *
+ * ?status=active|all and ?appeal=pending|accepted|denied narrow the list
+ */
+exports.listBans = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const pageSize = parseInt(req.query.pageSize) || 50;
+    const offset = (page - 1) * pageSize;
+    const { status = 'active', appeal, board } = req.query;
+
+    let query = db
+      .from('bans')
+      .select('*', { count: 'exact' });
+
+    if (status !== 'all') {
+      query = query
+        .is('lifted_at', null)
+        .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`);
+    }
+    if (req.staff.boards) query = query.in('board', req.staff.boards);
+    if (board) query = query.eq('board', board);
+    if (appeal) query = query.eq('appeal_status', appeal);
+
+    const { data: bans, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + pageSize - 1);
+
+    if (error) throw error;
+
+    res.json({
+      bans,
+      pagination: {
+        total: count,
+        page,
+        pageSize,
+        totalPages: Math.ceil(count / pageSize)
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching bans:', err);
+    res.status(500).json({ error: 'Failed to fetch bans' });
+  }
+};
+
+/**
+ * Load a ban the staff member may manage, or respond with 404/403
+ */
+const loadBan = async (req, res) => {
+  const { data: ban, error } = await db
+    .from('bans')
+    .select('*')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!ban) {
+    res.status(404).json({ error: 'Ban not found' });
+    return null;
+  }
+  if (!canManageBan(req.staff, ban.board)) {
+    res.status(403).json({ error: ban.board ? `You cannot moderate /${ban.board}/` : 'Only global staff can manage global bans' });
+    return null;
+  }
+
+  return ban;
+};
+
+/**
+ * Lift a ban before it expires
+ */
+exports.liftBan = async (req, res) => {
+  try {
+    const ban = await loadBan(req, res);
+    if (!ban) return;
+
+    if (!isActive(ban)) {
+      return res.status(400).json({ error: 'Ban is no longer active' });
+    }
+
+    const { data, error } = await db
+      .from('bans')
+      .update({ lifted_at: new Date(), lifted_by_username: req.staff.username })
+      .eq('id', ban.id)
+      .select();
+
+    if (error) throw error;
+
+    await logAction(req.staff, 'unban', {
+      board: ban.board,
+      targetType: 'ban',
+      targetId: ban.id,
+      details: { reason: req.body.reason || null, ip_range: ban.ip_range }
+    });
+
+    res.json({ ban: data[0] });
+  } catch (err) {
+    console.error('Error lifting ban:', err);
+    res.status(500).json({ error: 'Failed to lift ban' });
+  }
+};
+
+/**
+ * Accept or deny a ban appeal; accepting lifts the ban
+ */
+exports.reviewAppeal = async (req, res) => {
+  try {
+    const ban = await loadBan(req, res);
+    if (!ban) return;
+
+    if (ban.appeal_status !== 'pending') {
+      return res.status(400).json({ error: 'This ban has no pending appeal' });
+    }
+
+    const { decision, note } = req.body;
+    const updates = {
+      appeal_status: decision,
+      appeal_note: note || null,
+      appeal_reviewed_by_username: req.staff.username,
+      appeal_reviewed_at: new Date()
+    };
+
+    if (decision === 'accepted') {
+      updates.lifted_at = new Date();
+      updates.lifted_by_username = req.staff.username;
+    }
+
+    const { data, error } = await db
+      .from('bans')
+      .update(updates)
+      .eq('id', ban.id)
+      .select();
+
+    if (error) throw error;
+
+    await logAction(req.staff, decision === 'accepted' ? 'accept_appeal' : 'deny_appeal', {
+      board: ban.board,
+      targetType: 'ban',
+      targetId: ban.id,
+      details: { note: note || null }
+    });
+
+    res.json({ ban: data[0] });
+  } catch (err) {
+    console.error('Error reviewing appeal:', err);
+    res.status(500).json({ error: 'Failed to review appeal' });
+  }
+};
@@ -0,0 +1,21 @@
+const { getBoard, listBoards } = require('../config/boards');
+
+/**
+ * List all boards with their settings
+ */
+exports.getBoards = (req, res) => {
+  res.json({ boards: listBoards() });
+};
+
+/**
+ * Get a single board's settings
+ */
+exports.getBoard = (req, res) => {
+  const board = getBoard(req.params.board);
+
+  if (!board) {
+    return res.status(404).json({ error: 'Board not found' });
+  }
+
+  res.json({ board });
+};
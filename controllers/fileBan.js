@@ -0,0 +1,191 @@
+const db = require('../db');
+const { canModerate } = require('../utils/staff');
+const { logAction } = require('../utils/modLog');
+const { removeFile } = require('../utils/deletion');
+
+/**
+ * Insert a file ban and log it
+ */
+const insertFileBan = async (staff, { sha256, phash, reason, board = null, sourceType = null, sourceId = null }) => {
+  const { data, error } = await db
+    .from('file_bans')
+    .insert([{
+      sha256,
+      phash: phash || null,
+      reason,
+      source_type: sourceType,
+      source_id: sourceId,
+      created_by: staff.id,
+      created_by_username: staff.username,
+      created_at: new Date()
+    }])
+    .select();
+
+  if (error) throw error;
+
+  await logAction(staff, 'ban_file', {
+    board,
+    targetType: 'file_ban',
+    targetId: data[0].id,
+    details: { sha256, reason, source_type: sourceType, source_id: sourceId }
+  });
+
+  return data[0];
+};
+
+/**
+ * Find an existing ban on a file hash
+ */
+const findBySha256 = async (sha256) => {
+  const { data, error } = await db
+    .from('file_bans')
+    .select('*')
+    .eq('sha256', sha256)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * List banned file hashes (paginated, newest first)
+ */
+exports.listFileBans = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const pageSize = parseInt(req.query.pageSize) || 50;
+    const offset = (page - 1) * pageSize;
+
+    const { data: fileBans, error, count } = await db
+      .from('file_bans')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + pageSize - 1);
+
+    if (error) throw error;
+
+    res.json({
+      file_bans: fileBans,
+      pagination: {
+        total: count,
+        page,
+        pageSize,
+        totalPages: Math.ceil(count / pageSize)
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching file bans:', err);
+    res.status(500).json({ error: 'Failed to fetch file bans' });
+  }
+};
+
+/**
+ * Ban a file by its SHA-256, refusing it on every board
+ */
+exports.createFileBan = async (req, res) => {
+  try {
+    const { sha256, phash, reason } = req.body;
+
+    if (req.staff.boards) {
+      return res.status(403).json({ error: 'Only global staff can ban files by hash' });
+    }
+    if (await findBySha256(sha256)) {
+      return res.status(409).json({ error: 'This file is already banned' });
+    }
+
+    const fileBan = await insertFileBan(req.staff, { sha256, phash, reason });
+
+    res.status(201).json({ file_ban: fileBan });
+  } catch (err) {
+    console.error('Error creating file ban:', err);
+    res.status(500).json({ error: 'Failed to ban file' });
+  }
+};
+
+/**
+ * Ban one of the files attached to a thread or post, removing it from the post by default
+ */
+const banAttachedFile = (table, targetType) => async (req, res) => {
+  try {
+    const { reason, delete_file, file_index: index } = req.body;
+
+    const { data: record, error } = await db
+      .from(table)
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!record) {
+      return res.status(404).json({ error: table === 'threads' ? 'Thread not found' : 'Post not found' });
+    }
+    if (!canModerate(req.staff, record.board)) {
+      return res.status(403).json({ error: `You cannot moderate /${record.board}/` });
+    }
+
+    const file = record.files[index];
+    if (!file || !file.file_sha256) {
+      return res.status(400).json({ error: index === 0 ? `This ${targetType} has no file` : `This ${targetType} has no file ${index}` });
+    }
+
+    const fileBan = await findBySha256(file.file_sha256) || await insertFileBan(req.staff, {
+      sha256: file.file_sha256,
+      phash: file.file_phash,
+      reason,
+      board: record.board,
+      sourceType: targetType,
+      sourceId: record.id
+    });
+
+    if (delete_file) {
+      await removeFile(table, record, index);
+      await logAction(req.staff, 'delete_file', {
+        board: record.board,
+        targetType,
+        targetId: record.id,
+        details: { reason, file_names: [file.file_name] }
+      });
+    }
+
+    res.status(201).json({ file_ban: fileBan, file_deleted: delete_file });
+  } catch (err) {
+    console.error('Error banning file:', err);
+    res.status(500).json({ error: 'Failed to ban file' });
+  }
+};
+
+exports.banThreadFile = banAttachedFile('threads', 'thread');
+exports.banPostFile = banAttachedFile('posts', 'post');
+
+/**
+ * Lift a file ban
+ */
+exports.deleteFileBan = async (req, res) => {
+  try {
+    if (req.staff.boards) {
+      return res.status(403).json({ error: 'Only global staff can lift file bans' });
+    }
+
+    const { data, error } = await db
+      .from('file_bans')
+      .delete()
+      .eq('id', req.params.id)
+      .select();
+
+    if (error) throw error;
+    if (data.length === 0) {
+      return res.status(404).json({ error: 'File ban not found' });
+    }
+
+    await logAction(req.staff, 'unban_file', {
+      targetType: 'file_ban',
+      targetId: data[0].id,
+      details: { reason: req.body.reason || null, sha256: data[0].sha256 }
+    });
+
+    res.json({ message: 'File ban lifted successfully' });
+  } catch (err) {
+    console.error('Error lifting file ban:', err);
+    res.status(500).json({ error: 'Failed to lift file ban' });
+  }
+};
@@ -0,0 +1,156 @@
+const db = require('../db');
+const { subscribe, hasHistoryAfter } = require('../utils/live');
+const { publicRecord } = require('../utils/serialize');
+const { isPostNumber } = require('../utils/postNumbers');
+
+// Comment lines sent to keep idle connections open through proxies
+const HEARTBEAT_INTERVAL = parseInt(process.env.LIVE_HEARTBEAT_MS) || 25000;
+
+/**
+ * Write one Server-Sent Event
+ */
+const writeEvent = (res, { id, type, data }) => {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Turn the response into an event stream delivering matching live events
+ *
+ * Reconnecting clients send Last-Event-ID and get the events they missed.
+ * When those are no longer in the server's history, a "reset" event tells
+ * the client to refetch instead.
+ *
+ * @param {Function} filter - Selects the events for this stream
+ * @param {Object} [options]
+ * @param {boolean} [options.hold=false] - Queue events until the returned release function is called
+ * @returns {Function} Release function, called with a filter for the queued events
+ */
+const openStream = (req, res, filter, { hold = false } = {}) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  let after = parseInt(req.get('Last-Event-ID') || req.query.last_event_id);
+  if (isNaN(after)) {
+    after = null;
+  } else if (!hasHistoryAfter(after)) {
+    writeEvent(res, { type: 'reset', data: {} });
+    after = null;
+  }
+
+  let queue = hold ? [] : null;
+  const unsubscribe = subscribe(filter, (event) => {
+    if (queue) {
+      queue.push(event);
+    } else {
+      writeEvent(res, event);
+    }
+  }, { after });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  return (keep = () => true) => {
+    if (!queue) return;
+    const queued = queue;
+    queue = null;
+    queued.filter(keep).forEach(event => writeEvent(res, event));
+  };
+};
+
+/**
+ * Find the number of the last post a client saw in a thread
+ *
+ * @returns {Promise<number|null>} Post number, or null if the post isn't in the thread
+ */
+const resolveLastSeen = async (ref, thread) => {
+  if (isPostNumber(ref)) return Number(ref);
+  if (ref === thread.id) return thread.no;
+
+  const { data: post, error } = await db
+    .from('posts')
+    .select('no')
+    .eq('id', ref)
+    .eq('thread_id', thread.id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return post ? post.no : null;
+};
+
+/**
+ * Stream live updates for a thread: new posts, deletions and flag changes
+ *
+ * ?last_post=<number or UUID> first sends every reply posted after that post.
+ */
+exports.threadLive = async (req, res) => {
+  try {
+    const { data: thread, error } = await db
+      .from('threads')
+      .select('id, no')
+      .eq('id', req.params.id)
+      .eq('board', req.board.slug)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    let lastNo = null;
+    if (req.query.last_post) {
+      lastNo = await resolveLastSeen(req.query.last_post, thread);
+      if (lastNo === null) {
+        return res.status(400).json({ error: 'last_post is not in this thread' });
+      }
+    }
+
+    // Subscribe before replaying so nothing posted in between is lost, and
+    // hold live events until the replayed posts are written
+    const release = openStream(req, res, event => event.thread_id === thread.id, {
+      hold: lastNo !== null
+    });
+
+    if (lastNo === null) return;
+
+    const { data: posts, error: postsError } = await db
+      .from('posts')
+      .select('*')
+      .eq('thread_id', thread.id)
+      .gt('no', lastNo)
+      .order('no', { ascending: true });
+
+    if (postsError) throw postsError;
+
+    posts.forEach(post => writeEvent(res, {
+      type: 'post',
+      data: { thread_id: thread.id, post: publicRecord(post) }
+    }));
+
+    const replayedNo = posts.length > 0 ? posts[posts.length - 1].no : lastNo;
+    release(event => event.type !== 'post' || event.data.post.no > replayedNo);
+  } catch (err) {
+    console.error('Error streaming thread:', err);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ error: 'Failed to stream thread' });
+  }
+};
+
+/**
+ * Stream live updates for a board index
+ */
+exports.boardLive = (req, res) => {
+  openStream(req, res, event => event.board === req.board.slug);
+};
@@ -0,0 +1,189 @@
+const db = require('../db');
+const { getClientIp } = require('../utils/bans');
+const { canModerate } = require('../utils/staff');
+const { closeReports } = require('../utils/reports');
+const { logAction } = require('../utils/modLog');
+const { publicRecord } = require('../utils/serialize');
+
+/**
+ * Report a thread or post on the current board
+ */
+const report = (table, targetType) => async (req, res) => {
+  try {
+    const { category, note } = req.body;
+    const ipAddress = getClientIp(req);
+
+    const { data: record, error: recordError } = await db
+      .from(table)
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('board', req.board.slug)
+      .maybeSingle();
+
+    if (recordError) throw recordError;
+    if (!record) {
+      return res.status(404).json({ error: table === 'threads' ? 'Thread not found' : 'Post not found' });
+    }
+
+    // One report per IP per thread or post
+    const { data: existing, error: existingError } = await db
+      .from('reports')
+      .select('id')
+      .eq('target_type', targetType)
+      .eq('target_id', record.id)
+      .eq('ip_address', ipAddress)
+      .maybeSingle();
+
+    if (existingError) throw existingError;
+    if (existing) {
+      return res.status(409).json({ error: `You have already reported this ${targetType}` });
+    }
+
+    const { error } = await db
+      .from('reports')
+      .insert([{
+        board: record.board,
+        target_type: targetType,
+        target_id: record.id,
+        thread_id: targetType === 'thread' ? record.id : record.thread_id,
+        category,
+        note: note || null,
+        ip_address: ipAddress,
+        created_at: new Date()
+      }]);
+
+    // A concurrent report from the same IP can get in after the check above
+    if (error && error.code === '23505') {
+      return res.status(409).json({ error: `You have already reported this ${targetType}` });
+    }
+    if (error) throw error;
+
+    res.status(201).json({ message: 'Report submitted successfully' });
+  } catch (err) {
+    console.error('Error submitting report:', err);
+    res.status(500).json({ error: 'Failed to submit report' });
+  }
+};
+
+exports.reportThread = report('threads', 'thread');
+exports.reportPost = report('posts', 'post');
+
+/**
+ * Get the report queue, one entry per reported thread or post, most reported first
+ */
+exports.getReportQueue = async (req, res) => {
+  try {
+    const { status = 'open', board } = req.query;
+
+    let query = db
+      .from('reports')
+      .select('*')
+      .eq('status', status)
+      .order('created_at', { ascending: true });
+
+    if (req.staff.boards) query = query.in('board', req.staff.boards);
+    if (board) query = query.eq('board', board);
+
+    const { data: reports, error } = await query;
+
+    if (error) throw error;
+
+    // Group reports by what they target
+    const groups = new Map();
+    reports.forEach(item => {
+      const key = `${item.target_type}:${item.target_id}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          target_type: item.target_type,
+          target_id: item.target_id,
+          thread_id: item.thread_id,
+          board: item.board,
+          report_count: 0,
+          categories: {},
+          notes: [],
+          first_reported_at: item.created_at,
+          last_reported_at: item.created_at
+        });
+      }
+
+      const group = groups.get(key);
+      group.report_count++;
+      group.categories[item.category] = (group.categories[item.category] || 0) + 1;
+      if (item.note) group.notes.push(item.note);
+      group.last_reported_at = item.created_at;
+    });
+
+    const queue = Array.from(groups.values())
+      .sort((a, b) => b.report_count - a.report_count || (a.first_reported_at < b.first_reported_at ? -1 : 1));
+
+    // Attach the reported content
+    const targets = new Map();
+    for (const [table, targetType] of [['threads', 'thread'], ['posts', 'post']]) {
+      const ids = queue.filter(item => item.target_type === targetType).map(item => item.target_id);
+      if (ids.length === 0) continue;
+
+      const { data: records, error: recordsError } = await db
+        .from(table)
+        .select('*')
+        .in('id', ids);
+
+      if (recordsError) throw recordsError;
+      records.forEach(record => targets.set(`${targetType}:${record.id}`, publicRecord(record)));
+    }
+
+    res.json({
+      reports: queue.map(item => ({
+        ...item,
+        target: targets.get(`${item.target_type}:${item.target_id}`) || null
+      }))
+    });
+  } catch (err) {
+    console.error('Error fetching report queue:', err);
+    res.status(500).json({ error: 'Failed to fetch report queue' });
+  }
+};
+
+/**
+ * Close the open reports on a thread or post
+ */
+const closeQueueEntry = (status) => async (req, res) => {
+  try {
+    const { targetType, targetId } = req.params;
+
+    if (!['thread', 'post'].includes(targetType)) {
+      return res.status(400).json({ error: 'Target type must be thread or post' });
+    }
+
+    const { data: open, error } = await db
+      .from('reports')
+      .select('board')
+      .eq('target_type', targetType)
+      .eq('target_id', targetId)
+      .eq('status', 'open')
+      .limit(1);
+
+    if (error) throw error;
+    if (open.length === 0) {
+      return res.status(404).json({ error: 'No open reports found' });
+    }
+    if (!canModerate(req.staff, open[0].board)) {
+      return res.status(403).json({ error: `You cannot moderate /${open[0].board}/` });
+    }
+
+    const closed = await closeReports(req.staff, targetType, targetId, status);
+    await logAction(req.staff, status === 'resolved' ? 'resolve_reports' : 'dismiss_reports', {
+      board: open[0].board,
+      targetType,
+      targetId,
+      details: { reports: closed.length }
+    });
+
+    res.json({ message: `Reports ${status} successfully`, count: closed.length });
+  } catch (err) {
+    console.error('Error closing reports:', err);
+    res.status(500).json({ error: 'Failed to update reports' });
+  }
+};
+
+exports.resolveReports = closeQueueEntry('resolved');
+exports.dismissReports = closeQueueEntry('dismissed');
@@ -0,0 +1,68 @@
+const db = require('../db');
+const { getBoard } = require('../config/boards');
+const { excerpt } = require('../utils/markup');
+const { withMediaUrls } = require('../utils/serialize');
+
+/**
+ * Search threads and posts (paginated, most relevant first)
+ *
+ * Matches subjects, comments, names, tripcodes and original file names.
+ * ?board, ?from/?to (creation date), ?has_file and ?type=thread|post narrow
+ * the results.
+ */
+exports.search = async (req, res) => {
+  try {
+    const { q, board, from, to, has_file, type, page, pageSize } = req.query;
+    const offset = (page - 1) * pageSize;
+
+    if (board && !getBoard(board)) {
+      return res.status(400).json({ error: 'Board not found' });
+    }
+
+    const filters = {
+      search_query: q,
+      board_filter: board || null,
+      created_after: from ? from.toISOString() : null,
+      created_before: to ? to.toISOString() : null,
+      has_file: has_file === undefined ? null : has_file,
+      post_type: type || null
+    };
+
+    const { data: results, error } = await db.rpc('search_posts', {
+      ...filters,
+      result_limit: pageSize,
+      result_offset: offset
+    });
+
+    if (error) throw error;
+
+    // The total comes with each row, so a page past the end counts from the first
+    let total = results.length > 0 ? Number(results[0].total_count) : 0;
+    if (results.length === 0 && offset > 0) {
+      const { data: first, error: countError } = await db.rpc('search_posts', {
+        ...filters,
+        result_limit: 1,
+        result_offset: 0
+      });
+
+      if (countError) throw countError;
+      total = first.length > 0 ? Number(first[0].total_count) : 0;
+    }
+
+    res.json({
+      results: results.map(({ comment, total_count, ...result }) => ({
+        ...withMediaUrls(result),
+        excerpt: excerpt(comment)
+      })),
+      pagination: {
+        total,
+        page,
+        pageSize,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (err) {
+    console.error('Error searching:', err);
+    res.status(500).json({ error: 'Failed to search' });
+  }
+};
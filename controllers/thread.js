@@ -1,47 +1,194 @@
-const supabase = require('../config/supabase');
-const { generateTripcode, verifyTripcode } = require('../utils/fileUtils');
+const db = require('../db');
+const { generateTripcode, verifyLegacyTripcode } = require('../utils/tripcode');
+const { hashPassword, verifyPassword, generatePassword } = require('../utils/passwords');
+const { publicRecord, withMediaUrls } = require('../utils/serialize');
+const { removeThread, removePost } = require('../utils/deletion');
+const { getClientIp } = require('../utils/bans');
+const { canModerate } = require('../utils/staff');
+const { countOpenReports } = require('../utils/reports');
+const { extractQuotes, renderComment, excerpt } = require('../utils/markup');
+const { resolveQuotes } = require('../utils/quotes');
+const { attachBacklinks, collectReplies } = require('../utils/backlinks');
+const { pruneBoard } = require('../utils/pruning');
+const { parseName, parseOptions } = require('../utils/postOptions');
+const { nextPostNumber, isPostNumber } = require('../utils/postNumbers');
+const { publish } = require('../utils/live');
+const { sendCached } = require('../utils/conditional');
 const { v4: uuidv4 } = require('uuid');
-const fs = require('fs');
-const path = require('path');
+const { removeUploadedFiles, attachmentColumns } = require('../utils/fileUtils');
 
 /**
- * Get all threads (paginated)
+ * Resolve the NSFW flag for a new thread or post, falling back to the board default
+ */
+const resolveNsfw = (isNsfw, board) => {
+  if (isNsfw === undefined || isNsfw === null || isNsfw === '') {
+    return board.nsfw;
+  }
+  return isNsfw === 'true' || isNsfw === true;
+};
+
+/**
+ * Describe an uploaded file as an entry of a row's `files`
+ *
+ * @param {Object} file - Processed multer file
+ * @param {boolean|string} spoiler - Spoiler flag from the form
+ */
+const describeFile = (file, spoiler) => ({
+  file_name: file.originalname,
+  file_path: file.key,
+  file_size: file.size,
+  file_type: file.mimetype,
+  file_width: file.width || null,
+  file_height: file.height || null,
+  file_animated: file.animated,
+  file_duration: file.duration || null,
+  file_has_audio: file.mimetype.startsWith('video/') ? file.hasAudio : null,
+  file_spoiler: spoiler === 'true' || spoiler === true,
+  thumbnail_path: file.thumbnailKey || null,
+  thumbnail_width: file.thumbnailWidth || null,
+  thumbnail_height: file.thumbnailHeight || null,
+  file_sha256: file.sha256,
+  file_phash: file.phash
+});
+
+/**
+ * Attachment columns for a new thread or post
+ *
+ * A single spoiler flag covers every file; a list holds one flag per file.
+ */
+const uploadedFiles = (files, spoiler) => attachmentColumns(
+  files.map((file, index) => describeFile(file, Array.isArray(spoiler) ? spoiler[index] : spoiler))
+);
+
+/**
+ * Render a comment to HTML and resolve the posts it quotes
+ *
+ * @returns {Promise<{ comment_html: string, quotes: string[] }>}
+ */
+const formatComment = async (comment, board, extraRefs = []) => {
+  const refs = Array.from(new Set([...extraRefs, ...extractQuotes(comment)]));
+  const quotes = await resolveQuotes(refs, board.slug);
+
+  return {
+    comment_html: renderComment(comment, { board: board.slug, quotes }),
+    quotes: Array.from(new Set(refs.filter(ref => quotes.has(ref)).map(ref => quotes.get(ref).id)))
+  };
+};
+
+/**
+ * Check a deletion password against a thread or post
+ */
+const checkDeletePassword = async (password, record) => {
+  if (record.delete_password_hash) {
+    return verifyPassword(password, record.delete_password_hash);
+  }
+
+  // Rows created before deletion passwords used the tripcode as the credential
+  return Boolean(record.tripcode) && verifyLegacyTripcode(password, record.tripcode);
+};
+
+/**
+ * Resolve a thread's ?since= value to a post number and/or time
+ *
+ * Accepts a post number, a post UUID (including deleted posts) or a timestamp.
+ * For posts, the cutoff time for deletions is the creation time of the last
+ * surviving post at or before it.
+ *
+ * @returns {Promise<{ no: number|null, time: string }|null>} Cutoff, or null if since is invalid
+ */
+const resolveSince = async (since, thread) => {
+  let no = null;
+
+  if (isPostNumber(since)) {
+    no = Number(since);
+  } else if (since === thread.id) {
+    no = thread.no;
+  } else if (/^[0-9a-f-]{36}$/i.test(since)) {
+    const { data: post, error } = await db
+      .from('posts')
+      .select('no')
+      .eq('id', since)
+      .eq('thread_id', thread.id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    let record = post;
+    if (!record) {
+      // The post may have been deleted since the client saw it
+      const { data: deleted, error: deletedError } = await db
+        .from('post_deletions')
+        .select('no')
+        .eq('post_id', since)
+        .eq('thread_id', thread.id)
+        .maybeSingle();
+
+      if (deletedError) throw deletedError;
+      record = deleted;
+    }
+    if (!record) return null;
+
+    no = record.no;
+  } else {
+    const time = new Date(since);
+    return isNaN(time.getTime()) ? null : { no: null, time: time.toISOString() };
+  }
+
+  const { data: previous, error: previousError } = await db
+    .from('posts')
+    .select('created_at')
+    .eq('thread_id', thread.id)
+    .lte('no', no)
+    .order('no', { ascending: false })
+    .limit(1);
+
+  if (previousError) throw previousError;
+
+  return { no, time: previous.length > 0 ? previous[0].created_at : thread.created_at };
+};
+
+/**
+ * Get all live threads on a board (paginated)
  */
 exports.getThreads = async (req, res) => {
   try {
     // Pagination parameters
     const page = parseInt(req.query.page) || 1;
-    const pageSize = parseInt(req.query.pageSize) || 15;
+    const pageSize = parseInt(req.query.pageSize) || req.board.threadsPerPage;
     const offset = (page - 1) * pageSize;
 
-    // Query threads ordered by bump time
-    const { data: threads, error, count } = await supabase
+    // Query threads with stickies first, then by bump time
+    const { data: threads, error, count } = await db
       .from('threads')
       .select('*', { count: 'exact' })
+      .eq('board', req.board.slug)
+      .eq('is_archived', false)
+      .order('is_sticky', { ascending: false })
       .order('bumped_at', { ascending: false })
       .range(offset, offset + pageSize - 1);
 
     if (error) throw error;
 
-    // Get preview posts for each thread (up to 3 most recent replies)
-    const threadsWithPreviews = await Promise.all(
-      threads.map(async (thread) => {
-        const { data: posts } = await supabase
-          .from('posts')
-          .select('*')
-          .eq('thread_id', thread.id)
-          .order('created_at', { ascending: false })
-          .limit(3);
-
-        return {
-          ...thread,
-          preview_posts: posts || []
-        };
-      })
-    );
-
-    // Return paginated results
-    res.json({
+    // Get preview posts for every thread at once (up to 3 most recent replies each)
+    const { data: previews, error: previewsError } = await db.rpc('get_preview_posts', {
+      thread_ids: threads.map(thread => thread.id),
+      preview_count: 3
+    });
+
+    if (previewsError) throw previewsError;
+
+    const threadsWithPreviews = threads.map(thread => ({
+      ...publicRecord(thread),
+      preview_posts: attachBacklinks(previews
+        .filter(post => post.thread_id === thread.id)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .map(publicRecord))
+    }));
+
+    // Return paginated results. Lists only get an ETag: removing a thread
+    // leaves no newer updated_at behind, so a Last-Modified date would keep
+    // validating a list that still shows it.
+    sendCached(req, res, {
       threads: threadsWithPreviews,
       pagination: {
         total: count,
@@ -58,16 +205,20 @@ exports.getThreads = async (req, res) => {
 
 /**
  * Get a specific thread with all its replies
+ *
+ * ?since=<post number, UUID or timestamp> returns only the replies posted
+ * after that point and the IDs of replies deleted since.
  */
 exports.getThread = async (req, res) => {
   try {
     const threadId = req.params.id;
 
     // Get thread data
-    const { data: thread, error: threadError } = await supabase
+    const { data: thread, error: threadError } = await db
       .from('threads')
       .select('*')
       .eq('id', threadId)
+      .eq('board', req.board.slug)
       .single();
 
     if (threadError) {
@@ -77,8 +228,16 @@ exports.getThread = async (req, res) => {
       throw threadError;
     }
 
+    let cutoff = null;
+    if (req.query.since) {
+      cutoff = await resolveSince(req.query.since, thread);
+      if (!cutoff) {
+        return res.status(400).json({ error: 'since must be a post in this thread or a timestamp' });
+      }
+    }
+
     // Get all posts in the thread
-    const { data: posts, error: postsError } = await supabase
+    const { data: posts, error: postsError } = await db
       .from('posts')
       .select('*')
       .eq('thread_id', threadId)
@@ -86,11 +245,44 @@ exports.getThread = async (req, res) => {
 
     if (postsError) throw postsError;
 
+    // Backlinks cover the OP as well as the replies
+    const [threadView, ...allPostViews] = attachBacklinks([thread, ...(posts || [])].map(publicRecord));
+
+    // Incremental fetches only get what changed after the cutoff
+    const postViews = !cutoff ? allPostViews : allPostViews.filter(post => (
+      cutoff.no !== null ? post.no > cutoff.no : post.created_at > cutoff.time
+    ));
+
+    let deleted;
+    if (cutoff) {
+      const { data: deletions, error: deletionsError } = await db
+        .from('post_deletions')
+        .select('post_id, no')
+        .eq('thread_id', thread.id)
+        .gt('deleted_at', cutoff.time)
+        .order('deleted_at', { ascending: true });
+
+      if (deletionsError) throw deletionsError;
+      deleted = deletions.map(deletion => ({ id: deletion.post_id, no: deletion.no }));
+    }
+
+    // Staff see how many open reports each post has
+    if (req.staff && canModerate(req.staff, req.board.slug)) {
+      const threadReports = await countOpenReports('thread', [thread.id]);
+      const postReports = await countOpenReports('post', postViews.map(post => post.id));
+
+      threadView.report_count = threadReports.get(thread.id) || 0;
+      postViews.forEach(post => {
+        post.report_count = postReports.get(post.id) || 0;
+      });
+    }
+
     // Return thread with its posts
-    res.json({
-      thread,
-      posts: posts || []
-    });
+    sendCached(req, res, {
+      thread: threadView,
+      posts: postViews,
+      ...(deleted && { deleted })
+    }, thread.updated_at);
   } catch (err) {
     console.error('Error fetching thread:', err);
     res.status(500).json({ error: 'Failed to fetch thread' });
@@ -98,69 +290,119 @@ exports.getThread = async (req, res) => {
 };
 
 /**
- * Create a new thread
+ * Get a post and every reply to it, directly or through other replies
  */
-exports.createThread = async (req, res) => {
+exports.getPostReplies = async (req, res) => {
   try {
-    const { subject, comment, name = 'Anonymous', password, is_nsfw } = req.body;
-    const file = req.file;
-    const ipAddress = req.ip || req.headers['x-forwarded-for'];
-
-    // Generate tripcode if password is provided
-    let tripcode = null;
-    if (password) {
-      tripcode = generateTripcode(password);
+    const postId = req.params.id;
+
+    // The post can be a reply or the OP
+    const { data: post, error: postError } = await db
+      .from('posts')
+      .select('id, thread_id')
+      .eq('id', postId)
+      .eq('board', req.board.slug)
+      .maybeSingle();
+
+    if (postError) throw postError;
+
+    const threadId = post ? post.thread_id : postId;
+
+    const { data: thread, error: threadError } = await db
+      .from('threads')
+      .select('*')
+      .eq('id', threadId)
+      .eq('board', req.board.slug)
+      .maybeSingle();
+
+    if (threadError) throw threadError;
+    if (!thread) {
+      return res.status(404).json({ error: 'Post not found' });
     }
 
+    const { data: posts, error: postsError } = await db
+      .from('posts')
+      .select('*')
+      .eq('thread_id', threadId)
+      .order('created_at', { ascending: true });
+
+    if (postsError) throw postsError;
+
+    const records = attachBacklinks([thread, ...posts].map(publicRecord));
+
+    res.json({
+      post: records.find(record => record.id === postId),
+      replies: collectReplies(records, postId)
+    });
+  } catch (err) {
+    console.error('Error fetching replies:', err);
+    res.status(500).json({ error: 'Failed to fetch replies' });
+  }
+};
+
+/**
+ * Create a new thread on a board
+ */
+exports.createThread = async (req, res) => {
+  try {
+    const { subject, comment, name, password, is_nsfw, options, spoiler } = req.body;
+    const files = req.files;
+    const ipAddress = getClientIp(req);
+    const { name: displayName, tripPassword, secureTrip } = parseName(name);
+    const { noko } = parseOptions(options);
+
+    // Tripcode comes from name#password and is only a display identity
+    const tripcode = generateTripcode(tripPassword, { secure: secureTrip });
+
+    // Deletion password, generated when the poster didn't choose one
+    const deletePassword = password || generatePassword();
+
     // Prepare thread data
     const threadData = {
       id: uuidv4(),
+      board: req.board.slug,
+      no: await nextPostNumber(req.board.slug),
       subject: subject || null,
       comment,
-      name: name || 'Anonymous',
+      ...await formatComment(comment, req.board),
+      name: displayName,
       tripcode,
-      is_nsfw: is_nsfw === 'true' || is_nsfw === true,
+      delete_password_hash: await hashPassword(deletePassword),
+      is_nsfw: resolveNsfw(is_nsfw, req.board),
       ip_address: ipAddress,
       created_at: new Date(),
       bumped_at: new Date(),
+      ...uploadedFiles(files, spoiler)
     };
 
-    // Handle file upload if present
-    if (file) {
-      threadData.file_name = file.originalname;
-      threadData.file_path = file.path.replace(/\\/g, '/');
-      threadData.file_size = file.size;
-      threadData.file_type = file.mimetype;
-      threadData.thumbnail_path = file.thumbnailPath ? file.thumbnailPath.replace(/\\/g, '/') : null;
-      threadData.images_count = 1;
-    }
-
     // Insert thread into database
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from('threads')
       .insert([threadData])
       .select();
 
     if (error) throw error;
 
+    publish('thread', { board: req.board.slug, threadId: data[0].id }, { thread: publicRecord(data[0]) });
+
+    // Push threads that fell off the last page into the archive
+    try {
+      await pruneBoard(req.board);
+    } catch (e) {
+      console.error('Error pruning board:', e);
+    }
+
     res.status(201).json({
       message: 'Thread created successfully',
-      thread: data[0]
+      ...(noko && { redirect: `/${req.board.slug}/thread/${data[0].id}` }),
+      ...(!password && { delete_password: deletePassword }),
+      thread: publicRecord(data[0])
     });
   } catch (err) {
     console.error('Error creating thread:', err);
     
-    // Clean up uploaded file on error
-    if (req.file) {
-      try {
-        fs.unlinkSync(req.file.path);
-        if (req.file.thumbnailPath) {
-          fs.unlinkSync(req.file.thumbnailPath);
-        }
-      } catch (e) {
-        console.error('Error cleaning up files:', e);
-      }
-    }
+    // Clean up uploaded files on error
+    await removeUploadedFiles(req.files);
     
     res.status(500).json({ error: 'Failed to create thread' });
   }
@@ -172,78 +414,97 @@ exports.createThread = async (req, res) => {
 exports.replyToThread = async (req, res) => {
   try {
     const threadId = req.params.id;
-    const { comment, name = 'Anonymous', password, is_nsfw, reply_to } = req.body;
-    const file = req.file;
-    const ipAddress = req.ip || req.headers['x-forwarded-for'];
-
-    // Verify thread exists
-    const { data: thread, error: threadError } = await supabase
+    const { comment, name, password, is_nsfw, reply_to, options, sage, spoiler } = req.body;
+    const files = req.files;
+    const ipAddress = getClientIp(req);
+    const { name: displayName, tripPassword, secureTrip } = parseName(name);
+    const { sage: sageOption, noko } = parseOptions(options);
+
+    // Verify thread exists on this board
+    const { data: thread, error: threadError } = await db
       .from('threads')
-      .select('id')
+      .select('id, replies_count, images_count, is_archived, is_locked')
       .eq('id', threadId)
+      .eq('board', req.board.slug)
       .single();
 
     if (threadError) {
       if (threadError.code === 'PGRST116') {
+        await removeUploadedFiles(files);
         return res.status(404).json({ error: 'Thread not found' });
       }
       throw threadError;
     }
 
-    // Generate tripcode if password is provided
-    let tripcode = null;
-    if (password) {
-      tripcode = generateTripcode(password);
+    // Archived threads are read-only
+    if (thread.is_archived) {
+      await removeUploadedFiles(files);
+      return res.status(403).json({ error: 'Thread is archived' });
+    }
+
+    // Locked threads don't accept replies
+    if (thread.is_locked) {
+      await removeUploadedFiles(files);
+      return res.status(423).json({ error: 'Thread is locked' });
+    }
+
+    // Refuse image replies that would go past the image limit
+    if (files.length > 0 && thread.images_count + files.length > req.board.imageLimit) {
+      await removeUploadedFiles(files);
+      return res.status(403).json({ error: 'Image limit reached' });
     }
 
+    // Tripcode comes from name#password and is only a display identity
+    const tripcode = generateTripcode(tripPassword, { secure: secureTrip });
+
+    // Deletion password, generated when the poster didn't choose one
+    const deletePassword = password || generatePassword();
+
+    // Bump the thread unless the reply is saged or the bump limit is reached
+    const bumped = !sage && !sageOption && thread.replies_count < req.board.bumpLimit;
+
     // Prepare post data
     const postData = {
       id: uuidv4(),
       thread_id: threadId,
+      board: req.board.slug,
+      no: await nextPostNumber(req.board.slug),
       comment,
-      name: name || 'Anonymous',
+      ...await formatComment(comment, req.board, reply_to ? [reply_to] : []),
+      name: displayName,
       tripcode,
-      is_nsfw: is_nsfw === 'true' || is_nsfw === true,
+      delete_password_hash: await hashPassword(deletePassword),
+      is_nsfw: resolveNsfw(is_nsfw, req.board),
       reply_to: reply_to || null,
       ip_address: ipAddress,
       created_at: new Date(),
+      bumped,
+      ...uploadedFiles(files, spoiler)
     };
 
-    // Handle file upload if present
-    if (file) {
-      postData.file_name = file.originalname;
-      postData.file_path = file.path.replace(/\\/g, '/');
-      postData.file_size = file.size;
-      postData.file_type = file.mimetype;
-      postData.thumbnail_path = file.thumbnailPath ? file.thumbnailPath.replace(/\\/g, '/') : null;
-    }
-
-    // Insert post into database
-    const { data, error } = await supabase
+    // Insert post into database; the thread's counts, last reply time and
+    // bump are updated in the same transaction
+    const { data, error } = await db
       .from('posts')
       .insert([postData])
       .select();
 
     if (error) throw error;
 
+    publish('post', { board: req.board.slug, threadId }, { thread_id: threadId, bumped, post: publicRecord(data[0]) });
+
     res.status(201).json({
       message: 'Reply posted successfully',
-      post: data[0]
+      bumped,
+      ...(noko && { redirect: `/${req.board.slug}/thread/${threadId}` }),
+      ...(!password && { delete_password: deletePassword }),
+      post: publicRecord(data[0])
     });
   } catch (err) {
     console.error('Error creating reply:', err);
     
-    // Clean up uploaded file on error
-    if (req.file) {
-      try {
-        fs.unlinkSync(req.file.path);
-        if (req.file.thumbnailPath) {
-          fs.unlinkSync(req.file.thumbnailPath);
-        }
-      } catch (e) {
-        console.error('Error cleaning up files:', e);
-      }
-    }
+    // Clean up uploaded files on error
+    await removeUploadedFiles(req.files);
     
     res.status(500).json({ error: 'Failed to post reply' });
   }
@@ -261,11 +522,12 @@ exports.deleteThread = async (req, res) => {
       return res.status(400).json({ error: 'Password is required' });
     }
 
-    // Get thread with tripcode
-    const { data: thread, error: threadError } = await supabase
+    // Get thread with its deletion credentials
+    const { data: thread, error: threadError } = await db
       .from('threads')
       .select('*')
       .eq('id', threadId)
+      .eq('board', req.board.slug)
       .single();
 
     if (threadError) {
@@ -275,51 +537,12 @@ exports.deleteThread = async (req, res) => {
       throw threadError;
     }
 
-    // Verify tripcode/password
-    if (!thread.tripcode || !verifyTripcode(password, thread.tripcode)) {
+    // Verify deletion password
+    if (!(await checkDeletePassword(password, thread))) {
       return res.status(403).json({ error: 'Invalid password' });
     }
 
-    // Delete thread
-    const { error } = await supabase
-      .from('threads')
-      .delete()
-      .eq('id', threadId);
-
-    if (error) throw error;
-
-    // Clean up files
-    if (thread.file_path) {
-      try {
-        fs.unlinkSync(path.join(__dirname, '..', thread.file_path));
-        if (thread.thumbnail_path) {
-          fs.unlinkSync(path.join(__dirname, '..', thread.thumbnail_path));
-        }
-      } catch (e) {
-        console.error('Error cleaning up files:', e);
-      }
-    }
-
-    // Also clean up all posts' files
-    const { data: posts } = await supabase
-      .from('posts')
-      .select('file_path, thumbnail_path')
-      .eq('thread_id', threadId);
-
-    if (posts) {
-      posts.forEach(post => {
-        if (post.file_path) {
-          try {
-            fs.unlinkSync(path.join(__dirname, '..', post.file_path));
-            if (post.thumbnail_path) {
-              fs.unlinkSync(path.join(__dirname, '..', post.thumbnail_path));
-            }
-          } catch (e) {
-            console.error('Error cleaning up post files:', e);
-          }
-        }
-      });
-    }
+    await removeThread(thread);
 
     res.json({ message: 'Thread deleted successfully' });
   } catch (err) {
@@ -340,11 +563,12 @@ exports.deletePost = async (req, res) => {
       return res.status(400).json({ error: 'Password is required' });
     }
 
-    // Get post with tripcode
-    const { data: post, error: postError } = await supabase
+    // Get post with its deletion credentials
+    const { data: post, error: postError } = await db
       .from('posts')
       .select('*')
       .eq('id', postId)
+      .eq('board', req.board.slug)
       .single();
 
     if (postError) {
@@ -354,37 +578,12 @@ exports.deletePost = async (req, res) => {
       throw postError;
     }
 
-    // Verify tripcode/password
-    if (!post.tripcode || !verifyTripcode(password, post.tripcode)) {
+    // Verify deletion password
+    if (!(await checkDeletePassword(password, post))) {
       return res.status(403).json({ error: 'Invalid password' });
     }
 
-    // Delete post
-    const { error } = await supabase
-      .from('posts')
-      .delete()
-      .eq('id', postId);
-
-    if (error) throw error;
-
-    // Clean up files
-    if (post.file_path) {
-      try {
-        fs.unlinkSync(path.join(__dirname, '..', post.file_path));
-        if (post.thumbnail_path) {
-          fs.unlinkSync(path.join(__dirname, '..', post.thumbnail_path));
-        }
-      } catch (e) {
-        console.error('Error cleaning up files:', e);
-      }
-    }
-
-    // Update thread counts
-    await supabase.rpc('update_thread_counts', { 
-      thread_id: post.thread_id,
-      images_adjustment: post.file_path ? -1 : 0,
-      posts_adjustment: -1
-    });
+    await removePost(post);
 
     res.json({ message: 'Post deleted successfully' });
   } catch (err) {
@@ -394,20 +593,131 @@ exports.deletePost = async (req, res) => {
 };
 
 /**
- * Get board statistics
+ * Get statistics for a board, as of the maintenance worker's last refresh
  */
 exports.getBoardStats = async (req, res) => {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from('board_stats')
       .select('*')
+      .eq('board', req.board.slug)
       .single();
 
-    if (error) throw error;
+    if (error) {
+      // A board without any threads has no stats row yet
+      if (error.code === 'PGRST116') {
+        return sendCached(req, res, {
+          board: req.board.slug,
+          total_threads: 0,
+          total_posts: 0,
+          total_images: 0,
+          refreshed_at: null
+        }, null);
+      }
+      throw error;
+    }
 
-    res.json(data);
+    sendCached(req, res, data, data.refreshed_at);
   } catch (err) {
     console.error('Error fetching board stats:', err);
     res.status(500).json({ error: 'Failed to fetch board statistics' });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get archived threads on a board (paginated)
+ */
+exports.getArchive = async (req, res) => {
+  try {
+    // Pagination parameters
+    const page = parseInt(req.query.page) || 1;
+    const pageSize = parseInt(req.query.pageSize) || 50;
+    const offset = (page - 1) * pageSize;
+
+    const { data: threads, error, count } = await db
+      .from('threads')
+      .select('id, no, subject, comment, name, tripcode, thumbnail_path, thumbnail_width, thumbnail_height, file_spoiler, replies_count, images_count, created_at, archived_at', { count: 'exact' })
+      .eq('board', req.board.slug)
+      .eq('is_archived', true)
+      .order('archived_at', { ascending: false })
+      .range(offset, offset + pageSize - 1);
+
+    if (error) throw error;
+
+    res.json({
+      threads: threads.map(withMediaUrls),
+      pagination: {
+        total: count,
+        page,
+        pageSize,
+        totalPages: Math.ceil(count / pageSize)
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching archive:', err);
+    res.status(500).json({ error: 'Failed to fetch archive' });
+  }
+};
+
+// Catalog sort orders and the column each one sorts by
+const CATALOG_SORTS = {
+  bump: 'bumped_at',
+  created: 'created_at',
+  replies: 'replies_count',
+  last_reply: 'last_reply_at'
+};
+
+/**
+ * Get every live thread on a board in one compact listing
+ *
+ * ?sort=bump|created|replies|last_reply orders the threads (stickies stay
+ * first), ?nsfw=true|false filters by the NSFW flag and ?q= matches text in
+ * the subject or comment.
+ */
+exports.getCatalog = async (req, res) => {
+  try {
+    const sort = req.query.sort || 'bump';
+    const { nsfw, q } = req.query;
+
+    if (!CATALOG_SORTS[sort]) {
+      return res.status(400).json({ error: `sort must be one of: ${Object.keys(CATALOG_SORTS).join(', ')}` });
+    }
+    if (nsfw !== undefined && nsfw !== 'true' && nsfw !== 'false') {
+      return res.status(400).json({ error: 'nsfw must be true or false' });
+    }
+
+    let query = db
+      .from('threads')
+      .select('id, no, subject, comment, name, tripcode, thumbnail_path, thumbnail_width, thumbnail_height, file_spoiler, is_nsfw, is_sticky, is_locked, replies_count, images_count, created_at, bumped_at, last_reply_at')
+      .eq('board', req.board.slug)
+      .eq('is_archived', false);
+
+    if (nsfw !== undefined) query = query.eq('is_nsfw', nsfw === 'true');
+
+    // Threads without replies sort last by last reply
+    const { data: threads, error } = await query
+      .order('is_sticky', { ascending: false })
+      .order(CATALOG_SORTS[sort], { ascending: false, nullsFirst: false })
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    // The board holds a bounded number of live threads, so text matching happens here
+    const needle = (q || '').trim().toLowerCase();
+    const matches = needle
+      ? threads.filter(thread => `${thread.subject || ''}\n${thread.comment || ''}`.toLowerCase().includes(needle))
+      : threads;
+
+    sendCached(req, res, {
+      board: req.board.slug,
+      sort,
+      threads: matches.map(({ comment, ...thread }) => ({
+        ...withMediaUrls(thread),
+        excerpt: excerpt(comment)
+      }))
+    });
+  } catch (err) {
+    console.error('Error fetching catalog:', err);
+    res.status(500).json({ error: 'Failed to fetch catalog' });
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * Database client used by controllers and utilities
+ *
+ * DB_DRIVER selects the adapter:
+ * - supabase (default): the Supabase client from config/supabase.js
+ * - memory: an in-process store for offline development and tests
+ *
+ * Both adapters expose the same from()/rpc() query interface.
+ */
+const drivers = {
+  supabase: () => require('../config/supabase'),
+  memory: () => require('./memory')
+};
+
+const driver = process.env.DB_DRIVER || 'supabase';
+
+if (!drivers[driver]) {
+  throw new Error(`Unknown DB_DRIVER "${driver}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+}
+
+module.exports = drivers[driver]();
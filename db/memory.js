@@ -0,0 +1,935 @@
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * In-memory database adapter
+ *
+ * Implements the subset of the Supabase query builder used by the API
+ * (filters, ordering, ranges, counts, single rows and RPC calls) on top of
+ * plain arrays, so the API can run without a Supabase project. Data lives
+ * only as long as the process.
+ */
+
+// Table columns and their default values, mirroring the Postgres schema
+const schema = {
+  threads: {
+    id: () => uuidv4(),
+    board: 'b',
+    no: null,
+    subject: null,
+    comment: null,
+    comment_html: null,
+    quotes: () => [],
+    name: 'Anonymous',
+    tripcode: null,
+    delete_password_hash: null,
+    is_nsfw: false,
+    ip_address: null,
+    file_name: null,
+    file_path: null,
+    file_size: null,
+    file_type: null,
+    thumbnail_path: null,
+    file_width: null,
+    file_height: null,
+    thumbnail_width: null,
+    thumbnail_height: null,
+    file_spoiler: false,
+    file_animated: false,
+    file_duration: null,
+    file_has_audio: null,
+    files: () => [],
+    file_sha256: null,
+    file_phash: null,
+    replies_count: 0,
+    images_count: 0,
+    is_archived: false,
+    archived_at: null,
+    is_sticky: false,
+    is_locked: false,
+    file_deleted: false,
+    created_at: () => new Date().toISOString(),
+    bumped_at: () => new Date().toISOString(),
+    last_reply_at: null,
+    updated_at: () => new Date().toISOString()
+  },
+  posts: {
+    id: () => uuidv4(),
+    thread_id: null,
+    board: 'b',
+    no: null,
+    comment: null,
+    comment_html: null,
+    quotes: () => [],
+    name: 'Anonymous',
+    tripcode: null,
+    delete_password_hash: null,
+    is_nsfw: false,
+    reply_to: null,
+    ip_address: null,
+    file_name: null,
+    file_path: null,
+    file_size: null,
+    file_type: null,
+    thumbnail_path: null,
+    file_width: null,
+    file_height: null,
+    thumbnail_width: null,
+    thumbnail_height: null,
+    file_spoiler: false,
+    file_animated: false,
+    file_duration: null,
+    file_has_audio: null,
+    files: () => [],
+    file_sha256: null,
+    file_phash: null,
+    file_deleted: false,
+    bumped: false,
+    created_at: () => new Date().toISOString()
+  },
+  staff: {
+    id: () => uuidv4(),
+    username: null,
+    password_hash: null,
+    role: 'janitor',
+    boards: null,
+    created_at: () => new Date().toISOString()
+  },
+  staff_sessions: {
+    id: () => uuidv4(),
+    token_hash: null,
+    staff_id: null,
+    expires_at: null,
+    created_at: () => new Date().toISOString()
+  },
+  bans: {
+    id: () => uuidv4(),
+    ip_range: null,
+    board: null,
+    reason: null,
+    expires_at: null,
+    source_type: null,
+    source_id: null,
+    created_by: null,
+    created_by_username: null,
+    lifted_at: null,
+    lifted_by_username: null,
+    appeal_text: null,
+    appeal_status: null,
+    appealed_at: null,
+    appeal_note: null,
+    appeal_reviewed_by_username: null,
+    appeal_reviewed_at: null,
+    created_at: () => new Date().toISOString()
+  },
+  reports: {
+    id: () => uuidv4(),
+    board: null,
+    target_type: null,
+    target_id: null,
+    thread_id: null,
+    category: null,
+    note: null,
+    ip_address: null,
+    status: 'open',
+    closed_by_username: null,
+    closed_at: null,
+    created_at: () => new Date().toISOString()
+  },
+  mod_log: {
+    id: () => uuidv4(),
+    staff_id: null,
+    staff_username: null,
+    action: null,
+    board: null,
+    target_type: null,
+    target_id: null,
+    details: {},
+    created_at: () => new Date().toISOString()
+  },
+  file_bans: {
+    id: () => uuidv4(),
+    sha256: null,
+    phash: null,
+    reason: null,
+    source_type: null,
+    source_id: null,
+    created_by: null,
+    created_by_username: null,
+    created_at: () => new Date().toISOString()
+  },
+  post_deletions: {
+    id: () => uuidv4(),
+    board: null,
+    thread_id: null,
+    post_id: null,
+    no: null,
+    deleted_at: () => new Date().toISOString()
+  },
+  board_counters: {
+    board: null,
+    last_no: 0
+  },
+  rate_limits: {
+    key: null,
+    hits: 0,
+    reset_at: null
+  },
+  maintenance_locks: {
+    name: null,
+    locked_by: null,
+    locked_until: null
+  },
+  file_deletions: {
+    key: null,
+    queued_at: () => new Date().toISOString()
+  }
+};
+
+// Read-only views, computed from the tables on every query. Materialized
+// views are always fresh here, as of the board's latest thread change.
+const views = {
+  board_stats: (tables) => {
+    const stats = new Map();
+    const statsFor = (board) => {
+      if (!stats.has(board)) {
+        stats.set(board, { board, total_threads: 0, total_posts: 0, total_images: 0, refreshed_at: null });
+      }
+      return stats.get(board);
+    };
+
+    const threadBoards = new Map();
+    tables.threads.forEach(thread => {
+      const row = statsFor(thread.board);
+      threadBoards.set(thread.id, thread.board);
+      row.total_threads++;
+      row.total_images += thread.files.length;
+      if (!row.refreshed_at || compare(thread.updated_at, row.refreshed_at) > 0) {
+        row.refreshed_at = thread.updated_at;
+      }
+    });
+    tables.posts.forEach(post => {
+      if (!threadBoards.has(post.thread_id)) return;
+      const row = statsFor(threadBoards.get(post.thread_id));
+      row.total_posts++;
+      row.total_images += post.files.length;
+    });
+
+    return Array.from(stats.values());
+  }
+};
+
+// Search weights per column, following Postgres' default A/B/C ranking weights
+const searchWeights = {
+  subject: 1.0,
+  comment: 0.4,
+  name: 0.2,
+  tripcode: 0.2,
+  file_names: 0.2
+};
+
+/**
+ * Rank a row against search terms: every term must appear in some column,
+ * and each match adds the column's weight
+ *
+ * @returns {number} Rank, 0 when the row doesn't match
+ */
+const searchRank = (row, terms) => {
+  let rank = 0;
+  for (const term of terms) {
+    const matched = Object.keys(searchWeights)
+      .filter(column => typeof row[column] === 'string' && row[column].toLowerCase().includes(term));
+    if (matched.length === 0) return 0;
+    matched.forEach(column => {
+      rank += searchWeights[column];
+    });
+  }
+  return rank;
+};
+
+/**
+ * Whether an address falls within a CIDR range, like Postgres' inet <<= cidr
+ */
+const inetContainedBy = (ip, range) => {
+  const [network, prefix] = range.split('/');
+  const family = net.isIP(network);
+  if (!family || net.isIP(ip) !== family) return false;
+
+  const type = family === 6 ? 'ipv6' : 'ipv4';
+  const blockList = new net.BlockList();
+  blockList.addSubnet(network, parseInt(prefix), type);
+  return blockList.check(ip, type);
+};
+
+// Stored procedures callable through rpc()
+const functions = {
+  get_preview_posts: (tables, { thread_ids, preview_count = 3 }) => {
+    const counts = new Map();
+    return tables.posts
+      .filter(post => thread_ids.includes(post.thread_id))
+      .sort((a, b) => compare(b.created_at, a.created_at))
+      .filter(post => {
+        const count = (counts.get(post.thread_id) || 0) + 1;
+        counts.set(post.thread_id, count);
+        return count <= preview_count;
+      });
+  },
+
+  search_posts: (tables, {
+    search_query,
+    board_filter = null,
+    created_after = null,
+    created_before = null,
+    has_file = null,
+    post_type = null,
+    result_limit = 20,
+    result_offset = 0
+  }) => {
+    const terms = search_query.toLowerCase().split(/\s+/).map(term => term.replace(/^"|"$/g, '')).filter(Boolean);
+    if (terms.length === 0) return [];
+
+    // Every attached file's name is searched, like file_names() in the migration
+    const fileNames = (row) => row.files.map(file => file.file_name).filter(Boolean).join(' ');
+    const rows = [
+      ...tables.threads.map(thread => ({ ...thread, type: 'thread', thread_id: thread.id, file_names: fileNames(thread) })),
+      ...tables.posts.map(post => ({ ...post, type: 'post', subject: null, file_names: fileNames(post) }))
+    ];
+
+    const matches = rows
+      .filter(row => (
+        (!board_filter || row.board === board_filter) &&
+        (!created_after || row.created_at >= created_after) &&
+        (!created_before || row.created_at < created_before) &&
+        (has_file === null || (row.files.length > 0) === has_file) &&
+        (!post_type || row.type === post_type)
+      ))
+      .map(row => ({ row, rank: searchRank(row, terms) }))
+      .filter(({ rank }) => rank > 0)
+      .sort((a, b) => b.rank - a.rank || compare(b.row.created_at, a.row.created_at));
+
+    return matches
+      .slice(result_offset, result_offset + result_limit)
+      .map(({ row, rank }) => ({
+        type: row.type,
+        id: row.id,
+        no: row.no,
+        board: row.board,
+        thread_id: row.thread_id,
+        subject: row.subject,
+        comment: row.comment,
+        name: row.name,
+        tripcode: row.tripcode,
+        file_name: row.file_name,
+        thumbnail_path: row.thumbnail_path,
+        thumbnail_width: row.thumbnail_width,
+        thumbnail_height: row.thumbnail_height,
+        file_spoiler: row.file_spoiler,
+        created_at: row.created_at,
+        rank,
+        total_count: matches.length
+      }));
+  },
+
+  rate_limit_hit: (tables, { limit_key, window_ms }) => {
+    const now = Date.now();
+    let limit = tables.rate_limits.find(row => row.key === limit_key);
+    if (!limit) {
+      limit = { key: limit_key, hits: 0, reset_at: null };
+      tables.rate_limits.push(limit);
+    }
+    if (!limit.reset_at || new Date(limit.reset_at).getTime() <= now) {
+      limit.hits = 0;
+      limit.reset_at = new Date(now + window_ms).toISOString();
+    }
+    limit.hits += 1;
+    return [{ hits: limit.hits, reset_at: limit.reset_at }];
+  },
+
+  rate_limit_undo: (tables, { limit_key }) => {
+    const limit = tables.rate_limits.find(row => row.key === limit_key);
+    if (limit) {
+      limit.hits = Math.max(0, limit.hits - 1);
+    }
+    return null;
+  },
+
+  acquire_maintenance_lock: (tables, { lock_name, lock_owner, ttl_ms }) => {
+    const now = Date.now();
+    let lock = tables.maintenance_locks.find(row => row.name === lock_name);
+    if (lock && new Date(lock.locked_until).getTime() > now && lock.locked_by !== lock_owner) {
+      return false;
+    }
+    if (!lock) {
+      lock = { name: lock_name };
+      tables.maintenance_locks.push(lock);
+    }
+    lock.locked_by = lock_owner;
+    lock.locked_until = new Date(now + ttl_ms).toISOString();
+    return true;
+  },
+
+  release_maintenance_lock: (tables, { lock_name, lock_owner }) => {
+    tables.maintenance_locks = tables.maintenance_locks.filter(row => !(row.name === lock_name && row.locked_by === lock_owner));
+    return null;
+  },
+
+  refresh_board_stats: () => null,
+
+  repair_thread_counts: (tables, { dry_run = false } = {}) => tables.threads
+    .map(thread => {
+      const posts = tables.posts.filter(post => post.thread_id === thread.id);
+      const images = thread.files.length + posts.reduce((sum, post) => sum + post.files.length, 0);
+      return { thread, replies: posts.length, images };
+    })
+    .filter(({ thread, replies, images }) => thread.replies_count !== replies || thread.images_count !== images)
+    .map(({ thread, replies, images }) => {
+      const repaired = {
+        thread_id: thread.id,
+        stored_replies_count: thread.replies_count,
+        stored_images_count: thread.images_count,
+        replies_count: replies,
+        images_count: images
+      };
+      if (!dry_run) {
+        thread.replies_count = replies;
+        thread.images_count = images;
+        thread.updated_at = new Date().toISOString();
+      }
+      return repaired;
+    }),
+
+  next_post_number: (tables, { board_slug }) => {
+    let counter = tables.board_counters.find(row => row.board === board_slug);
+    if (!counter) {
+      counter = { board: board_slug, last_no: 0 };
+      tables.board_counters.push(counter);
+    }
+    counter.last_no += 1;
+    return counter.last_no;
+  },
+
+  find_active_bans: (tables, { client_ip, board_filter = null }) => {
+    if (!net.isIP(client_ip)) {
+      throw new Error(`invalid input syntax for type inet: "${client_ip}"`);
+    }
+    const now = new Date().toISOString();
+    return tables.bans
+      .filter(ban => (
+        ban.lifted_at === null &&
+        (ban.expires_at === null || ban.expires_at > now) &&
+        (!board_filter || !ban.board || ban.board === board_filter) &&
+        inetContainedBy(client_ip, ban.ip_range)
+      ))
+      .sort((a, b) => compare(b.created_at, a.created_at));
+  },
+
+  move_thread: (tables, { moved_thread_id, target_board }) => {
+    const thread = tables.threads.find(row => row.id === moved_thread_id);
+    if (!thread) return null;
+
+    const numbers = {};
+    const renumber = (row) => {
+      const previous = row.no;
+      row.board = target_board;
+      row.no = functions.next_post_number(tables, { board_slug: target_board });
+      numbers[previous] = row.no;
+    };
+
+    renumber(thread);
+    thread.updated_at = new Date().toISOString();
+
+    tables.posts
+      .filter(post => post.thread_id === moved_thread_id)
+      .sort((a, b) => compare(a.created_at, b.created_at) || compare(a.id, b.id))
+      .forEach(renumber);
+
+    return numbers;
+  }
+};
+
+// Foreign keys declared with ON DELETE CASCADE
+const cascades = {
+  threads: [{ table: 'posts', column: 'thread_id' }, { table: 'post_deletions', column: 'thread_id' }],
+  staff: [{ table: 'staff_sessions', column: 'staff_id' }]
+};
+
+// Columns set to now() by BEFORE UPDATE triggers
+const touchedColumns = {
+  threads: 'updated_at'
+};
+
+/**
+ * Queue the storage keys of files in oldFiles that are no longer in newFiles
+ */
+const queueRemovedFiles = (tables, oldFiles, newFiles) => {
+  const keys = (files) => files.flatMap(file => [file.file_path, file.thumbnail_path]).filter(Boolean);
+  const kept = new Set(keys(newFiles));
+
+  keys(oldFiles)
+    .filter(key => !kept.has(key) && !tables.file_deletions.some(row => row.key === key))
+    .forEach(key => tables.file_deletions.push({ key, queued_at: new Date().toISOString() }));
+};
+
+/**
+ * Adjust a thread's counts and activity, as the posts trigger does
+ *
+ * @returns {boolean} Whether the thread exists
+ */
+const updateThread = (tables, threadId, update) => {
+  const thread = tables.threads.find(row => row.id === threadId);
+  if (!thread) return false;
+
+  update(thread);
+  thread.updated_at = new Date().toISOString();
+  return true;
+};
+
+// Unique constraints other than the primary keys
+const uniqueKeys = {
+  reports: [['target_type', 'target_id', 'ip_address']]
+};
+
+/**
+ * Error carrying a Postgres error code, passed through to query results
+ */
+const databaseError = (code, message) => Object.assign(new Error(message), { code });
+
+// Row triggers keeping thread counts, deletion records and the file deletion
+// queue, mirroring the Postgres triggers. Update triggers run when files is set.
+const triggers = {
+  threads: {
+    insert: (tables, row) => {
+      row.images_count = row.files.length;
+    },
+    update: (tables, row, old) => {
+      row.images_count = Math.max(0, row.images_count + row.files.length - old.files.length);
+      queueRemovedFiles(tables, old.files, row.files);
+    },
+    delete: (tables, row) => queueRemovedFiles(tables, row.files, [])
+  },
+  posts: {
+    insert: (tables, row) => updateThread(tables, row.thread_id, (thread) => {
+      thread.replies_count += 1;
+      thread.images_count += row.files.length;
+      if (!thread.last_reply_at || compare(row.created_at, thread.last_reply_at) > 0) {
+        thread.last_reply_at = row.created_at;
+      }
+      if (row.bumped && compare(row.created_at, thread.bumped_at) > 0) {
+        thread.bumped_at = row.created_at;
+      }
+    }),
+    update: (tables, row, old) => {
+      queueRemovedFiles(tables, old.files, row.files);
+      if (row.files.length !== old.files.length) {
+        updateThread(tables, row.thread_id, (thread) => {
+          thread.images_count = Math.max(0, thread.images_count + row.files.length - old.files.length);
+        });
+      }
+    },
+    delete: (tables, row) => {
+      queueRemovedFiles(tables, row.files, []);
+      const found = updateThread(tables, row.thread_id, (thread) => {
+        thread.replies_count = Math.max(0, thread.replies_count - 1);
+        thread.images_count = Math.max(0, thread.images_count - row.files.length);
+      });
+
+      // Leave a record so incremental thread fetches can report the deletion,
+      // unless the whole thread is being deleted
+      if (found) {
+        tables.post_deletions.push({
+          id: uuidv4(),
+          board: row.board,
+          thread_id: row.thread_id,
+          post_id: row.id,
+          no: row.no,
+          deleted_at: new Date().toISOString()
+        });
+      }
+    }
+  }
+};
+
+/**
+ * Convert a value the way it would round-trip through Postgres/PostgREST
+ */
+const serialize = (value) => (value instanceof Date ? value.toISOString() : value);
+
+const copy = (row) => JSON.parse(JSON.stringify(row));
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return a < b ? -1 : 1;
+};
+
+const likeToRegExp = (pattern, flags) => {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '%') return '.*';
+      if (char === '_') return '.';
+      return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, flags);
+};
+
+/**
+ * jsonb containment (@>): arrays contain every expected item somewhere,
+ * objects contain every expected key with a contained value
+ */
+const jsonContains = (value, expected) => {
+  if (Array.isArray(expected)) {
+    return Array.isArray(value) && expected.every(item => value.some(candidate => jsonContains(candidate, item)));
+  }
+  if (expected !== null && typeof expected === 'object') {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+      Object.entries(expected).every(([key, item]) => jsonContains(value[key], item));
+  }
+  return value === expected;
+};
+
+// Filter operators, matching PostgREST semantics
+const operators = {
+  eq: (value, expected) => value !== null && value !== undefined && value == expected,
+  neq: (value, expected) => value !== null && value !== undefined && value != expected,
+  gt: (value, expected) => value !== null && value !== undefined && value > expected,
+  gte: (value, expected) => value !== null && value !== undefined && value >= expected,
+  lt: (value, expected) => value !== null && value !== undefined && value < expected,
+  lte: (value, expected) => value !== null && value !== undefined && value <= expected,
+  in: (value, expected) => expected.some(item => item == value),
+  is: (value, expected) => (expected === null ? value === null || value === undefined : value === expected),
+  like: (value, expected) => typeof value === 'string' && likeToRegExp(expected, '').test(value),
+  ilike: (value, expected) => typeof value === 'string' && likeToRegExp(expected, 'i').test(value),
+  contains: (value, expected) => jsonContains(value, typeof expected === 'string' ? JSON.parse(expected) : expected)
+};
+
+/**
+ * Check a filter value the way it reaches Postgres: postgrest-js puts it in
+ * the URL as `${value}`, so a Date arrives as Date.prototype.toString(),
+ * which Postgres refuses as a timestamp
+ *
+ * @returns {string|null} Error message, or null if the value is fine
+ */
+const invalidFilterValue = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  const date = values.find(item => item instanceof Date);
+  return date ? `invalid input syntax for type timestamp with time zone: "${String(date)}"` : null;
+};
+
+/**
+ * Chainable, thenable query mirroring the Supabase PostgrestQueryBuilder
+ */
+class MemoryQuery {
+  constructor(database, table) {
+    this.database = database;
+    this.table = table;
+    this.action = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.countMode = null;
+    this.head = false;
+    this.values = null;
+    this.filters = [];
+    this.filterError = null;
+    this.orders = [];
+    this.rangeFrom = null;
+    this.rangeTo = null;
+    this.singleMode = null;
+  }
+
+  select(columns = '*', options = {}) {
+    if (this.action === 'select') {
+      this.countMode = options.count || null;
+      this.head = Boolean(options.head);
+    } else {
+      this.returning = true;
+    }
+    this.columns = columns;
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  filter(column, operator, value) {
+    this.filterError = this.filterError || invalidFilterValue(value);
+    this.filters.push(row => operators[operator](row[column], value));
+    return this;
+  }
+
+  not(column, operator, value) {
+    this.filterError = this.filterError || invalidFilterValue(value);
+    this.filters.push(row => !operators[operator](row[column], value));
+    return this;
+  }
+
+  /**
+   * PostgREST or filter, e.g. "expires_at.is.null,expires_at.gt.2024-01-01T00:00:00.000Z"
+   */
+  or(conditions) {
+    const parsed = conditions.split(',').map(condition => {
+      const [, column, operator, value] = condition.match(/^([^.]+)\.([^.]+)\.(.*)$/);
+      return { column, operator, value: operator === 'is' && value === 'null' ? null : value };
+    });
+    this.filters.push(row => parsed.some(({ column, operator, value }) => operators[operator](row[column], value)));
+    return this;
+  }
+
+  match(query) {
+    Object.entries(query).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+    this.orders.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
+
+  limit(count) {
+    this.rangeFrom = this.rangeFrom || 0;
+    this.rangeTo = this.rangeFrom + count - 1;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    let result;
+    try {
+      result = this.execute();
+    } catch (err) {
+      result = { data: null, error: { code: err.code, message: err.message }, count: null };
+    }
+    return Promise.resolve(result).then(resolve, reject);
+  }
+
+  matches(row) {
+    return this.filters.every(filter => filter(row));
+  }
+
+  project(row) {
+    if (!this.columns || this.columns.trim() === '*') {
+      return copy(row);
+    }
+    const projected = {};
+    this.columns.split(',').map(column => column.trim()).forEach(column => {
+      projected[column] = row[column] === undefined ? null : row[column];
+    });
+    return copy(projected);
+  }
+
+  execute() {
+    const { tables } = this.database;
+
+    if (this.filterError) {
+      throw new Error(this.filterError);
+    }
+    if (this.action !== 'select' && !tables[this.table]) {
+      throw new Error(`relation "${this.table}" is not writable`);
+    }
+
+    let rows;
+    switch (this.action) {
+      case 'insert':
+        rows = this.database.insertRows(this.table, this.values);
+        break;
+      case 'update':
+        rows = tables[this.table].filter(row => this.matches(row));
+        rows.forEach(row => {
+          const old = copy(row);
+          Object.entries(this.values).forEach(([column, value]) => {
+            row[column] = serialize(value);
+          });
+          if (touchedColumns[this.table]) {
+            row[touchedColumns[this.table]] = new Date().toISOString();
+          }
+          if (triggers[this.table] && this.values.files !== undefined) {
+            triggers[this.table].update(tables, row, old);
+          }
+        });
+        break;
+      case 'delete':
+        rows = tables[this.table].filter(row => this.matches(row));
+        this.database.deleteRows(this.table, rows);
+        break;
+      default:
+        rows = this.database.readRelation(this.table).filter(row => this.matches(row));
+    }
+
+    if (this.action !== 'select' && !this.returning) {
+      return { data: null, error: null, count: null };
+    }
+
+    if (this.orders.length > 0) {
+      rows = rows.slice().sort((a, b) => {
+        for (const { column, ascending, nullsFirst } of this.orders) {
+          const aNull = a[column] === null || a[column] === undefined;
+          const bNull = b[column] === null || b[column] === undefined;
+          if (aNull !== bNull) return aNull === nullsFirst ? -1 : 1;
+          const result = compare(a[column], b[column]);
+          if (result !== 0) return ascending ? result : -result;
+        }
+        return 0;
+      });
+    }
+
+    const count = this.countMode ? rows.length : null;
+
+    if (this.rangeFrom !== null) {
+      rows = rows.slice(this.rangeFrom, this.rangeTo + 1);
+    }
+    if (this.database.maxRows) {
+      rows = rows.slice(0, this.database.maxRows);
+    }
+
+    const data = rows.map(row => this.project(row));
+
+    if (this.singleMode) {
+      if (data.length === 1) {
+        return { data: data[0], error: null, count };
+      }
+      if (data.length === 0 && this.singleMode === 'maybeSingle') {
+        return { data: null, error: null, count };
+      }
+      return {
+        data: null,
+        error: {
+          code: 'PGRST116',
+          message: 'JSON object requested, multiple (or no) rows returned',
+          details: `The result contains ${data.length} rows`
+        },
+        count
+      };
+    }
+
+    return { data: this.head ? null : data, error: null, count };
+  }
+}
+
+// Shorthand filter methods: .eq(), .gt(), .in(), ...
+Object.keys(operators).forEach(operator => {
+  MemoryQuery.prototype[operator] = function (column, value) {
+    return this.filter(column, operator, value);
+  };
+});
+
+/**
+ * In-memory database client, exposing from() and rpc() like a Supabase client
+ */
+class MemoryDatabase {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Drop all data
+   */
+  reset() {
+    // Most rows returned per query, like PostgREST's max-rows (null = no cap)
+    this.maxRows = null;
+    this.tables = {};
+    Object.keys(schema).forEach(table => {
+      this.tables[table] = [];
+    });
+  }
+
+  from(table) {
+    return new MemoryQuery(this, table);
+  }
+
+  async rpc(name, args = {}) {
+    if (!functions[name]) {
+      return { data: null, error: { message: `function ${name} does not exist` } };
+    }
+    try {
+      return { data: copy(functions[name](this.tables, args)), error: null };
+    } catch (err) {
+      return { data: null, error: { code: err.code, message: err.message } };
+    }
+  }
+
+  readRelation(name) {
+    if (this.tables[name]) return this.tables[name];
+    if (views[name]) return views[name](this.tables);
+    throw new Error(`relation "${name}" does not exist`);
+  }
+
+  insertRows(table, values) {
+    const columns = schema[table];
+    const rows = values.map(value => {
+      const row = {};
+      Object.entries(columns).forEach(([column, fallback]) => {
+        if (value[column] !== undefined) {
+          row[column] = serialize(value[column]);
+        } else {
+          row[column] = typeof fallback === 'function' ? fallback() : fallback;
+        }
+      });
+      return row;
+    });
+
+    rows.forEach((row, index) => {
+      const earlier = [...this.tables[table], ...rows.slice(0, index)];
+      if (row.id !== undefined && earlier.some(existing => existing.id === row.id)) {
+        throw databaseError('23505', `duplicate key value violates unique constraint "${table}_pkey"`);
+      }
+      (uniqueKeys[table] || []).forEach(columns => {
+        if (earlier.some(existing => columns.every(column => existing[column] === row[column]))) {
+          throw databaseError('23505', `duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`);
+        }
+      });
+    });
+
+    this.tables[table].push(...rows);
+    if (triggers[table]) {
+      rows.forEach(row => triggers[table].insert(this.tables, row));
+    }
+    return rows;
+  }
+
+  deleteRows(table, rows) {
+    const removed = new Set(rows);
+    const ids = new Set(rows.map(row => row.id));
+    this.tables[table] = this.tables[table].filter(row => !removed.has(row));
+    if (triggers[table]) {
+      rows.forEach(row => triggers[table].delete(this.tables, row));
+    }
+
+    (cascades[table] || []).forEach(({ table: child, column }) => {
+      const children = this.tables[child].filter(row => ids.has(row[column]));
+      this.deleteRows(child, children);
+    });
+  }
+}
+
+module.exports = new MemoryDatabase();
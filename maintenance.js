@@ -0,0 +1,68 @@
+require('dotenv').config();
+const fs = require('fs');
+const { runJobs, startScheduler, jobNames } = require('./utils/maintenance');
+
+/**
+ * Maintenance worker: queued and orphaned file cleanup, thread pruning, ban
+ * expiry, rate limit cleanup, stats refresh and thread count repair
+ *
+ *   node maintenance.js                  run every job on its interval
+ *   node maintenance.js --once           run every job once and exit
+ *   node maintenance.js --once --jobs=counts   recount every thread's replies and images
+ *   node maintenance.js --jobs=orphans,stats
+ *   node maintenance.js --once --dry-run report what would be deleted
+ *   node maintenance.js --report=report.json
+ *
+ * Each run's JSON report is printed to stdout, and written to the --report
+ * file when given (the latest run only). Jobs are locked in the database,
+ * so several workers, or API processes running the jobs inline with
+ * MAINTENANCE_WORKER=inline, never run the same job at the same time.
+ *
+ * The worker needs a shared database: with DB_DRIVER=memory it would see an
+ * empty store of its own and delete every upload as orphaned.
+ */
+
+const option = (name) => {
+  const arg = process.argv.find(value => value === `--${name}` || value.startsWith(`--${name}=`));
+  if (!arg) return null;
+  return arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : true;
+};
+
+const once = Boolean(option('once'));
+const dryRun = Boolean(option('dry-run'));
+const reportPath = option('report');
+const names = option('jobs') ? option('jobs').split(',').map(name => name.trim()) : jobNames;
+
+const output = (report) => {
+  const json = JSON.stringify(report, null, 2);
+  console.log(json);
+  if (reportPath) {
+    fs.writeFileSync(reportPath, `${json}\n`);
+  }
+};
+
+if (process.env.DB_DRIVER === 'memory') {
+  console.error('Error starting maintenance: the worker cannot share the API\'s in-memory database. Set MAINTENANCE_WORKER=inline to run the jobs in the API process instead.');
+  process.exitCode = 1;
+} else if (once) {
+  runJobs(names, { dryRun })
+    .then(report => {
+      output(report);
+      process.exitCode = Object.values(report.jobs).some(job => job.error) ? 1 : 0;
+    })
+    .catch(err => {
+      console.error('Error running maintenance:', err.message);
+      process.exitCode = 1;
+    });
+} else {
+  try {
+    const stop = startScheduler({ names, dryRun, onReport: output });
+    console.error(`Maintenance worker running: ${names.join(', ')}${dryRun ? ' (dry run)' : ''}`);
+
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  } catch (err) {
+    console.error('Error starting maintenance:', err.message);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,58 @@
+const { findBySession, hasRole } = require('../utils/staff');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+/**
+ * Read the bearer token from the Authorization header
+ */
+const getToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+/**
+ * Require a logged-in staff member with at least the given role
+ *
+ * Attaches the staff member to req.staff and the session token to req.staffToken.
+ *
+ * @param {string} [minimumRole='janitor'] - janitor, moderator or admin
+ */
+exports.requireStaff = (minimumRole = 'janitor') => async (req, res, next) => {
+  try {
+    const token = getToken(req);
+    if (!token) {
+      throw new UnauthorizedError();
+    }
+
+    const staff = await findBySession(token);
+    if (!staff) {
+      throw new UnauthorizedError();
+    }
+
+    if (!hasRole(staff.role, minimumRole)) {
+      throw new ForbiddenError(`This action requires the ${minimumRole} role`);
+    }
+
+    req.staff = staff;
+    req.staffToken = token;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Attach the staff member to req.staff when a valid session token is sent,
+ * without rejecting anonymous requests
+ */
+exports.optionalStaff = async (req, res, next) => {
+  try {
+    const token = getToken(req);
+    if (token) {
+      req.staff = await findBySession(token);
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
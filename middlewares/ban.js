@@ -0,0 +1,22 @@
+const { getClientIp, findActiveBans, publicBan } = require('../utils/bans');
+
+/**
+ * Reject posting attempts from banned IPs on the current board
+ */
+exports.checkBan = async (req, res, next) => {
+  try {
+    const bans = await findActiveBans(getClientIp(req), req.board && req.board.slug);
+
+    if (bans.length > 0) {
+      return res.status(403).json({
+        error: 'You are banned from posting',
+        ban: publicBan(bans[0])
+      });
+    }
+
+    next();
+  } catch (err) {
+    console.error('Error checking bans:', err);
+    res.status(500).json({ error: 'Failed to check ban status' });
+  }
+};
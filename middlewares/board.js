@@ -0,0 +1,23 @@
+const { getBoard, getDefaultBoard } = require('../config/boards');
+
+/**
+ * Resolve the :board route parameter and attach the board to the request
+ */
+exports.loadBoard = (req, res, next) => {
+  const board = getBoard(req.params.board);
+
+  if (!board) {
+    return res.status(404).json({ error: 'Board not found' });
+  }
+
+  req.board = board;
+  next();
+};
+
+/**
+ * Attach the default board for legacy unscoped routes
+ */
+exports.useDefaultBoard = (req, res, next) => {
+  req.board = getDefaultBoard();
+  next();
+};
@@ -3,8 +3,13 @@ const path = require('path');
 const fs = require('fs');
 const sharp = require('sharp');
 const { v4: uuidv4 } = require('uuid');
+const { hashFile, perceptualHash, findFileBan, findDuplicate } = require('../utils/fileHashes');
+const { detectFileType, verifyImage, stripMetadata, mimeTypeOf } = require('../utils/fileType');
+const { probeVideo, extractFrame, videoToolsAvailable } = require('../utils/video');
+const { removeUploadedFiles } = require('../utils/fileUtils');
+const mediaStorage = require('../storage');
 
-// Configure upload directory
+// Configure the directory uploads are received and processed in
 const uploadDir = process.env.UPLOAD_DIRECTORY || './uploads';
 const thumbnailDir = path.join(uploadDir, 'thumbnails');
 
@@ -22,18 +27,15 @@ const storage = multer.diskStorage({
     cb(null, uploadDir);
   },
   filename: (req, file, cb) => {
-    // Generate a unique filename while preserving extension
-    const fileExt = path.extname(file.originalname);
-    const fileName = `${uuidv4()}${fileExt}`;
-    cb(null, fileName);
+    // The extension is added once the contents have been checked
+    cb(null, uuidv4());
   }
 });
 
-// Helper function to validate file types
+// Helper function to reject disallowed types early, going by the client's claim;
+// verifyUpload checks what the file really is
 const fileFilter = (req, file, cb) => {
-  // Get allowed file types from env, default to common image types
-  const allowedTypes = (process.env.ALLOWED_FILE_TYPES || 'image/jpeg,image/png,image/gif,image/webp')
-    .split(',');
+  const allowedTypes = req.board.allowedFileTypes;
   
   if (allowedTypes.includes(file.mimetype)) {
     cb(null, true);
@@ -42,57 +44,244 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
-// Configure upload middleware
-const upload = multer({
-  storage,
-  fileFilter,
-  limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 // 5MB default
+// Upload middleware per board, since each board sets its own size limit
+const uploaders = new Map();
+
+const getUploader = (board) => {
+  if (!uploaders.has(board.slug)) {
+    uploaders.set(board.slug, multer({
+      storage,
+      fileFilter,
+      limits: {
+        fileSize: board.maxFileSize
+      }
+    }));
   }
-});
+  return uploaders.get(board.slug);
+};
 
-// Middleware to process uploads and create thumbnails
-const processUpload = (req, res, next) => {
-  if (!req.file) {
-    return next();
+// Reason to refuse a video under the board's rules, or null if it's acceptable
+const videoRejection = (video, type, rules) => {
+  if (!video || !video.formats.includes(type.format)) {
+    return 'File could not be read as a video';
+  }
+  if (video.hasAudio && !rules.allowAudio) {
+    return 'Videos with sound are not allowed on this board';
   }
+  if (rules.maxDuration && video.duration > rules.maxDuration) {
+    return `Videos can be at most ${rules.maxDuration} seconds long`;
+  }
+  return null;
+};
+
+// Check a file's real type and store a copy without metadata.
+// Returns why the file is refused, or null.
+const verifyFile = async (req, file) => {
+  const allowedTypes = req.board.allowedFileTypes;
+  const type = await detectFileType(file.path);
+
+  if (!type || !allowedTypes.includes(type.mime)) {
+    return `File type not allowed. Allowed types: ${allowedTypes.join(', ')}`;
+  }
+
+  if (type.kind === 'video') {
+    if (!await videoToolsAvailable()) {
+      return 'Video uploads are not available on this server';
+    }
+
+    const video = await probeVideo(file.path);
+    const rejection = videoRejection(video, type, req.board.video);
+    if (rejection) return rejection;
+
+    file.width = video.width;
+    file.height = video.height;
+    file.duration = video.duration;
+    file.hasAudio = video.hasAudio;
+  } else if (!await verifyImage(file.path, type)) {
+    return 'File could not be read as an image';
+  }
+
+  // Fingerprint the bytes as uploaded, so file bans and duplicates match the
+  // file as it circulates rather than our stripped copy
+  file.sha256 = await hashFile(file.path);
+
+  // Store under the detected type's extension, replacing the raw upload
+  const storedPath = `${file.path}.${type.ext}`;
+  await stripMetadata(file.path, storedPath, type);
+  await fs.promises.unlink(file.path);
+
+  file.path = storedPath;
+  file.filename = path.basename(storedPath);
+  file.mimetype = type.mime;
+  file.size = (await fs.promises.stat(storedPath)).size;
+
+  return null;
+};
+
+// Middleware to check every upload's real type, refusing the post if any file is refused
+const verifyUploads = async (req, res, next) => {
+  try {
+    for (const file of req.files) {
+      const rejection = await verifyFile(req, file);
+      if (rejection) {
+        await removeUploadedFiles(req.files);
+        return res.status(400).json({ error: rejection, file: file.originalname });
+      }
+    }
+    next();
+  } catch (err) {
+    await removeUploadedFiles(req.files);
+    next(err);
+  }
+};
+
+// Largest thumbnail width and height for opening posts and replies
+const opThumbnailSize = parseInt(process.env.OP_THUMBNAIL_SIZE) || 250;
+const replyThumbnailSize = parseInt(process.env.REPLY_THUMBNAIL_SIZE) || 125;
+
+// Record a file's dimensions and animation, and create its still thumbnail
+const processFile = async (req, file) => {
+  file.thumbnailPath = null;
+  file.animated = false;
+
+  try {
+    let source = file.path;
+    let thumbnailName = `thumb_${path.basename(file.path)}`;
+
+    if (file.mimetype.startsWith('video/')) {
+      // Dimensions were probed already; the thumbnail comes from a frame near the start
+      source = await extractFrame(file.path, Math.min(1, (file.duration || 0) / 2));
+      thumbnailName = `thumb_${path.parse(file.path).name}.jpg`;
+    } else {
+      const { width, height, pages, delay } = await sharp(file.path).metadata();
+      file.width = width;
+      file.height = height;
+
+      // Animated GIF/WebP; the thumbnail shows the first frame
+      file.animated = pages > 1;
+      if (file.animated && delay) {
+        file.duration = delay.reduce((total, ms) => total + ms, 0) / 1000;
+      }
+    }
+
+    // Replies are posted to an existing thread and get smaller thumbnails
+    const size = req.params.id ? replyThumbnailSize : opThumbnailSize;
+    const thumbnailPath = path.join(thumbnailDir, thumbnailName);
+
+    // Fit within size x size, keeping the aspect ratio and never enlarging
+    const thumbnail = await sharp(source)
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+      .toFile(thumbnailPath);
+
+    file.thumbnailPath = thumbnailPath;
+    file.thumbnailWidth = thumbnail.width;
+    file.thumbnailHeight = thumbnail.height;
+  } catch (err) {
+    console.error('Error creating thumbnail:', err);
+  }
+};
+
+// Middleware to create thumbnails for every upload
+const processUploads = async (req, res, next) => {
+  for (const file of req.files) {
+    await processFile(req, file);
+  }
+  next();
+};
+
+// Middleware to refuse banned or duplicate files, by the SHA-256 taken of
+// the raw upload and a perceptual hash of the image
+const checkUploads = async (req, res, next) => {
+  try {
+    for (const file of req.files) {
+      file.phash = file.mimetype.startsWith('image/') ? await perceptualHash(file.path) : null;
+
+      const ban = await findFileBan(file, req.board.duplicateFiles.perceptualDistance);
+      if (ban) {
+        await removeUploadedFiles(req.files);
+        return res.status(403).json({ error: 'This file is banned', reason: ban.reason, file: file.originalname });
+      }
+    }
+
+    const hashes = req.files.map(file => file.sha256);
+    if (new Set(hashes).size < hashes.length) {
+      await removeUploadedFiles(req.files);
+      return res.status(409).json({ error: 'The same file is attached more than once' });
+    }
+
+    for (const file of req.files) {
+      // Replies are checked against their thread
+      const duplicate = await findDuplicate(req.board, req.params.id || null, file);
+      if (duplicate) {
+        await removeUploadedFiles(req.files);
+        return res.status(409).json({
+          error: duplicate.scope === 'thread'
+            ? 'This file has already been posted in this thread'
+            : 'This file has already been posted on this board recently',
+          file: file.originalname,
+          duplicate: duplicate.record
+        });
+      }
+    }
 
-  // Generate thumbnail for images
-  const isImage = req.file.mimetype.startsWith('image/');
-  
-  if (isImage) {
-    const thumbnailPath = path.join(thumbnailDir, `thumb_${path.basename(req.file.path)}`);
-    
-    // Create a 200px wide thumbnail
-    sharp(req.file.path)
-      .resize(200)
-      .toFile(thumbnailPath)
-      .then(() => {
-        // Add thumbnail path to the file object
-        req.file.thumbnailPath = thumbnailPath;
-        next();
-      })
-      .catch(err => {
-        console.error('Error creating thumbnail:', err);
-        req.file.thumbnailPath = null;
-        next();
-      });
-  } else {
-    // No thumbnail for non-image files
-    req.file.thumbnailPath = null;
     next();
+  } catch (err) {
+    await removeUploadedFiles(req.files);
+    next(err);
   }
 };
 
-// Create middleware that combines multer and thumbnail creation
+// Storage key of a file received in the upload directory, e.g. "thumbnails/thumb_abc.jpg"
+const storageKey = (filePath) => path.relative(uploadDir, filePath).split(path.sep).join('/');
+
+// Middleware to move accepted uploads and their thumbnails into media storage
+const storeUploads = async (req, res, next) => {
+  try {
+    for (const file of req.files) {
+      const key = storageKey(file.path);
+      await mediaStorage.save(key, file.path, file.mimetype);
+      file.key = key;
+
+      if (file.thumbnailPath) {
+        const thumbnailKey = storageKey(file.thumbnailPath);
+        await mediaStorage.save(thumbnailKey, file.thumbnailPath, mimeTypeOf(thumbnailKey));
+        file.thumbnailKey = thumbnailKey;
+      }
+    }
+    next();
+  } catch (err) {
+    await removeUploadedFiles(req.files);
+    next(err);
+  }
+};
+
+// Receive up to the board's number of files, always leaving req.files set
+const receiveFiles = (fieldName) => (req, res, next) => {
+  const { maxFiles } = req.board;
+
+  getUploader(req.board).array(fieldName, maxFiles)(req, res, (err) => {
+    if (err && err.code === 'LIMIT_UNEXPECTED_FILE' && err.field === fieldName) {
+      return res.status(400).json({ error: `At most ${maxFiles} ${maxFiles === 1 ? 'file' : 'files'} can be attached` });
+    }
+    if (err) return next(err);
+
+    req.files = req.files || [];
+    next();
+  });
+};
+
+// Create middleware that combines multer, type checks, thumbnail creation, file checks and storage
 const fileUploadMiddleware = {
-  single: (fieldName) => {
+  // Files sent under one field name, kept in upload order
+  array: (fieldName) => {
     return [
-      upload.single(fieldName),
-      processUpload
+      receiveFiles(fieldName),
+      verifyUploads,
+      processUploads,
+      checkUploads,
+      storeUploads
     ];
-  },
-  // Add other methods (array, fields, etc.) if needed
+  }
 };
 
-module.exports = fileUploadMiddleware;
\ No newline at end of file
+module.exports = fileUploadMiddleware;
@@ -0,0 +1,27 @@
+const { isPostNumber, findIdByNumber } = require('../utils/postNumbers');
+
+/**
+ * Replace a post number in the :id route parameter with the matching UUID,
+ * so handlers accept either form
+ */
+const resolveNumber = (tables, notFound) => async (req, res, next) => {
+  if (!isPostNumber(req.params.id)) return next();
+
+  try {
+    const id = await findIdByNumber(tables, req.board.slug, req.params.id);
+
+    if (!id) {
+      return res.status(404).json({ error: notFound });
+    }
+
+    req.params.id = id;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.resolveThreadNumber = resolveNumber(['threads'], 'Thread not found');
+
+// A post number can belong to a reply or to an OP
+exports.resolvePostNumber = resolveNumber(['posts', 'threads'], 'Post not found');
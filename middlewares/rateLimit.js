@@ -1,25 +1,103 @@
 const rateLimit = require('express-rate-limit');
+const { listBoards } = require('../config/boards');
+const { getClientIp } = require('../utils/bans');
+const { removeUploadedFiles } = require('../utils/fileUtils');
+const { createStore } = require('../utils/rateLimitStore');
 
-// Configure rate limit settings from environment variables
+// Configure the general API budgets from environment variables. Reads and
+// writes are counted separately, so polling never uses up a client's posts.
 const windowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000; // 1 minute default
-const maxRequests = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 10; // 10 requests default
+const readWindowMs = parseInt(process.env.RATE_LIMIT_READ_WINDOW_MS) || windowMs;
+const readMax = parseInt(process.env.RATE_LIMIT_READ_MAX) || parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 120; // 120 reads default
+const writeWindowMs = parseInt(process.env.RATE_LIMIT_WRITE_WINDOW_MS) || windowMs;
+const writeMax = parseInt(process.env.RATE_LIMIT_WRITE_MAX) || 30; // 30 writes default
 
-// Create and export the rate limiter middleware
-const limiter = rateLimit({
-  windowMs,
-  max: maxRequests,
+// Methods that only read
+const READ_METHODS = ['GET', 'HEAD'];
+
+// Messages for each posting budget
+const actionMessages = {
+  thread: 'You must wait before creating another thread',
+  reply: 'You must wait before replying again',
+  imageReply: 'You must wait before posting another image',
+  delete: 'Too many deletion attempts, please try again later',
+  report: 'Too many reports, please try again later'
+};
+
+/**
+ * Respond with 429 and how long the client has to wait
+ */
+const limitReached = (message) => (req, res) => {
+  // The uploads are useless once the request is refused
+  removeUploadedFiles(req.files);
+
+  const retryAfter = Math.max(1, Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000));
+  res.status(429).json({ error: message, retryAfter });
+};
+
+/**
+ * General budget for API reads (GET and HEAD)
+ */
+exports.readLimiter = rateLimit({
+  windowMs: readWindowMs,
+  limit: readMax,
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
-  message: {
-    error: 'Too many requests, please try again later.',
-    retryAfter: Math.ceil(windowMs / 1000)
-  },
-  // Add IP whitelist for specific trusted clients if needed
-  skip: (req) => {
-    // Example: Skip rate limiting for specific IPs or admin routes
-    // return req.ip === '127.0.0.1' || req.path.startsWith('/admin');
-    return false;
-  }
+  store: createStore('api:read:'),
+  keyGenerator: (req) => getClientIp(req),
+  skip: (req) => !READ_METHODS.includes(req.method),
+  // Conditional GETs answered with 304 don't count against the limit
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode === 304,
+  handler: limitReached('Too many requests, please try again later.')
+});
+
+/**
+ * General budget for API writes (every other method), on top of the
+ * per-board posting budgets
+ */
+exports.writeLimiter = rateLimit({
+  windowMs: writeWindowMs,
+  limit: writeMax,
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: createStore('api:write:'),
+  keyGenerator: (req) => getClientIp(req),
+  skip: (req) => READ_METHODS.includes(req.method),
+  handler: limitReached('Too many requests, please try again later.')
+});
+
+// Posting budgets, one limiter per board and action
+const actionLimiters = new Map();
+
+listBoards().forEach(board => {
+  Object.entries(board.rateLimits).forEach(([action, { max, windowSeconds }]) => {
+    if (!max || !windowSeconds) return;
+
+    actionLimiters.set(`${board.slug}:${action}`, rateLimit({
+      windowMs: windowSeconds * 1000,
+      limit: max,
+      standardHeaders: true,
+      legacyHeaders: false,
+      store: createStore(`${board.slug}:${action}:`),
+      keyGenerator: (req) => getClientIp(req),
+      // Only image replies use the image budget
+      skip: action === 'imageReply' ? (req) => req.files.length === 0 : undefined,
+      // Rejected posts don't start a cooldown, but failed deletions count
+      // against the budget so deletion passwords can't be guessed quickly
+      skipFailedRequests: action !== 'delete',
+      handler: limitReached(actionMessages[action])
+    }));
+  });
 });
 
-module.exports = limiter;
\ No newline at end of file
+/**
+ * Apply the current board's budget for an action
+ *
+ * @param {string} action - thread, reply, imageReply, delete or report
+ * @returns {Function} Express middleware
+ */
+exports.actionLimit = (action) => (req, res, next) => {
+  const limiter = actionLimiters.get(`${req.board.slug}:${action}`);
+  return limiter ? limiter(req, res, next) : next();
+};
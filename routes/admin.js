@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/admin');
+const banController = require('../controllers/ban');
+const reportController = require('../controllers/report');
+const fileBanController = require('../controllers/fileBan');
+const { requireStaff } = require('../middlewares/auth');
+const {
+  validateLogin,
+  validateStaff,
+  validateModAction,
+  validateFileAction,
+  validateMove,
+  validateBan,
+  validatePosterBan,
+  validateAppealReview,
+  validateFileBan,
+  validatePostFileBan,
+  validateUuidParam
+} = require('../utils/validations');
+
+// Threads, posts, bans, file bans, staff and report targets are all addressed by UUID
+router.param('id', validateUuidParam);
+router.param('targetId', validateUuidParam);
+
+/**
+ * Session routes
+ */
+
+// Log in with a staff account
+router.post('/login', validateLogin, adminController.login);
+
+// End the current session
+router.post('/logout', requireStaff(), adminController.logout);
+
+// Get the logged-in staff member
+router.get('/me', requireStaff(), adminController.getMe);
+
+/**
+ * Content removal (janitors and up)
+ */
+
+// Delete any thread
+router.delete('/thread/:id', requireStaff('janitor'), validateModAction, adminController.deleteThread);
+
+// Delete any post
+router.delete('/post/:id', requireStaff('janitor'), validateModAction, adminController.deletePost);
+
+// Delete only the file of a thread or post
+router.delete('/thread/:id/file', requireStaff('janitor'), validateFileAction, adminController.deleteThreadFile);
+router.delete('/post/:id/file', requireStaff('janitor'), validateFileAction, adminController.deletePostFile);
+
+/**
+ * Report queue (janitors and up)
+ */
+
+// Reported threads and posts, most reported first
+router.get('/reports', requireStaff('janitor'), reportController.getReportQueue);
+
+// Close the open reports on a thread or post
+router.post('/reports/:targetType/:targetId/resolve', requireStaff('janitor'), reportController.resolveReports);
+router.post('/reports/:targetType/:targetId/dismiss', requireStaff('janitor'), reportController.dismissReports);
+
+/**
+ * Thread management (moderators and up)
+ */
+
+// Sticky/unsticky a thread
+router.post('/thread/:id/sticky', requireStaff('moderator'), validateModAction, adminController.stickyThread);
+router.delete('/thread/:id/sticky', requireStaff('moderator'), validateModAction, adminController.unstickyThread);
+
+// Lock/unlock a thread
+router.post('/thread/:id/lock', requireStaff('moderator'), validateModAction, adminController.lockThread);
+router.delete('/thread/:id/lock', requireStaff('moderator'), validateModAction, adminController.unlockThread);
+
+// Move a thread to another board
+router.post('/thread/:id/move', requireStaff('moderator'), validateMove, adminController.moveThread);
+
+// Query the moderation log
+router.get('/log', requireStaff('moderator'), adminController.getModLog);
+
+/**
+ * Bans (moderators and up)
+ */
+
+// List bans, optionally only those with pending appeals
+router.get('/bans', requireStaff('moderator'), banController.listBans);
+
+// Ban an IP address or CIDR range
+router.post('/bans', requireStaff('moderator'), validateBan, banController.createBan);
+
+// Ban the author of a thread or post
+router.post('/thread/:id/ban', requireStaff('moderator'), validatePosterBan, banController.banThreadPoster);
+router.post('/post/:id/ban', requireStaff('moderator'), validatePosterBan, banController.banPostPoster);
+
+// Lift a ban
+router.delete('/bans/:id', requireStaff('moderator'), validateModAction, banController.liftBan);
+
+// Accept or deny a ban appeal
+router.post('/bans/:id/appeal', requireStaff('moderator'), validateAppealReview, banController.reviewAppeal);
+
+/**
+ * File bans (moderators and up)
+ */
+
+// List banned file hashes
+router.get('/file-bans', requireStaff('moderator'), fileBanController.listFileBans);
+
+// Ban a file by hash
+router.post('/file-bans', requireStaff('moderator'), validateFileBan, fileBanController.createFileBan);
+
+// Ban the file attached to a thread or post
+router.post('/thread/:id/file/ban', requireStaff('moderator'), validatePostFileBan, fileBanController.banThreadFile);
+router.post('/post/:id/file/ban', requireStaff('moderator'), validatePostFileBan, fileBanController.banPostFile);
+
+// Lift a file ban
+router.delete('/file-bans/:id', requireStaff('moderator'), validateModAction, fileBanController.deleteFileBan);
+
+/**
+ * Staff accounts (admins only)
+ */
+
+router.get('/staff', requireStaff('admin'), adminController.listStaff);
+router.post('/staff', requireStaff('admin'), validateStaff, adminController.createStaff);
+router.delete('/staff/:id', requireStaff('admin'), adminController.deleteStaff);
+
+module.exports = router;
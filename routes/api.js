@@ -1,48 +1,54 @@
 const express = require('express');
 const router = express.Router();
-const threadController = require('../controllers/thread');
-const fileUpload = require('../middlewares/fileUpload');
-const { validateThread, validatePost } = require('../utils/validations');
+const boardController = require('../controllers/board');
+const { loadBoard, useDefaultBoard } = require('../middlewares/board');
+const boardRoutes = require('./board');
+const adminRoutes = require('./admin');
+const banController = require('../controllers/ban');
+const searchController = require('../controllers/search');
+const { validateAppeal, validateSearch } = require('../utils/validations');
 
 /**
- * Thread routes
+ * Board routes
  */
 
-// Get all threads (paginated)
-router.get('/threads', threadController.getThreads);
+// List all boards
+router.get('/boards', boardController.getBoards);
 
-// Get a specific thread with its replies
-router.get('/thread/:id', threadController.getThread);
+// Get a single board's settings
+router.get('/boards/:board', boardController.getBoard);
 
-// Create a new thread
-router.post('/thread', 
-  fileUpload.single('file'),
-  validateThread, 
-  threadController.createThread
-);
+/**
+ * Search
+ */
 
-// Reply to a thread
-router.post('/thread/:id/reply', 
-  fileUpload.single('file'),
-  validatePost, 
-  threadController.replyToThread
-);
+// Search threads and posts across boards
+router.get('/search', validateSearch, searchController.search);
 
-// Delete a thread (with tripcode verification)
-router.delete('/thread/:id', threadController.deleteThread);
+/**
+ * Staff routes
+ */
+
+router.use('/admin', adminRoutes);
 
 /**
- * Post routes
+ * Ban status and appeals
  */
 
-// Delete a post (with tripcode verification)
-router.delete('/post/:id', threadController.deletePost);
+// Check whether the client is banned
+router.get('/banned', banController.getBanStatus);
+
+// Appeal a ban
+router.post('/banned/appeal', validateAppeal, banController.appealBan);
 
 /**
- * Board stats
+ * Thread and post routes
  */
 
-// Get board statistics
-router.get('/stats', threadController.getBoardStats);
+// Legacy unscoped routes operate on the default board
+router.use('/', useDefaultBoard, boardRoutes);
+
+// Board-scoped routes, e.g. /api/b/threads
+router.use('/:board', loadBoard, boardRoutes);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const threadController = require('../controllers/thread');
+const fileUpload = require('../middlewares/fileUpload');
+const reportController = require('../controllers/report');
+const liveController = require('../controllers/live');
+const { checkBan } = require('../middlewares/ban');
+const { optionalStaff } = require('../middlewares/auth');
+const { resolveThreadNumber, resolvePostNumber } = require('../middlewares/postNumber');
+const { actionLimit } = require('../middlewares/rateLimit');
+const { validateThread, validatePost, validateReport } = require('../utils/validations');
+
+/**
+ * Thread routes
+ *
+ * Mounted under a board prefix, every handler reads the board from req.board.
+ * :id accepts a post number or a UUID.
+ */
+
+// Get all threads (paginated)
+router.get('/threads', threadController.getThreads);
+
+// Stream live updates for the board index
+router.get('/live', liveController.boardLive);
+
+// Get every live thread in one compact listing
+router.get('/catalog', threadController.getCatalog);
+
+// Get archived threads (paginated)
+router.get('/archive', threadController.getArchive);
+
+// Get a specific thread with its replies
+router.get('/thread/:id', resolveThreadNumber, optionalStaff, threadController.getThread);
+
+// Stream live updates for a thread
+router.get('/thread/:id/live', resolveThreadNumber, liveController.threadLive);
+
+// Create a new thread
+router.post('/thread', 
+  checkBan,
+  actionLimit('thread'),
+  fileUpload.array('file'),
+  validateThread, 
+  threadController.createThread
+);
+
+// Reply to a thread
+router.post('/thread/:id/reply', 
+  checkBan,
+  resolveThreadNumber,
+  actionLimit('reply'),
+  fileUpload.array('file'),
+  actionLimit('imageReply'),
+  validatePost, 
+  threadController.replyToThread
+);
+
+// Delete a thread (with deletion password verification)
+router.delete('/thread/:id', actionLimit('delete'), resolveThreadNumber, threadController.deleteThread);
+
+// Report a thread
+router.post('/thread/:id/report',
+  checkBan,
+  resolveThreadNumber,
+  actionLimit('report'),
+  validateReport,
+  reportController.reportThread
+);
+
+/**
+ * Post routes
+ */
+
+// Get a post and the replies to it
+router.get('/post/:id/replies', resolvePostNumber, threadController.getPostReplies);
+
+// Delete a post (with deletion password verification)
+router.delete('/post/:id', actionLimit('delete'), resolvePostNumber, threadController.deletePost);
+
+// Report a post
+router.post('/post/:id/report',
+  checkBan,
+  resolvePostNumber,
+  actionLimit('report'),
+  validateReport,
+  reportController.reportPost
+);
+
+/**
+ * Board stats
+ */
+
+// Get board statistics
+router.get('/stats', threadController.getBoardStats);
+
+module.exports = router;
\ No newline at end of file
@@ -2,6 +2,10 @@ require('dotenv').config();
 const app = require('./app');
 const fs = require('fs');
 const path = require('path');
+const { listBoards } = require('./config/boards');
+const { ensureBootstrapAdmin } = require('./utils/staff');
+const { startScheduler } = require('./utils/maintenance');
+const { videoToolsAvailable } = require('./utils/video');
 
 // Create uploads directory if it doesn't exist
 const uploadDir = process.env.UPLOAD_DIRECTORY || './uploads';
@@ -17,11 +21,32 @@ if (!fs.existsSync(thumbnailDir)) {
   console.log(`Created thumbnails directory: ${thumbnailDir}`);
 }
 
+// Check for ffmpeg up front; without it video uploads are refused
+if (listBoards().some(board => board.allowedFileTypes.some(type => type.startsWith('video/')))) {
+  videoToolsAvailable().then(available => {
+    if (!available) {
+      console.warn('ffmpeg/ffprobe not found: video uploads will be refused. Install ffmpeg or set FFMPEG_PATH and FFPROBE_PATH.');
+    }
+  });
+}
+
 // Set port
 const PORT = process.env.PORT || 3000;
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
-  console.log('/b/ is up and running!');
-});
\ No newline at end of file
+// Create the initial admin account, then start server
+ensureBootstrapAdmin()
+  .catch(err => {
+    console.error('Error creating admin account:', err);
+  })
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
+      console.log(`${listBoards().map(board => `/${board.slug}/`).join(' ')} up and running!`);
+
+      // Maintenance jobs run in a separate `node maintenance.js` worker, or
+      // here when MAINTENANCE_WORKER=inline
+      if (process.env.MAINTENANCE_WORKER === 'inline') {
+        startScheduler();
+      }
+    });
+  });
\ No newline at end of file
@@ -0,0 +1,28 @@
+/**
+ * Media storage used for uploaded files and thumbnails
+ *
+ * STORAGE_DRIVER selects the driver:
+ * - local (default): files on disk under UPLOAD_DIRECTORY, served by the API at /uploads
+ * - s3: an S3-compatible bucket (AWS S3, MinIO, ...)
+ *
+ * Both drivers expose the same interface, addressing files by keys such as
+ * "abc.jpg" and "thumbnails/thumb_abc.jpg":
+ * - save(key, filePath, contentType): store a local file under the key
+ * - delete(key): remove a stored file
+ * - exists(key): whether a file is stored under the key
+ * - list(): every stored file, as { key, modifiedAt }
+ * - url(key): public URL of a stored file
+ */
+const drivers = {
+  local: () => require('./local'),
+  s3: () => require('./s3')
+};
+
+const driver = process.env.STORAGE_DRIVER || 'local';
+
+if (!drivers[driver]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+}
+
+module.exports = drivers[driver]();
+
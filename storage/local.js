@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local disk storage
+ *
+ * Files live under UPLOAD_DIRECTORY, the same directory uploads are received
+ * in, so saving a freshly processed upload is usually a no-op. app.js serves
+ * the directory at /uploads; MEDIA_URL overrides the base of public URLs,
+ * e.g. to serve the files from a CDN.
+ */
+
+const root = path.resolve(process.env.UPLOAD_DIRECTORY || './uploads');
+const baseUrl = (process.env.MEDIA_URL || '/uploads').replace(/\/$/, '');
+
+/**
+ * Path on disk of a key
+ */
+const resolveKey = (key) => {
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+exports.save = async (key, filePath) => {
+  const target = resolveKey(key);
+  if (path.resolve(filePath) === target) return;
+
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+  try {
+    await fs.promises.rename(filePath, target);
+  } catch (err) {
+    // Renaming fails across devices
+    if (err.code !== 'EXDEV') throw err;
+    await fs.promises.copyFile(filePath, target);
+    await fs.promises.unlink(filePath);
+  }
+};
+
+exports.delete = async (key) => {
+  try {
+    await fs.promises.unlink(resolveKey(key));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+};
+
+exports.exists = async (key) => {
+  try {
+    await fs.promises.access(resolveKey(key));
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+exports.list = async () => {
+  const files = [];
+  const walk = async (directory) => {
+    const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    for (const entry of entries) {
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        await walk(entryPath);
+      } else {
+        const { mtime } = await fs.promises.stat(entryPath);
+        files.push({ key: path.relative(root, entryPath).split(path.sep).join('/'), modifiedAt: mtime });
+      }
+    }
+  };
+
+  await walk(root);
+  return files;
+};
+
+exports.url = (key) => `${baseUrl}/${key}`;
+
+// Directory served by app.js
+exports.root = root;
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+/**
+ * S3-compatible storage (AWS S3, MinIO, ...)
+ *
+ * Requests are signed with AWS Signature Version 4. Configured with:
+ * - S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+ * - S3_REGION (default us-east-1)
+ * - S3_ENDPOINT, for services other than AWS, e.g. http://localhost:9000 for MinIO
+ * - S3_FORCE_PATH_STYLE, to address the bucket in the path rather than the
+ *   host name; on by default when S3_ENDPOINT is set
+ * - S3_PUBLIC_URL, base of public file URLs, e.g. a CDN in front of the bucket;
+ *   the prefix is part of each URL
+ * - S3_PREFIX (default media/), folder in the bucket holding the media. Only
+ *   objects under it are listed, so orphan cleanup never touches the rest of
+ *   a shared bucket.
+ *
+ * Uploads are moved into the bucket: the local file is removed once stored.
+ */
+
+const bucket = process.env.S3_BUCKET;
+const region = process.env.S3_REGION || 'us-east-1';
+const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+const endpoint = new URL(process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`);
+const pathStyle = process.env.S3_FORCE_PATH_STYLE
+  ? process.env.S3_FORCE_PATH_STYLE === 'true'
+  : Boolean(process.env.S3_ENDPOINT);
+const prefix = (process.env.S3_PREFIX === undefined ? 'media' : process.env.S3_PREFIX)
+  .replace(/^\/+|\/+$/g, '');
+
+if (!bucket || !accessKeyId || !secretAccessKey) {
+  throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+}
+if (!prefix) {
+  throw new Error('S3_PREFIX cannot be empty: orphan cleanup would delete everything else in the bucket');
+}
+
+const bucketHost = pathStyle ? endpoint.host : `${bucket}.${endpoint.host}`;
+const bucketPath = pathStyle ? `/${bucket}` : '';
+const publicUrl = (process.env.S3_PUBLIC_URL || `${endpoint.protocol}//${bucketHost}${bucketPath}`).replace(/\/$/, '');
+
+// SHA-256 of an empty body
+const EMPTY_HASH = crypto.createHash('sha256').digest('hex');
+
+/**
+ * URI-encode following the SigV4 rules (RFC 3986 unreserved characters kept)
+ */
+const encode = (value, keepSlashes = false) => {
+  const encoded = encodeURIComponent(value)
+    .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return keepSlashes ? encoded.replace(/%2F/g, '/') : encoded;
+};
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+/**
+ * Sign a request, returning the headers to send with it
+ *
+ * @param {Object} request - Method, encoded path, canonical query string, headers and payload hash
+ */
+const sign = ({ method, path, query, headers, payloadHash }) => {
+  const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${region}/s3/aws4_request`;
+
+  const allHeaders = {
+    ...headers,
+    host: bucketHost,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const headerNames = Object.keys(allHeaders).map(name => name.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(Object.entries(allHeaders).map(([name, value]) => [name.toLowerCase(), value]));
+
+  const canonicalRequest = [
+    method,
+    path,
+    query,
+    headerNames.map(name => `${name}:${String(lowerHeaders[name]).trim()}\n`).join(''),
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+  ].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, date), region));
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...allHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+  };
+};
+
+/**
+ * Send a signed request for an object (or the bucket, with an empty key)
+ *
+ * @returns {Promise<{ status: number, body: string }>}
+ */
+const request = (method, key, { query = {}, headers = {}, body = null } = {}) => new Promise((resolve, reject) => {
+  const path = `${bucketPath}/${encode(key, true)}`;
+
+  // Sorted and encoded the way the signature expects, so it's sent as signed
+  const canonicalQuery = Object.keys(query)
+    .sort()
+    .map(name => `${encode(name)}=${encode(query[name])}`)
+    .join('&');
+
+  const signedHeaders = sign({
+    method,
+    path,
+    query: canonicalQuery,
+    headers,
+    payloadHash: body ? 'UNSIGNED-PAYLOAD' : EMPTY_HASH
+  });
+
+  const client = endpoint.protocol === 'https:' ? https : http;
+  const req = client.request({
+    method,
+    protocol: endpoint.protocol,
+    hostname: pathStyle ? endpoint.hostname : `${bucket}.${endpoint.hostname}`,
+    port: endpoint.port || undefined,
+    path: canonicalQuery ? `${path}?${canonicalQuery}` : path,
+    headers: signedHeaders
+  }, (res) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString('utf8') }));
+    res.on('error', reject);
+  });
+
+  req.on('error', reject);
+
+  if (body) {
+    body.on('error', reject).pipe(req);
+  } else {
+    req.end();
+  }
+});
+
+/**
+ * Error for an unexpected S3 response
+ */
+const s3Error = (method, key, { status, body }) => {
+  const code = (body.match(/<Code>([^<]*)<\/Code>/) || [])[1];
+  return new Error(`S3 ${method} ${key || '/'} failed with status ${status}${code ? ` (${code})` : ''}`);
+};
+
+const unescapeXml = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Object key of a storage key, inside the prefix
+const objectKey = (key) => `${prefix}/${key}`;
+
+exports.save = async (key, filePath, contentType) => {
+  const { size } = await fs.promises.stat(filePath);
+
+  const response = await request('PUT', objectKey(key), {
+    headers: {
+      'content-type': contentType || 'application/octet-stream',
+      'content-length': String(size),
+      // Keys are never reused, so stored files never change
+      'cache-control': 'public, max-age=31536000, immutable'
+    },
+    body: fs.createReadStream(filePath)
+  });
+
+  if (response.status !== 200) throw s3Error('PUT', key, response);
+
+  await fs.promises.unlink(filePath);
+};
+
+exports.delete = async (key) => {
+  const response = await request('DELETE', objectKey(key));
+  if (response.status !== 204 && response.status !== 200) throw s3Error('DELETE', key, response);
+};
+
+exports.exists = async (key) => {
+  const response = await request('HEAD', objectKey(key));
+  if (response.status === 404) return false;
+  if (response.status !== 200) throw s3Error('HEAD', key, response);
+  return true;
+};
+
+exports.list = async () => {
+  const files = [];
+  let continuationToken = null;
+
+  do {
+    const query = {
+      'list-type': '2',
+      prefix: `${prefix}/`,
+      ...(continuationToken && { 'continuation-token': continuationToken })
+    };
+    const response = await request('GET', '', { query });
+    if (response.status !== 200) throw s3Error('GET', '', response);
+
+    for (const [, contents] of response.body.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+      const key = contents.match(/<Key>([^<]*)<\/Key>/)[1];
+      const modified = contents.match(/<LastModified>([^<]*)<\/LastModified>/);
+      files.push({ key: unescapeXml(key).slice(prefix.length + 1), modifiedAt: modified ? new Date(modified[1]) : null });
+    }
+
+    const truncated = /<IsTruncated>true<\/IsTruncated>/.test(response.body);
+    const next = response.body.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/);
+    continuationToken = truncated && next ? unescapeXml(next[1]) : null;
+  } while (continuationToken);
+
+  return files;
+};
+
+exports.url = (key) => `${publicUrl}/${encode(objectKey(key), true)}`;
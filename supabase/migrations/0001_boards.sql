@@ -0,0 +1,22 @@
+-- Scope threads and posts to a board. Existing rows belong to /b/.
+alter table threads add column if not exists board text not null default 'b';
+alter table posts add column if not exists board text not null default 'b';
+
+create index if not exists threads_board_bumped_at_idx on threads (board, bumped_at desc);
+create index if not exists posts_board_idx on posts (board);
+
+-- One stats row per board
+drop view if exists board_stats;
+create view board_stats as
+select
+  t.board,
+  count(*)::int as total_threads,
+  coalesce(sum(p.posts), 0)::int as total_posts,
+  (count(t.file_path) + coalesce(sum(p.images), 0))::int as total_images
+from threads t
+left join (
+  select thread_id, count(*) as posts, count(file_path) as images
+  from posts
+  group by thread_id
+) p on p.thread_id = t.id
+group by t.board;
@@ -0,0 +1,5 @@
+-- Threads pushed off the last page are kept read-only in the archive
+alter table threads add column if not exists is_archived boolean not null default false;
+alter table threads add column if not exists archived_at timestamptz;
+
+create index if not exists threads_board_archived_idx on threads (board, is_archived, bumped_at desc);
@@ -0,0 +1,3 @@
+-- Deletion passwords are stored as scrypt hashes, separately from tripcodes
+alter table threads add column if not exists delete_password_hash text;
+alter table posts add column if not exists delete_password_hash text;
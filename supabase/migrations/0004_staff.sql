@@ -0,0 +1,40 @@
+-- Staff accounts, sessions and the moderation log
+create table if not exists staff (
+  id uuid primary key default gen_random_uuid(),
+  username text not null unique,
+  password_hash text not null,
+  role text not null check (role in ('janitor', 'moderator', 'admin')),
+  boards text[], -- null means all boards
+  created_at timestamptz not null default now()
+);
+
+create table if not exists staff_sessions (
+  id uuid primary key default gen_random_uuid(),
+  token_hash text not null unique,
+  staff_id uuid not null references staff (id) on delete cascade,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists mod_log (
+  id uuid primary key default gen_random_uuid(),
+  staff_id uuid references staff (id) on delete set null,
+  staff_username text not null,
+  action text not null,
+  board text,
+  target_type text,
+  target_id text,
+  details jsonb not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists mod_log_created_at_idx on mod_log (created_at desc);
+create index if not exists mod_log_board_idx on mod_log (board, created_at desc);
+
+-- Thread states set by staff
+alter table threads add column if not exists is_sticky boolean not null default false;
+alter table threads add column if not exists is_locked boolean not null default false;
+
+-- Files removed by staff while keeping the post
+alter table threads add column if not exists file_deleted boolean not null default false;
+alter table posts add column if not exists file_deleted boolean not null default false;
@@ -0,0 +1,24 @@
+-- IP and range bans, per board or global, with one appeal each
+create table if not exists bans (
+  id uuid primary key default gen_random_uuid(),
+  ip_range cidr not null,
+  board text, -- null means every board
+  reason text not null,
+  expires_at timestamptz, -- null means permanent
+  source_type text,
+  source_id uuid,
+  created_by uuid references staff (id) on delete set null,
+  created_by_username text,
+  lifted_at timestamptz,
+  lifted_by_username text,
+  appeal_text text,
+  appeal_status text check (appeal_status in ('pending', 'accepted', 'denied')),
+  appealed_at timestamptz,
+  appeal_note text,
+  appeal_reviewed_by_username text,
+  appeal_reviewed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists bans_active_idx on bans (created_at desc) where lifted_at is null;
+create index if not exists bans_appeal_status_idx on bans (appeal_status);
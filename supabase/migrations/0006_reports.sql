@@ -0,0 +1,18 @@
+-- User reports on threads and posts, one per IP per target
+create table if not exists reports (
+  id uuid primary key default gen_random_uuid(),
+  board text not null,
+  target_type text not null check (target_type in ('thread', 'post')),
+  target_id uuid not null,
+  thread_id uuid not null,
+  category text not null,
+  note text,
+  ip_address text,
+  status text not null default 'open' check (status in ('open', 'resolved', 'dismissed')),
+  closed_by_username text,
+  closed_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (target_type, target_id, ip_address)
+);
+
+create index if not exists reports_open_idx on reports (board, created_at) where status = 'open';
@@ -0,0 +1,3 @@
+-- Board index lists stickies first, then by bump order
+drop index if exists threads_board_archived_idx;
+create index if not exists threads_board_index_idx on threads (board, is_archived, is_sticky desc, bumped_at desc);
@@ -0,0 +1,11 @@
+-- Rendered comment HTML and the posts each comment quotes
+alter table threads add column if not exists comment_html text;
+alter table threads add column if not exists quotes uuid[] not null default '{}';
+alter table posts add column if not exists comment_html text;
+alter table posts add column if not exists quotes uuid[] not null default '{}';
+
+-- Quoting posts can be looked up from the quoted post
+create index if not exists posts_quotes_idx on posts using gin (quotes);
+
+-- Earlier replies referenced a single parent
+update posts set quotes = array[reply_to] where reply_to is not null and quotes = '{}';
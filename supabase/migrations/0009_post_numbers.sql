@@ -0,0 +1,40 @@
+-- Short post numbers, shared by threads and replies and counted per board
+create table if not exists board_counters (
+  board text primary key,
+  last_no bigint not null default 0
+);
+
+-- Take the next number on a board; the upsert locks the counter row
+create or replace function next_post_number(board_slug text)
+returns bigint
+language sql
+as $$
+  insert into board_counters (board, last_no)
+  values (board_slug, 1)
+  on conflict (board) do update set last_no = board_counters.last_no + 1
+  returning last_no;
+$$;
+
+alter table threads add column if not exists no bigint;
+alter table posts add column if not exists no bigint;
+
+-- Number existing threads and replies in posting order
+create temporary table post_numbers as
+select id, kind, board, row_number() over (partition by board order by created_at, id) as no
+from (
+  select id, 'thread' as kind, board, created_at from threads
+  union all
+  select id, 'post' as kind, board, created_at from posts
+) all_posts;
+
+update threads t set no = n.no from post_numbers n where n.kind = 'thread' and n.id = t.id;
+update posts p set no = n.no from post_numbers n where n.kind = 'post' and n.id = p.id;
+
+insert into board_counters (board, last_no)
+select board, max(no) from post_numbers group by board
+on conflict (board) do update set last_no = greatest(board_counters.last_no, excluded.last_no);
+
+drop table post_numbers;
+
+create unique index if not exists threads_board_no_idx on threads (board, no);
+create unique index if not exists posts_board_no_idx on posts (board, no);
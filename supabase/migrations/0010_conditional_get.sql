@@ -0,0 +1,34 @@
+-- When a thread last changed, for Last-Modified headers. Replies, deletions
+-- and count changes all update the thread row, so a trigger keeps it current.
+alter table threads add column if not exists updated_at timestamptz not null default now();
+
+update threads set updated_at = greatest(created_at, bumped_at, coalesce(archived_at, created_at));
+
+create or replace function touch_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+drop trigger if exists threads_touch_updated_at on threads;
+create trigger threads_touch_updated_at
+  before update on threads
+  for each row execute function touch_updated_at();
+
+create index if not exists threads_board_updated_at_idx on threads (board, updated_at desc);
+
+-- Deleted replies, so incremental thread fetches can report them
+create table if not exists post_deletions (
+  id uuid primary key default gen_random_uuid(),
+  board text not null,
+  thread_id uuid not null references threads (id) on delete cascade,
+  post_id uuid not null,
+  no bigint,
+  deleted_at timestamptz not null default now()
+);
+
+create index if not exists post_deletions_thread_idx on post_deletions (thread_id, deleted_at);
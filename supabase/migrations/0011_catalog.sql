@@ -0,0 +1,29 @@
+-- When a thread last got a reply, which saged replies don't bump
+alter table threads add column if not exists last_reply_at timestamptz;
+
+update threads t set last_reply_at = p.last_reply_at
+from (
+  select thread_id, max(created_at) as last_reply_at
+  from posts
+  group by thread_id
+) p
+where p.thread_id = t.id;
+
+-- The latest replies of several threads in one call, for board index previews
+create or replace function get_preview_posts(thread_ids uuid[], preview_count int default 3)
+returns setof posts
+language sql
+stable
+as $$
+  select * from posts
+  where id in (
+    select id from (
+      select id, row_number() over (partition by thread_id order by created_at desc) as preview_rank
+      from posts
+      where thread_id = any(thread_ids)
+    ) ranked
+    where preview_rank <= preview_count
+  );
+$$;
+
+create index if not exists posts_thread_created_at_idx on posts (thread_id, created_at desc);
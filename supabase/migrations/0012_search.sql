@@ -0,0 +1,76 @@
+-- Full-text search over subjects (A), comments (B) and names, tripcodes
+-- and original file names (C)
+alter table threads add column if not exists search_vector tsvector
+  generated always as (
+    setweight(to_tsvector('english', coalesce(subject, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(comment, '')), 'B') ||
+    setweight(to_tsvector('simple', coalesce(name, '') || ' ' || coalesce(tripcode, '') || ' ' || coalesce(file_name, '')), 'C')
+  ) stored;
+
+alter table posts add column if not exists search_vector tsvector
+  generated always as (
+    setweight(to_tsvector('english', coalesce(comment, '')), 'B') ||
+    setweight(to_tsvector('simple', coalesce(name, '') || ' ' || coalesce(tripcode, '') || ' ' || coalesce(file_name, '')), 'C')
+  ) stored;
+
+create index if not exists threads_search_idx on threads using gin (search_vector);
+create index if not exists posts_search_idx on posts using gin (search_vector);
+
+-- Threads and posts matching a web-style query, most relevant first, with
+-- the total number of matches on every row
+create or replace function search_posts(
+  search_query text,
+  board_filter text default null,
+  created_after timestamptz default null,
+  created_before timestamptz default null,
+  has_file boolean default null,
+  post_type text default null,
+  result_limit int default 20,
+  result_offset int default 0
+)
+returns table (
+  type text,
+  id uuid,
+  no bigint,
+  board text,
+  thread_id uuid,
+  subject text,
+  comment text,
+  name text,
+  tripcode text,
+  file_name text,
+  thumbnail_path text,
+  created_at timestamptz,
+  rank real,
+  total_count bigint
+)
+language sql
+stable
+as $$
+  with query as (
+    select websearch_to_tsquery('english', search_query) || websearch_to_tsquery('simple', search_query) as q
+  ),
+  matches as (
+    select 'thread'::text as type, t.id, t.no, t.board, t.id as thread_id, t.subject, t.comment,
+      t.name, t.tripcode, t.file_name, t.thumbnail_path, t.created_at,
+      ts_rank_cd(t.search_vector, query.q) as rank
+    from threads t, query
+    where t.search_vector @@ query.q
+    union all
+    select 'post'::text, p.id, p.no, p.board, p.thread_id, null, p.comment,
+      p.name, p.tripcode, p.file_name, p.thumbnail_path, p.created_at,
+      ts_rank_cd(p.search_vector, query.q)
+    from posts p, query
+    where p.search_vector @@ query.q
+  )
+  select m.*, count(*) over () as total_count
+  from matches m
+  where (board_filter is null or m.board = board_filter)
+    and (created_after is null or m.created_at >= created_after)
+    and (created_before is null or m.created_at < created_before)
+    and (has_file is null or (m.file_name is not null) = has_file)
+    and (post_type is null or m.type = post_type)
+  order by m.rank desc, m.created_at desc
+  limit result_limit
+  offset result_offset;
+$$;
@@ -0,0 +1,29 @@
+-- Rate limit counters shared by every API process (RATE_LIMIT_STORE=database)
+create table if not exists rate_limits (
+  key text primary key,
+  hits int not null default 0,
+  reset_at timestamptz not null
+);
+
+-- Count a hit, starting a new window when the previous one has ended
+create or replace function rate_limit_hit(limit_key text, window_ms int)
+returns table (hits int, reset_at timestamptz)
+language sql
+as $$
+  insert into rate_limits as r (key, hits, reset_at)
+  values (limit_key, 1, now() + window_ms * interval '1 millisecond')
+  on conflict (key) do update set
+    hits = case when r.reset_at <= now() then 1 else r.hits + 1 end,
+    reset_at = case when r.reset_at <= now() then excluded.reset_at else r.reset_at end
+  returning r.hits, r.reset_at;
+$$;
+
+-- Take back a hit for a request that shouldn't count
+create or replace function rate_limit_undo(limit_key text)
+returns void
+language sql
+as $$
+  update rate_limits set hits = greatest(hits - 1, 0) where key = limit_key;
+$$;
+
+create index if not exists rate_limits_reset_at_idx on rate_limits (reset_at);
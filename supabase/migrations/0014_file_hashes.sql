@@ -0,0 +1,23 @@
+-- Fingerprints of uploaded files: SHA-256 of the contents and a 64-bit
+-- perceptual hash (dHash) of images. Files uploaded earlier have none.
+alter table threads add column if not exists file_sha256 text;
+alter table threads add column if not exists file_phash text;
+alter table posts add column if not exists file_sha256 text;
+alter table posts add column if not exists file_phash text;
+
+create index if not exists threads_file_sha256_idx on threads (file_sha256) where file_sha256 is not null;
+create index if not exists posts_file_sha256_idx on posts (file_sha256) where file_sha256 is not null;
+create index if not exists posts_thread_file_sha256_idx on posts (thread_id, file_sha256) where file_sha256 is not null;
+
+-- Files refused at upload time on every board
+create table if not exists file_bans (
+  id uuid primary key default gen_random_uuid(),
+  sha256 text not null unique,
+  phash text,
+  reason text not null,
+  source_type text check (source_type in ('thread', 'post')),
+  source_id uuid,
+  created_by uuid references staff (id) on delete set null,
+  created_by_username text,
+  created_at timestamptz not null default now()
+);
@@ -0,0 +1,78 @@
+-- Image and thumbnail dimensions, and whether the poster marked the image
+-- as a spoiler. Files uploaded earlier have no dimensions.
+alter table threads add column if not exists file_width int;
+alter table threads add column if not exists file_height int;
+alter table threads add column if not exists thumbnail_width int;
+alter table threads add column if not exists thumbnail_height int;
+alter table threads add column if not exists file_spoiler boolean not null default false;
+alter table posts add column if not exists file_width int;
+alter table posts add column if not exists file_height int;
+alter table posts add column if not exists thumbnail_width int;
+alter table posts add column if not exists thumbnail_height int;
+alter table posts add column if not exists file_spoiler boolean not null default false;
+
+-- Search results carry what clients need to show the right thumbnail.
+-- The return type changes, so the function is recreated.
+drop function if exists search_posts(text, text, timestamptz, timestamptz, boolean, text, int, int);
+
+create function search_posts(
+  search_query text,
+  board_filter text default null,
+  created_after timestamptz default null,
+  created_before timestamptz default null,
+  has_file boolean default null,
+  post_type text default null,
+  result_limit int default 20,
+  result_offset int default 0
+)
+returns table (
+  type text,
+  id uuid,
+  no bigint,
+  board text,
+  thread_id uuid,
+  subject text,
+  comment text,
+  name text,
+  tripcode text,
+  file_name text,
+  thumbnail_path text,
+  thumbnail_width int,
+  thumbnail_height int,
+  file_spoiler boolean,
+  created_at timestamptz,
+  rank real,
+  total_count bigint
+)
+language sql
+stable
+as $$
+  with query as (
+    select websearch_to_tsquery('english', search_query) || websearch_to_tsquery('simple', search_query) as q
+  ),
+  matches as (
+    select 'thread'::text as type, t.id, t.no, t.board, t.id as thread_id, t.subject, t.comment,
+      t.name, t.tripcode, t.file_name, t.thumbnail_path, t.thumbnail_width, t.thumbnail_height,
+      t.file_spoiler, t.created_at,
+      ts_rank_cd(t.search_vector, query.q) as rank
+    from threads t, query
+    where t.search_vector @@ query.q
+    union all
+    select 'post'::text, p.id, p.no, p.board, p.thread_id, null, p.comment,
+      p.name, p.tripcode, p.file_name, p.thumbnail_path, p.thumbnail_width, p.thumbnail_height,
+      p.file_spoiler, p.created_at,
+      ts_rank_cd(p.search_vector, query.q)
+    from posts p, query
+    where p.search_vector @@ query.q
+  )
+  select m.*, count(*) over () as total_count
+  from matches m
+  where (board_filter is null or m.board = board_filter)
+    and (created_after is null or m.created_at >= created_after)
+    and (created_before is null or m.created_at < created_before)
+    and (has_file is null or (m.file_name is not null) = has_file)
+    and (post_type is null or m.type = post_type)
+  order by m.rank desc, m.created_at desc
+  limit result_limit
+  offset result_offset;
+$$;
@@ -0,0 +1,8 @@
+-- Animated images and videos: whether the file moves, how long it runs
+-- (seconds) and, for videos, whether it has sound
+alter table threads add column if not exists file_animated boolean not null default false;
+alter table threads add column if not exists file_duration real;
+alter table threads add column if not exists file_has_audio boolean;
+alter table posts add column if not exists file_animated boolean not null default false;
+alter table posts add column if not exists file_duration real;
+alter table posts add column if not exists file_has_audio boolean;
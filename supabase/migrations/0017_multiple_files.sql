@@ -0,0 +1,47 @@
+-- Every file attached to a thread or post, in upload order. Entries use the
+-- names of the single-file columns, which keep describing the first file
+-- for listings, search and older clients.
+alter table threads add column if not exists files jsonb not null default '[]';
+alter table posts add column if not exists files jsonb not null default '[]';
+
+-- Existing uploads become the first entry
+update threads set files = jsonb_build_array(jsonb_build_object(
+  'file_name', file_name, 'file_path', file_path, 'file_size', file_size, 'file_type', file_type,
+  'file_width', file_width, 'file_height', file_height, 'file_animated', file_animated,
+  'file_duration', file_duration, 'file_has_audio', file_has_audio, 'file_spoiler', file_spoiler,
+  'thumbnail_path', thumbnail_path, 'thumbnail_width', thumbnail_width, 'thumbnail_height', thumbnail_height,
+  'file_sha256', file_sha256, 'file_phash', file_phash
+))
+where file_path is not null and files = '[]';
+
+update posts set files = jsonb_build_array(jsonb_build_object(
+  'file_name', file_name, 'file_path', file_path, 'file_size', file_size, 'file_type', file_type,
+  'file_width', file_width, 'file_height', file_height, 'file_animated', file_animated,
+  'file_duration', file_duration, 'file_has_audio', file_has_audio, 'file_spoiler', file_spoiler,
+  'thumbnail_path', thumbnail_path, 'thumbnail_width', thumbnail_width, 'thumbnail_height', thumbnail_height,
+  'file_sha256', file_sha256, 'file_phash', file_phash
+))
+where file_path is not null and files = '[]';
+
+-- Duplicate and ban checks look files up by hash with files @> '[{"file_sha256": ...}]'
+create index if not exists threads_files_idx on threads using gin (files jsonb_path_ops);
+create index if not exists posts_files_idx on posts using gin (files jsonb_path_ops);
+drop index if exists threads_file_sha256_idx;
+drop index if exists posts_file_sha256_idx;
+drop index if exists posts_thread_file_sha256_idx;
+
+-- Count every attachment in the board stats
+drop view if exists board_stats;
+create view board_stats as
+select
+  t.board,
+  count(*)::int as total_threads,
+  coalesce(sum(p.posts), 0)::int as total_posts,
+  (sum(jsonb_array_length(t.files)) + coalesce(sum(p.images), 0))::int as total_images
+from threads t
+left join (
+  select thread_id, count(*) as posts, sum(jsonb_array_length(files)) as images
+  from posts
+  group by thread_id
+) p on p.thread_id = t.id
+group by t.board;
@@ -0,0 +1,36 @@
+-- Files are addressed by storage keys ("abc.jpg", "thumbnails/thumb_abc.jpg")
+-- rather than paths under the upload directory, so the same rows work with
+-- any storage driver. Rows stored with the default UPLOAD_DIRECTORY lose
+-- their "uploads/" prefix.
+update threads set
+  file_path = regexp_replace(file_path, '^(\./)?uploads/', ''),
+  thumbnail_path = regexp_replace(thumbnail_path, '^(\./)?uploads/', '')
+where file_path ~ '^(\./)?uploads/';
+
+update posts set
+  file_path = regexp_replace(file_path, '^(\./)?uploads/', ''),
+  thumbnail_path = regexp_replace(thumbnail_path, '^(\./)?uploads/', '')
+where file_path ~ '^(\./)?uploads/';
+
+-- Same for every entry of files, keeping their order
+update threads set files = (
+  select jsonb_agg(
+    entry
+      || jsonb_build_object('file_path', regexp_replace(entry->>'file_path', '^(\./)?uploads/', ''))
+      || jsonb_build_object('thumbnail_path', regexp_replace(entry->>'thumbnail_path', '^(\./)?uploads/', ''))
+    order by position
+  )
+  from jsonb_array_elements(files) with ordinality as elements(entry, position)
+)
+where jsonb_array_length(files) > 0;
+
+update posts set files = (
+  select jsonb_agg(
+    entry
+      || jsonb_build_object('file_path', regexp_replace(entry->>'file_path', '^(\./)?uploads/', ''))
+      || jsonb_build_object('thumbnail_path', regexp_replace(entry->>'thumbnail_path', '^(\./)?uploads/', ''))
+    order by position
+  )
+  from jsonb_array_elements(files) with ordinality as elements(entry, position)
+)
+where jsonb_array_length(files) > 0;
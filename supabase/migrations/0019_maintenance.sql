@@ -0,0 +1,64 @@
+-- Locks that keep two maintenance workers from running the same job at once.
+-- A lock expires on its own so a crashed worker can't hold it forever.
+create table if not exists maintenance_locks (
+  name text primary key,
+  locked_by text not null,
+  locked_until timestamptz not null
+);
+
+-- Take a lock unless another worker holds an unexpired one
+create or replace function acquire_maintenance_lock(lock_name text, lock_owner text, ttl_ms int)
+returns boolean
+language sql
+as $$
+  with acquired as (
+    insert into maintenance_locks as l (name, locked_by, locked_until)
+    values (lock_name, lock_owner, now() + ttl_ms * interval '1 millisecond')
+    on conflict (name) do update set
+      locked_by = excluded.locked_by,
+      locked_until = excluded.locked_until
+    where l.locked_until <= now() or l.locked_by = excluded.locked_by
+    returning 1
+  )
+  select exists (select 1 from acquired);
+$$;
+
+-- Give a lock back once its job is done
+create or replace function release_maintenance_lock(lock_name text, lock_owner text)
+returns void
+language sql
+as $$
+  delete from maintenance_locks where name = lock_name and locked_by = lock_owner;
+$$;
+
+-- Board stats are counted periodically by the maintenance worker instead of
+-- on every request
+drop view if exists board_stats;
+create materialized view board_stats as
+select
+  t.board,
+  count(*)::int as total_threads,
+  coalesce(sum(p.posts), 0)::int as total_posts,
+  (sum(jsonb_array_length(t.files)) + coalesce(sum(p.images), 0))::int as total_images,
+  now() as refreshed_at
+from threads t
+left join (
+  select thread_id, count(*) as posts, sum(jsonb_array_length(files)) as images
+  from posts
+  group by thread_id
+) p on p.thread_id = t.id
+group by t.board;
+
+-- Needed to refresh without blocking readers
+create unique index if not exists board_stats_board_idx on board_stats (board);
+
+create or replace function refresh_board_stats()
+returns void
+language sql
+security definer
+as $$
+  refresh materialized view concurrently board_stats;
+$$;
+
+-- Finding bans to mark as expired
+create index if not exists bans_expires_at_idx on bans (expires_at) where lifted_at is null;
@@ -0,0 +1,150 @@
+-- Thread counts, bumps, deletion records and file cleanup are kept by
+-- triggers, in the same transaction as the post or thread change that causes
+-- them, instead of by separate calls from the API that could fail halfway.
+
+-- Whether a reply bumped its thread (not saged and under the bump limit)
+alter table posts add column if not exists bumped boolean not null default false;
+
+-- Storage keys of removed files, queued in the transaction that removes them
+-- and deleted from storage once it has committed. Keys whose deletion fails
+-- stay queued and are retried by the maintenance worker.
+create table if not exists file_deletions (
+  key text primary key,
+  queued_at timestamptz not null default now()
+);
+
+create index if not exists file_deletions_queued_at_idx on file_deletions (queued_at);
+
+-- Storage keys of a files array, files and thumbnails alike
+create or replace function file_keys(files jsonb)
+returns setof text
+language sql
+immutable
+as $$
+  select key
+  from jsonb_array_elements(files) as entry,
+    lateral (values (entry->>'file_path'), (entry->>'thumbnail_path')) as keys (key)
+  where key is not null;
+$$;
+
+-- Queue the files in old_files that are no longer in new_files
+create or replace function queue_removed_files(old_files jsonb, new_files jsonb)
+returns void
+language sql
+as $$
+  insert into file_deletions (key)
+  select key from file_keys(old_files) as key
+  except
+  select key from file_keys(new_files) as key
+  on conflict (key) do nothing;
+$$;
+
+-- An opening post's files count towards its thread's images
+create or replace function threads_keep_counts()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    new.images_count = jsonb_array_length(new.files);
+    return new;
+  elsif tg_op = 'UPDATE' then
+    new.images_count = greatest(0, new.images_count + jsonb_array_length(new.files) - jsonb_array_length(old.files));
+    perform queue_removed_files(old.files, new.files);
+    return new;
+  end if;
+
+  -- Replies queue their own files as they are cascaded away
+  perform queue_removed_files(old.files, '[]');
+  return old;
+end;
+$$;
+
+drop trigger if exists threads_keep_counts on threads;
+create trigger threads_keep_counts
+  before insert or update of files or delete on threads
+  for each row execute function threads_keep_counts();
+
+create or replace function posts_keep_thread_counts()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    update threads set
+      replies_count = replies_count + 1,
+      images_count = images_count + jsonb_array_length(new.files),
+      last_reply_at = greatest(last_reply_at, new.created_at),
+      bumped_at = case when new.bumped then greatest(bumped_at, new.created_at) else bumped_at end
+    where id = new.thread_id;
+  elsif tg_op = 'UPDATE' then
+    perform queue_removed_files(old.files, new.files);
+    if jsonb_array_length(new.files) <> jsonb_array_length(old.files) then
+      update threads set
+        images_count = greatest(0, images_count + jsonb_array_length(new.files) - jsonb_array_length(old.files))
+      where id = new.thread_id;
+    end if;
+  else
+    perform queue_removed_files(old.files, '[]');
+    update threads set
+      replies_count = greatest(0, replies_count - 1),
+      images_count = greatest(0, images_count - jsonb_array_length(old.files))
+    where id = old.thread_id;
+
+    -- Leave a record so incremental thread fetches can report the deletion,
+    -- unless the whole thread is being deleted
+    if found then
+      insert into post_deletions (board, thread_id, post_id, no)
+      values (old.board, old.thread_id, old.id, old.no);
+    end if;
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists posts_keep_thread_counts on posts;
+create trigger posts_keep_thread_counts
+  after insert or update of files or delete on posts
+  for each row execute function posts_keep_thread_counts();
+
+-- Replaced by the triggers above
+drop function if exists update_thread_counts;
+
+-- Recount every thread's replies and images, returning the threads that were
+-- wrong with their stored and actual counts
+create or replace function repair_thread_counts(dry_run boolean default false)
+returns table (
+  thread_id uuid,
+  stored_replies_count int,
+  stored_images_count int,
+  replies_count int,
+  images_count int
+)
+language sql
+as $$
+  with actual as (
+    select
+      t.id,
+      t.replies_count as stored_replies,
+      t.images_count as stored_images,
+      count(p.id)::int as replies,
+      (jsonb_array_length(t.files) + coalesce(sum(jsonb_array_length(p.files)), 0))::int as images
+    from threads t
+    left join posts p on p.thread_id = t.id
+    group by t.id
+  ),
+  wrong as (
+    select * from actual
+    where stored_replies <> replies or stored_images <> images
+  ),
+  repaired as (
+    update threads t set
+      replies_count = w.replies,
+      images_count = w.images
+    from wrong w
+    where t.id = w.id and not dry_run
+    returning t.id
+  )
+  select id, stored_replies, stored_images, replies, images from wrong;
+$$;
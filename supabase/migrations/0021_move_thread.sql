@@ -0,0 +1,28 @@
+-- Move a thread and its replies to another board in one transaction, so a
+-- failure halfway never leaves replies behind on the old board. Post numbers
+-- are per board, so the thread and then its replies, in posting order, take
+-- new numbers on the target board.
+create or replace function move_thread(moved_thread_id uuid, target_board text)
+returns setof threads
+language plpgsql
+as $$
+declare
+  reply_id uuid;
+begin
+  update threads set board = target_board, no = next_post_number(target_board)
+  where id = moved_thread_id;
+
+  if not found then
+    return;
+  end if;
+
+  for reply_id in
+    select id from posts where thread_id = moved_thread_id order by created_at, id
+  loop
+    update posts set board = target_board, no = next_post_number(target_board)
+    where id = reply_id;
+  end loop;
+
+  return query select * from threads where id = moved_thread_id;
+end;
+$$;
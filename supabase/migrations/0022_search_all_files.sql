@@ -0,0 +1,98 @@
+-- Search matches the names of every attached file, not just the first one
+-- kept in file_name. Generated columns can't be altered, so the search
+-- vectors are recreated with their indexes.
+
+-- Original names of every file in a files array, space separated
+create or replace function file_names(files jsonb)
+returns text
+language sql
+immutable
+as $$
+  select coalesce(string_agg(entry->>'file_name', ' '), '')
+  from jsonb_array_elements(files) as entry;
+$$;
+
+alter table threads drop column if exists search_vector;
+alter table threads add column search_vector tsvector
+  generated always as (
+    setweight(to_tsvector('english', coalesce(subject, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(comment, '')), 'B') ||
+    setweight(to_tsvector('simple', coalesce(name, '') || ' ' || coalesce(tripcode, '') || ' ' || file_names(files)), 'C')
+  ) stored;
+
+alter table posts drop column if exists search_vector;
+alter table posts add column search_vector tsvector
+  generated always as (
+    setweight(to_tsvector('english', coalesce(comment, '')), 'B') ||
+    setweight(to_tsvector('simple', coalesce(name, '') || ' ' || coalesce(tripcode, '') || ' ' || file_names(files)), 'C')
+  ) stored;
+
+create index if not exists threads_search_idx on threads using gin (search_vector);
+create index if not exists posts_search_idx on posts using gin (search_vector);
+
+-- Same results as before; has_file now counts any attachment
+create or replace function search_posts(
+  search_query text,
+  board_filter text default null,
+  created_after timestamptz default null,
+  created_before timestamptz default null,
+  has_file boolean default null,
+  post_type text default null,
+  result_limit int default 20,
+  result_offset int default 0
+)
+returns table (
+  type text,
+  id uuid,
+  no bigint,
+  board text,
+  thread_id uuid,
+  subject text,
+  comment text,
+  name text,
+  tripcode text,
+  file_name text,
+  thumbnail_path text,
+  thumbnail_width int,
+  thumbnail_height int,
+  file_spoiler boolean,
+  created_at timestamptz,
+  rank real,
+  total_count bigint
+)
+language sql
+stable
+as $$
+  with query as (
+    select websearch_to_tsquery('english', search_query) || websearch_to_tsquery('simple', search_query) as q
+  ),
+  matches as (
+    select 'thread'::text as type, t.id, t.no, t.board, t.id as thread_id, t.subject, t.comment,
+      t.name, t.tripcode, t.file_name, t.thumbnail_path, t.thumbnail_width, t.thumbnail_height,
+      t.file_spoiler, t.created_at,
+      ts_rank_cd(t.search_vector, query.q) as rank,
+      jsonb_array_length(t.files) as file_count
+    from threads t, query
+    where t.search_vector @@ query.q
+    union all
+    select 'post'::text, p.id, p.no, p.board, p.thread_id, null, p.comment,
+      p.name, p.tripcode, p.file_name, p.thumbnail_path, p.thumbnail_width, p.thumbnail_height,
+      p.file_spoiler, p.created_at,
+      ts_rank_cd(p.search_vector, query.q),
+      jsonb_array_length(p.files)
+    from posts p, query
+    where p.search_vector @@ query.q
+  )
+  select m.type, m.id, m.no, m.board, m.thread_id, m.subject, m.comment, m.name, m.tripcode,
+    m.file_name, m.thumbnail_path, m.thumbnail_width, m.thumbnail_height, m.file_spoiler,
+    m.created_at, m.rank, count(*) over () as total_count
+  from matches m
+  where (board_filter is null or m.board = board_filter)
+    and (created_after is null or m.created_at >= created_after)
+    and (created_before is null or m.created_at < created_before)
+    and (has_file is null or (m.file_count > 0) = has_file)
+    and (post_type is null or m.type = post_type)
+  order by m.rank desc, m.created_at desc
+  limit result_limit
+  offset result_offset;
+$$;
@@ -0,0 +1,21 @@
+-- Active bans are matched against an address in the database rather than
+-- by loading every ban, which was slow and, past PostgREST's max-rows,
+-- left older bans unenforced
+create index if not exists bans_ip_range_idx on bans using gist (ip_range inet_ops)
+  where lifted_at is null;
+
+-- Unlifted, unexpired bans covering an address, on a board (global bans
+-- included) or anywhere when board_filter is null, newest first
+create or replace function find_active_bans(client_ip inet, board_filter text default null)
+returns setof bans
+language sql
+stable
+as $$
+  select *
+  from bans
+  where lifted_at is null
+    and (expires_at is null or expires_at > now())
+    and (board_filter is null or board is null or board = board_filter)
+    and client_ip <<= ip_range
+  order by created_at desc;
+$$;
@@ -0,0 +1,36 @@
+-- move_thread returns the numbers it replaced, as {"old number": new number},
+-- so quotes between the moved posts can be rewritten and re-rendered. One
+-- jsonb value rather than a row per post keeps the mapping whole past
+-- PostgREST's max-rows.
+drop function if exists move_thread(uuid, text);
+
+create function move_thread(moved_thread_id uuid, target_board text)
+returns jsonb
+language plpgsql
+as $$
+declare
+  old_no bigint;
+  reply record;
+  numbers jsonb;
+begin
+  select no into old_no from threads where id = moved_thread_id for update;
+
+  if not found then
+    return null;
+  end if;
+
+  update threads set board = target_board, no = next_post_number(target_board)
+  where id = moved_thread_id
+  returning jsonb_build_object(old_no::text, no) into numbers;
+
+  for reply in
+    select id, no from posts where thread_id = moved_thread_id order by created_at, id
+  loop
+    update posts set board = target_board, no = next_post_number(target_board)
+    where id = reply.id
+    returning numbers || jsonb_build_object(reply.no::text, no) into numbers;
+  end loop;
+
+  return numbers;
+end;
+$$;
@@ -1,13 +1,26 @@
 const axios = require('axios');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { FormData } = require('formdata-node');
+const { FormData, File } = require('formdata-node');
 const { fileFromPath } = require('formdata-node/file-from-path');
 const assert = require('assert').strict;
+const sharp = require('sharp');
 
 // Configuration
-const API_URL = 'http://localhost:3000/api';
+// Pass --offline to run against an in-process server backed by the memory database
+const OFFLINE = process.argv.includes('--offline');
+let API_URL = process.env.API_URL || 'http://localhost:3000/api';
 const TEST_IMAGE_PATH = path.join(__dirname, 'test-image.jpg');
+// 16x16 GIF with two 200ms frames
+const ANIMATED_GIF = Buffer.from(
+  'R0lGODlhEAAQAPEAAP8AAAAA/wCgAP///yH/C05FVFNDQVBFMi4wAwEAAAAh+QQEFAAAACwAAAAAEAAQAAACG4SMp7md+FyTEVJ5a73Z7d09HzaKoXJa' +
+  'JboiBQAh+QQEFAAAACwAAAAAEAAQAAACG8yMp7md+FyTEVJ5a73Z7d09HzaKoXJaJboiBQA7',
+  'base64'
+);
+// Staff credentials for the admin tests; created automatically in offline mode
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME || (OFFLINE ? 'admin' : null);
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || (OFFLINE ? 'adminpass123' : null);
 
 // Global test state
 const testState = {
@@ -41,6 +54,30 @@ const utils = {
     utils.log(`✓ ${message}`);
   },
   
+  // Collect Server-Sent Events from a stream until enough have arrived
+  readEvents: (stream, count) => new Promise((resolve, reject) => {
+    const events = [];
+    let buffer = '';
+    const timer = setTimeout(() => reject(new Error('Timed out waiting for live events')), 5000);
+    
+    stream.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.substring(0, end);
+        buffer = buffer.substring(end + 2);
+        const type = /^event: (.*)$/m.exec(block);
+        if (type) {
+          events.push({ type: type[1], data: JSON.parse(/^data: (.*)$/m.exec(block)[1]) });
+        }
+      }
+      if (events.length >= count) {
+        clearTimeout(timer);
+        resolve(events);
+      }
+    });
+  }),
+  
   cleanup: async () => {
     utils.log("Running cleanup...");
     
@@ -78,6 +115,57 @@ const utils = {
   }
 };
 
+/**
+ * Start the API in-process with the memory database adapter
+ */
+const startOfflineServer = () => {
+  process.env.DB_DRIVER = 'memory';
+  process.env.RATE_LIMIT_READ_MAX = process.env.RATE_LIMIT_READ_MAX || '1000';
+  process.env.RATE_LIMIT_WRITE_MAX = process.env.RATE_LIMIT_WRITE_MAX || '500';
+  process.env.RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'database';
+  process.env.ADMIN_USERNAME = ADMIN_USERNAME;
+  process.env.ADMIN_PASSWORD = ADMIN_PASSWORD;
+  
+  // Posting budgets are off, except on /slow/ where the cooldown test runs
+  ['THREAD_COOLDOWN', 'REPLY_COOLDOWN', 'IMAGE_REPLY_COOLDOWN', 'DELETE_LIMIT', 'REPORT_LIMIT'].forEach(name => {
+    process.env[name] = process.env[name] || '0';
+  });
+  const boardsPath = path.join(os.tmpdir(), `test-boards-${process.pid}.json`);
+  fs.writeFileSync(boardsPath, JSON.stringify([
+    { slug: 'b', title: 'Random', nsfw: true },
+    { slug: 'g', title: 'Technology' },
+    {
+      slug: 'slow',
+      title: 'Cooldowns',
+      rateLimits: {
+        thread: { max: 1, windowSeconds: 300 },
+        reply: { max: 1, windowSeconds: 60 },
+        report: { max: 1, windowSeconds: 60 }
+      }
+    },
+    // Video rules for the video tests: sound allowed, at most a second long
+    { slug: 'tv', title: 'Video', video: { allowAudio: true, maxDuration: 1 } },
+    // Files posted anywhere on the board in the last hour are refused
+    { slug: 'dup', title: 'Duplicates', duplicateFiles: { boardWindowSeconds: 3600 } },
+    // Small limits for the pruning, bump limit and image limit tests
+    { slug: 'tiny', title: 'Tiny', threadsPerPage: 1, maxPages: 2, bumpLimit: 2, imageLimit: 2 },
+    { slug: 'gone', title: 'No archive', threadsPerPage: 1, maxPages: 1, archive: false }
+  ]));
+  process.env.BOARDS_CONFIG = process.env.BOARDS_CONFIG || boardsPath;
+  
+  const app = require('./app');
+  fs.unlinkSync(boardsPath);
+  const { ensureBootstrapAdmin } = require('./utils/staff');
+
+  return ensureBootstrapAdmin().then(() => new Promise((resolve) => {
+    const server = app.listen(0, () => {
+      API_URL = `http://localhost:${server.address().port}/api`;
+      utils.log(`Started offline server at ${API_URL}`);
+      resolve(server);
+    });
+  }));
+};
+
 /**
  * Test cases
  */
@@ -122,7 +210,7 @@ const tests = {
       assert(thread.id, "Thread should have ID");
       assert.equal(thread.name, 'Tester', "Thread should have correct name");
       assert.equal(thread.subject, 'Test Thread No Image', "Thread should have correct subject");
-      assert.equal(thread.file_path, null, "Thread should not have file");
+      assert.equal(thread.file_url, null, "Thread should not have file");
       
       // Save thread for cleanup
       testState.createdThreads.push({
@@ -172,8 +260,8 @@ const tests = {
       assert(thread.id, "Thread should have ID");
       assert.equal(thread.name, 'Tester', "Thread should have correct name");
       assert.equal(thread.subject, 'Test Thread With Image', "Thread should have correct subject");
-      assert(thread.file_path, "Thread should have file path");
-      assert(thread.thumbnail_path, "Thread should have thumbnail path");
+      assert(thread.file_url, "Thread should have file URL");
+      assert(thread.thumbnail_url, "Thread should have thumbnail URL");
       assert.equal(thread.is_nsfw, true, "Thread should be marked NSFW");
       
       // Save thread for cleanup
@@ -319,7 +407,7 @@ const tests = {
       const { post } = response.data;
       assert(post.id, "Post should have ID");
       assert.equal(post.thread_id, threadId, "Post should reference correct thread");
-      assert(post.file_path, "Post should have file path");
+      assert(post.file_url, "Post should have file URL");
       
       // Save post for cleanup
       testState.createdPosts.push({
@@ -335,173 +423,1889 @@ const tests = {
     }
   },
   
-  replyToNonExistentThread: async () => {
-    utils.log("Testing POST /thread/non-existent/reply");
+  replyWithSage: async (threadId) => {
+    utils.log(`Testing POST /thread/${threadId}/reply (sage)`);
     try {
-      // Generate a random UUID that shouldn't exist
-      const fakeId = 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-        const r = Math.random() * 16 | 0, v = c == 'x' ? r : (r & 0x3 | 0x8);
-        return v.toString(16);
+      const form = new FormData();
+      form.set('comment', 'This is a saged test reply.');
+      form.set('sage', 'true');
+      
+      const response = await axios.post(`${API_URL}/thread/${threadId}/reply`, form, {
+        headers: { ...form.headers }
       });
       
+      utils.assertSuccess(response, "Posted saged reply");
+      assert.equal(response.data.bumped, false, "Saged reply should not bump the thread");
+      
+      return true;
+    } catch (error) {
+      utils.error("replyWithSage failed", error);
+      return false;
+    }
+  },
+  
+  replyWithNameAndOptions: async (threadId) => {
+    utils.log(`Testing POST /thread/${threadId}/reply (name#password, options)`);
+    try {
       const form = new FormData();
-      form.set('comment', 'This is a test reply to a non-existent thread.');
+      form.set('comment', 'This is a test reply with a tripcode.');
+      form.set('name', 'Replier##trippass');
+      form.set('email', 'sage noko');
+      form.set('password', 'replypass789');
       
-      await axios.post(`${API_URL}/thread/${fakeId}/reply`, form, {
+      const response = await axios.post(`${API_URL}/thread/${threadId}/reply`, form, {
         headers: { ...form.headers }
       });
       
-      utils.error("Expected 404 error but got success");
-      return false;
+      utils.assertSuccess(response, "Posted reply with name#password and options");
+      
+      const { post, bumped, redirect } = response.data;
+      assert.equal(post.name, 'Replier', "Display name should not include the password");
+      assert(post.tripcode && post.tripcode.startsWith('!!'), "Post should have a secure tripcode");
+      assert(!('delete_password_hash' in post), "Deletion password hash should not be exposed");
+      assert.equal(bumped, false, "sage should not bump the thread");
+      assert(redirect && redirect.endsWith(`/thread/${threadId}`), "noko should redirect to the thread");
+      
+      testState.createdPosts.push({
+        id: post.id,
+        threadId: threadId,
+        password: 'replypass789'
+      });
+      
+      return true;
     } catch (error) {
-      if (error.response && error.response.status === 404) {
-        utils.log("✓ Got expected 404 for reply to non-existent thread");
-        return true;
-      } else {
-        utils.error("replyToNonExistentThread failed with unexpected error", error);
-        return false;
-      }
+      utils.error("replyWithNameAndOptions failed", error);
+      return false;
     }
   },
   
-  deletePost: async (postId, password) => {
-    utils.log(`Testing DELETE /post/${postId}`);
+  deleteWithGeneratedPassword: async (threadId) => {
+    utils.log(`Testing DELETE /post/:id (generated password)`);
     try {
-      const response = await axios.delete(`${API_URL}/post/${postId}`, {
-        data: { password }
+      const form = new FormData();
+      form.set('comment', 'This is a test reply without a password.');
+      
+      const response = await axios.post(`${API_URL}/thread/${threadId}/reply`, form, {
+        headers: { ...form.headers }
       });
       
-      utils.assertSuccess(response, "Deleted post");
+      const { post, delete_password } = response.data;
+      assert(delete_password, "A deletion password should be generated");
+      
+      const deleteResponse = await axios.delete(`${API_URL}/post/${post.id}`, {
+        data: { password: delete_password }
+      });
+      
+      utils.assertSuccess(deleteResponse, "Deleted post with generated password");
       return true;
     } catch (error) {
-      utils.error("deletePost failed", error);
+      utils.error("deleteWithGeneratedPassword failed", error);
       return false;
     }
   },
   
-  deletePostWithWrongPassword: async (postId) => {
-    utils.log(`Testing DELETE /post/${postId} (wrong password)`);
+  adminModeration: async (threadId) => {
+    utils.log(`Testing /admin moderation on thread ${threadId}`);
     try {
-      await axios.delete(`${API_URL}/post/${postId}`, {
-        data: { password: 'wrongpassword' }
+      // Staff routes reject anonymous requests
+      try {
+        await axios.post(`${API_URL}/admin/thread/${threadId}/sticky`);
+        utils.error("Expected 401 for anonymous staff request but got success");
+        return false;
+      } catch (error) {
+        assert(error.response && error.response.status === 401, "Anonymous staff request should get 401");
+      }
+      
+      const login = await axios.post(`${API_URL}/admin/login`, {
+        username: ADMIN_USERNAME,
+        password: ADMIN_PASSWORD
       });
+      utils.assertSuccess(login, "Logged in as staff");
+      const headers = { Authorization: `Bearer ${login.data.token}` };
       
-      utils.error("Expected authentication error but got success");
-      return false;
+      const sticky = await axios.post(`${API_URL}/admin/thread/${threadId}/sticky`, {}, { headers });
+      assert.equal(sticky.data.thread.is_sticky, true, "Thread should be sticky");
+      
+      const threads = await axios.get(`${API_URL}/threads`);
+      assert.equal(threads.data.threads[0].id, threadId, "Sticky thread should be listed first");
+      
+      const locked = await axios.post(`${API_URL}/admin/thread/${threadId}/lock`, { reason: 'test' }, { headers });
+      assert.equal(locked.data.thread.is_locked, true, "Thread should be locked");
+      
+      try {
+        await axios.post(`${API_URL}/thread/${threadId}/reply`, { comment: 'Reply to locked thread' });
+        utils.error("Expected 423 for reply to locked thread but got success");
+        return false;
+      } catch (error) {
+        assert(error.response && error.response.status === 423, "Reply to locked thread should get 423");
+      }
+      
+      await axios.delete(`${API_URL}/admin/thread/${threadId}/lock`, { headers });
+      
+      const log = await axios.get(`${API_URL}/admin/log`, { headers, params: { target_id: threadId } });
+      const actions = log.data.entries.map(entry => entry.action);
+      assert(actions.includes('sticky') && actions.includes('lock') && actions.includes('unlock'),
+        "Moderation log should record staff actions");
+      
+      utils.log("✓ Staff actions were applied and logged");
+      return true;
     } catch (error) {
-      if (error.response && error.response.status === 403) {
-        utils.log("✓ Got expected 403 for wrong password");
-        return true;
-      } else {
-        utils.error("deletePostWithWrongPassword failed with unexpected error", error);
+      utils.error("adminModeration failed", error);
+      return false;
+    }
+  },
+  
+  banAndAppeal: async () => {
+    utils.log("Testing bans and appeals on /g/");
+    try {
+      const login = await axios.post(`${API_URL}/admin/login`, {
+        username: ADMIN_USERNAME,
+        password: ADMIN_PASSWORD
+      });
+      const headers = { Authorization: `Bearer ${login.data.token}` };
+      
+      // Ban the test client on /g/ only, so the rest of the suite can keep posting
+      const status = await axios.get(`${API_URL}/banned`);
+      assert.equal(status.data.banned, false, "Client should not start out banned");
+      
+      const created = await axios.post(`${API_URL}/admin/bans`, {
+        range: '0.0.0.0/0',
+        board: 'g',
+        reason: 'Test ban'
+      }, { headers });
+      const banId = created.data.ban.id;
+      
+      try {
+        await axios.post(`${API_URL}/g/thread`, { comment: 'Banned thread' });
+        utils.error("Expected 403 for banned client but got success");
+        return false;
+      } catch (error) {
+        assert(error.response && error.response.status === 403, "Banned client should get 403");
+        assert.equal(error.response.data.ban.id, banId, "403 should include the ban details");
+      }
+      
+      const report = await axios.post(`${API_URL}/g/thread/${require('crypto').randomUUID()}/report`, { category: 'spam' },
+        { validateStatus: () => true });
+      assert.equal(report.status, 403, "Banned client should not be able to report");
+      
+      await axios.post(`${API_URL}/banned/appeal`, { ban_id: banId, appeal: 'Please unban me' });
+      
+      try {
+        await axios.post(`${API_URL}/banned/appeal`, { ban_id: banId, appeal: 'Again' });
+        utils.error("Expected 409 for second appeal but got success");
         return false;
+      } catch (error) {
+        assert(error.response && error.response.status === 409, "Second appeal should get 409");
       }
+      
+      await axios.post(`${API_URL}/admin/bans/${banId}/appeal`, { decision: 'accepted' }, { headers });
+      
+      const after = await axios.get(`${API_URL}/banned`);
+      assert.equal(after.data.banned, false, "Accepted appeal should lift the ban");
+      
+      utils.log("✓ Ban enforced, appealed and lifted");
+      return true;
+    } catch (error) {
+      utils.error("banAndAppeal failed", error);
+      return false;
     }
   },
   
-  deleteThread: async (threadId, password) => {
-    utils.log(`Testing DELETE /thread/${threadId}`);
+  banLookup: async () => {
+    utils.log("Testing ban lookups and the ban list on a large ban table");
+    const db = require('./db');
+    const { findActiveBans } = require('./utils/bans');
+    const day = 24 * 60 * 60 * 1000;
+    const ago = (days) => new Date(Date.now() - days * day).toISOString();
+    
+    // Earlier tests leave lifted bans on /g/ behind
+    const { count: earlier } = await db.from('bans').select('id', { count: 'exact', head: true }).eq('board', 'g');
+    const { data: inserted } = await db
+      .from('bans')
+      .insert([
+        { ip_range: '203.0.113.0/24', board: 'g', reason: 'Old permanent ban', created_at: ago(30) },
+        { ip_range: '203.0.113.0/24', board: 'g', reason: 'Expired', expires_at: ago(1), created_at: ago(2) },
+        { ip_range: '203.0.113.0/24', board: 'g', reason: 'Lifted', lifted_at: ago(1), created_at: ago(2) },
+        ...[1, 2, 3].map(n => ({ ip_range: `192.0.2.${n}/32`, board: 'g', reason: `Other ${n}`, created_at: ago(n / 10) }))
+      ])
+      .select();
+    
     try {
-      const response = await axios.delete(`${API_URL}/thread/${threadId}`, {
-        data: { password }
+      // Newer bans fill a capped response, as PostgREST's max-rows would
+      db.maxRows = 2;
+      let bans;
+      try {
+        bans = await findActiveBans('203.0.113.7', 'g');
+      } finally {
+        db.maxRows = null;
+      }
+      assert.deepEqual(bans.map(ban => ban.reason), ['Old permanent ban'], "Only the active matching ban should apply");
+      assert.deepEqual(await findActiveBans('203.0.113.7', 'b'), [], "Board bans should not apply elsewhere");
+      assert.deepEqual(await findActiveBans('2001:db8::1', 'g'), [], "IPv4 ranges should not match IPv6 addresses");
+      
+      const login = await axios.post(`${API_URL}/admin/login`, {
+        username: ADMIN_USERNAME,
+        password: ADMIN_PASSWORD
       });
+      const headers = { Authorization: `Bearer ${login.data.token}` };
       
-      utils.assertSuccess(response, "Deleted thread");
+      const active = await axios.get(`${API_URL}/admin/bans`, { headers, params: { board: 'g', pageSize: 2 } });
+      assert.equal(active.data.pagination.total, 4, "Total should count every active ban");
+      assert.equal(active.data.bans.length, 2, "Bans should be paginated");
+      
+      const pastEnd = await axios.get(`${API_URL}/admin/bans`, { headers, params: { board: 'g', pageSize: 2, page: 3 } });
+      assert.equal(pastEnd.data.bans.length, 0, "Pages past the end should be empty");
+      
+      const all = await axios.get(`${API_URL}/admin/bans`, { headers, params: { board: 'g', status: 'all' } });
+      assert.equal(all.data.pagination.total, earlier + 6, "status=all should include lifted and expired bans");
+      
+      utils.log("✓ Bans matched in the database and listed with exact totals");
       return true;
     } catch (error) {
-      utils.error("deleteThread failed", error);
+      utils.error("banLookup failed", error);
       return false;
+    } finally {
+      await db.from('bans').delete().in('id', inserted.map(ban => ban.id));
     }
   },
   
-  deleteThreadWithWrongPassword: async (threadId) => {
-    utils.log(`Testing DELETE /thread/${threadId} (wrong password)`);
+  posterSubnetBan: async () => {
+    utils.log("Testing subnet bans on a poster");
     try {
-      await axios.delete(`${API_URL}/thread/${threadId}`, {
-        data: { password: 'wrongpassword' }
+      const login = await axios.post(`${API_URL}/admin/login`, {
+        username: ADMIN_USERNAME,
+        password: ADMIN_PASSWORD
       });
+      const headers = { Authorization: `Bearer ${login.data.token}` };
       
-      utils.error("Expected authentication error but got success");
+      const form = new FormData();
+      form.set('comment', 'Subnet ban target');
+      const { data: { thread } } = await axios.post(`${API_URL}/g/thread`, form, { headers: { ...form.headers } });
+      
+      const tooWide = await axios.post(`${API_URL}/admin/thread/${thread.id}/ban`, { prefix: 64, reason: 'Too wide' }, {
+        headers,
+        validateStatus: () => true
+      });
+      assert.equal(tooWide.status, 400, "IPv4 posters should refuse prefixes above 32");
+      
+      const { data: { ban } } = await axios.post(`${API_URL}/admin/thread/${thread.id}/ban`, { prefix: 24, reason: 'Subnet ban' }, { headers });
+      assert.equal(ban.ip_range, '127.0.0.0/24', "Subnet bans should clear the host bits");
+      
+      await axios.delete(`${API_URL}/admin/bans/${ban.id}`, { data: { reason: 'Test over' }, headers });
+      await axios.delete(`${API_URL}/admin/thread/${thread.id}`, { data: { reason: 'Test over' }, headers });
+      
+      utils.log("✓ Poster subnet ban stored as a network range");
+      return true;
+    } catch (error) {
+      utils.error("posterSubnetBan failed", error);
       return false;
+    }
+  },
+  
+  moveThread: async () => {
+    utils.log("Testing moving a thread to another board");
+    try {
+      const login = await axios.post(`${API_URL}/admin/login`, {
+        username: ADMIN_USERNAME,
+        password: ADMIN_PASSWORD
+      });
+      const headers = { Authorization: `Bearer ${login.data.token}` };
+      
+      const form = new FormData();
+      form.set('comment', 'Thread to move');
+      const { data: { thread } } = await axios.post(`${API_URL}/g/thread`, form, { headers: { ...form.headers } });
+      const first = await axios.post(`${API_URL}/g/thread/${thread.id}/reply`, { comment: `>>${thread.no}\nFirst reply` });
+      await axios.post(`${API_URL}/g/thread/${thread.id}/reply`, {
+        comment: `>>${first.data.post.no}\nSecond reply\n[code]>>${first.data.post.no}[/code]`
+      });
+      
+      const invalid = await axios.post(`${API_URL}/admin/thread/not-a-uuid/move`, { board: 'b' }, { headers, validateStatus: () => true });
+      assert.equal(invalid.status, 400, "A malformed thread ID should be refused");
+      
+      const moved = await axios.post(`${API_URL}/admin/thread/${thread.id}/move`, { board: 'b', reason: 'Off topic' }, { headers });
+      assert.equal(moved.data.thread.board, 'b', "Thread should be on the target board");
+      
+      const { data } = await axios.get(`${API_URL}/thread/${thread.id}`);
+      assert(data.posts.length === 2 && data.posts.every(post => post.board === 'b'), "Replies should move with the thread");
+      const numbers = [data.thread.no, ...data.posts.map(post => post.no)];
+      assert.deepEqual(numbers, [...numbers].sort((a, b) => a - b), "Thread and replies should be renumbered in posting order");
+      assert.equal(new Set(numbers).size, 3, "Moved posts should get distinct numbers");
+      
+      const [firstReply, secondReply] = data.posts;
+      assert.equal(firstReply.comment, `>>${data.thread.no}\nFirst reply`, "Quotes should follow the new numbers");
+      assert(firstReply.comment_html.includes(`href="/b/thread/${thread.id}#p${thread.id}"`), "Quote links should point to the new board");
+      assert.equal(secondReply.comment, `>>${firstReply.no}\nSecond reply\n[code]>>${first.data.post.no}[/code]`,
+        "Quotes in code blocks should stay as written");
+      assert.deepEqual(data.thread.backlinks, [firstReply.id], "Backlinks should survive the move");
+      
+      const old = await axios.get(`${API_URL}/g/thread/${thread.id}`, { validateStatus: () => true });
+      assert.equal(old.status, 404, "Thread should be gone from the old board");
+      
+      await axios.delete(`${API_URL}/admin/thread/${thread.id}`, { data: { reason: 'Test over' }, headers });
+      
+      utils.log("✓ Moved thread with its replies");
+      return true;
     } catch (error) {
-      if (error.response && error.response.status === 403) {
-        utils.log("✓ Got expected 403 for wrong password");
-        return true;
-      } else {
-        utils.error("deleteThreadWithWrongPassword failed with unexpected error", error);
+      utils.error("moveThread failed", error);
+      return false;
+    }
+  },
+  
+  reportPost: async (threadId, postId) => {
+    utils.log(`Testing POST /post/${postId}/report`);
+    try {
+      const response = await axios.post(`${API_URL}/post/${postId}/report`, {
+        category: 'spam',
+        note: 'Test report'
+      });
+      utils.assertSuccess(response, "Reported post");
+      
+      try {
+        await axios.post(`${API_URL}/post/${postId}/report`, { category: 'spam' });
+        utils.error("Expected 409 for duplicate report but got success");
         return false;
+      } catch (error) {
+        assert(error.response && error.response.status === 409, "Duplicate report should get 409");
+      }
+      
+      // A report that lands between the duplicate check and the insert
+      if (OFFLINE) {
+        const db = require('./db');
+        const from = db.from;
+        let racing;
+        db.from = (table) => {
+          const query = from.call(db, table);
+          if (table !== 'reports') return query;
+          db.from = from;
+          const then = query.then;
+          query.then = (resolve, reject) => then.call(query, async (result) => {
+            racing = await axios.post(`${API_URL}/thread/${threadId}/report`, { category: 'spam' });
+            return result;
+          }).then(resolve, reject);
+          return query;
+        };
+        try {
+          const late = await axios.post(`${API_URL}/thread/${threadId}/report`, { category: 'spam' },
+            { validateStatus: () => true });
+          assert.equal(racing.status, 201, "The first report should be accepted");
+          assert.equal(late.status, 409, "A report losing the race should get 409");
+        } finally {
+          db.from = from;
+        }
+      }
+      
+      if (ADMIN_USERNAME && ADMIN_PASSWORD) {
+        const login = await axios.post(`${API_URL}/admin/login`, {
+          username: ADMIN_USERNAME,
+          password: ADMIN_PASSWORD
+        });
+        const headers = { Authorization: `Bearer ${login.data.token}` };
+        
+        const queue = await axios.get(`${API_URL}/admin/reports`, { headers });
+        const entry = queue.data.reports.find(item => item.target_id === postId);
+        assert(entry && entry.report_count === 1, "Report queue should include the post");
+        
+        const thread = await axios.get(`${API_URL}/thread/${threadId}`, { headers });
+        const post = thread.data.posts.find(item => item.id === postId);
+        assert.equal(post.report_count, 1, "Staff should see report counts on posts");
+        
+        const anonymous = await axios.get(`${API_URL}/thread/${threadId}`);
+        assert(!('report_count' in anonymous.data.posts[0]), "Report counts should be hidden from the public");
+        
+        await axios.post(`${API_URL}/admin/reports/post/${postId}/dismiss`, {}, { headers });
+        if (OFFLINE) {
+          await axios.post(`${API_URL}/admin/reports/thread/${threadId}/dismiss`, {}, { headers });
+        }
       }
+      
+      return true;
+    } catch (error) {
+      utils.error("reportPost failed", error);
+      return false;
     }
-  }
-};
-
-/**
- * Run all tests
- */
-async function runTests() {
-  utils.log("Starting comprehensive API test suite");
-  const results = {
-    total: 0,
-    passed: 0,
-    failed: 0
-  };
+  },
   
-  try {
-    // Ensure test image exists
-    if (!fs.existsSync(TEST_IMAGE_PATH)) {
-      utils.error(`Test image not found at: ${TEST_IMAGE_PATH}`);
-      utils.log("Please create a test image first or run the create-test-image.js script");
-      return;
-    }
-    
-    // Test board stats
-    results.total++;
-    results.passed += await tests.getBoardStats() ? 1 : 0;
-    
-    // Test thread creation
-    results.total++;
-    const threadId1 = await tests.createThreadWithoutImage();
-    results.passed += threadId1 ? 1 : 0;
-    
-    results.total++;
-    const threadId2 = await tests.createThreadWithImage();
-    results.passed += threadId2 ? 1 : 0;
-    
-    // Test getting threads
-    results.total++;
-    results.passed += await tests.getThreads() ? 1 : 0;
-    
-    if (threadId1) {
-      // Test getting specific thread
-      results.total++;
-      results.passed += await tests.getThread(threadId1) ? 1 : 0;
+  replyWithMarkup: async (threadId, quotedPostId) => {
+    utils.log(`Testing POST /thread/${threadId}/reply (markup)`);
+    try {
+      const response = await axios.post(`${API_URL}/thread/${threadId}/reply`, {
+        comment: `>>${threadId}\n>>${quotedPostId}\n>greentext <b>\n[spoiler]hidden[/spoiler]`,
+        password: 'markuppass'
+      });
+      utils.assertSuccess(response, "Posted reply with markup");
       
-      // Test replying to thread
-      results.total++;
-      const replyId1 = await tests.replyToThread(threadId1);
-      results.passed += replyId1 ? 1 : 0;
+      const { post } = response.data;
+      assert.deepEqual(post.quotes, [threadId, quotedPostId], "Post should record every quoted post");
+      assert(post.comment_html.includes('class="quotelink"'), "Quotes should render as links");
+      assert(post.comment_html.includes('<span class="quote">&gt;greentext &lt;b&gt;</span>'),
+        "Greentext should render escaped");
+      assert(post.comment_html.includes('<span class="spoiler">hidden</span>'), "Spoilers should render");
       
-      // Test replying with image
-      results.total++;
-      const replyId2 = await tests.replyWithImage(threadId1);
-      results.passed += replyId2 ? 1 : 0;
+      testState.createdPosts.push({
+        id: post.id,
+        threadId: threadId,
+        password: 'markuppass'
+      });
       
-      // Test deleting post with wrong password
-      if (replyId1) {
-        results.total++;
-        results.passed += await tests.deletePostWithWrongPassword(replyId1) ? 1 : 0;
-      }
+      return post.id;
+    } catch (error) {
+      utils.error("replyWithMarkup failed", error);
+      return null;
+    }
+  },
+  
+  markupUrls: async () => {
+    utils.log("Testing quote references inside URLs");
+    try {
+      const { renderComment } = require('./utils/markup');
+      const quotes = new Map([['123', { id: 'post-id', thread_id: 'thread-id' }]]);
       
-      // Test deleting thread with wrong password
-      results.total++;
-      results.passed += await tests.deleteThreadWithWrongPassword(threadId1) ? 1 : 0;
+      const html = renderComment('https://example.com/search?q=>>123&page=2. >>123\n[spoiler]https://example.com/>>123[/spoiler]', { board: 'g', quotes });
+      
+      assert(html.startsWith('<a href="https://example.com/search?q=&gt;&gt;123&amp;page=2" class="autolink"'),
+        "URLs containing a quote reference should link whole");
+      assert.equal(html.match(/class="quotelink"/g).length, 1, "Only the quote outside the URL should become a quote link");
+      assert(html.includes('<span class="spoiler"><a href="https://example.com/&gt;&gt;123" class="autolink"'),
+        "URLs should stop at the closing spoiler tag");
+      utils.log("✓ Quote references inside URLs stay part of the URL");
+      return true;
+    } catch (error) {
+      utils.error("markupUrls failed", error);
+      return false;
     }
-    
-    // Test getting non-existent thread
-    results.total++;
-    results.passed += await tests.getNonExistentThread() ? 1 : 0;
-    
-    // Test replying to non-existent thread
+  },
+  
+  backlinks: async (threadId, postId, quotingPostId) => {
+    utils.log(`Testing backlinks and GET /post/${postId}/replies`);
+    try {
+      const thread = await axios.get(`${API_URL}/thread/${threadId}`);
+      const post = thread.data.posts.find(item => item.id === postId);
+      assert(post.backlinks.includes(quotingPostId), "Quoted post should link back to the quoting post");
+      assert(thread.data.thread.backlinks.includes(quotingPostId), "OP should link back to the quoting post");
+      
+      const replies = await axios.get(`${API_URL}/post/${postId}/replies`);
+      utils.assertSuccess(replies, "Got replies to post");
+      assert.equal(replies.data.post.id, postId, "Response should include the post itself");
+      assert(replies.data.replies.some(item => item.id === quotingPostId), "Replies should include the quoting post");
+      
+      // Deleting the quoting post removes its backlinks
+      await axios.delete(`${API_URL}/post/${quotingPostId}`, { data: { password: 'markuppass' } });
+      testState.createdPosts = testState.createdPosts.filter(item => item.id !== quotingPostId);
+      
+      const after = await axios.get(`${API_URL}/thread/${threadId}`);
+      const postAfter = after.data.posts.find(item => item.id === postId);
+      assert(!postAfter.backlinks.includes(quotingPostId), "Backlinks should drop deleted posts");
+      
+      return true;
+    } catch (error) {
+      utils.error("backlinks failed", error);
+      return false;
+    }
+  },
+  
+  postNumbers: async (threadId) => {
+    utils.log("Testing post numbers and >>number quotes");
+    try {
+      const thread = await axios.get(`${API_URL}/thread/${threadId}`);
+      const { no } = thread.data.thread;
+      assert(Number.isInteger(no) && no > 0, "Thread should have a post number");
+      
+      const byNumber = await axios.get(`${API_URL}/thread/${no}`);
+      utils.assertSuccess(byNumber, "Got thread by post number");
+      assert.equal(byNumber.data.thread.id, threadId, "Post number should resolve to the same thread");
+      
+      const response = await axios.post(`${API_URL}/thread/${no}/reply`, {
+        comment: `>>${no}`,
+        password: 'numberpass'
+      });
+      utils.assertSuccess(response, "Replied by post number");
+      
+      const { post } = response.data;
+      assert(post.no > no, "Reply numbers should follow the thread number");
+      assert.deepEqual(post.quotes, [threadId], ">>number should resolve to the thread");
+      assert(post.comment_html.includes('class="quotelink"'), ">>number should render as a link");
+      
+      await axios.delete(`${API_URL}/post/${post.no}`, { data: { password: 'numberpass' } });
+      
+      return true;
+    } catch (error) {
+      utils.error("postNumbers failed", error);
+      return false;
+    }
+  },
+  
+  liveUpdates: async (threadId) => {
+    utils.log(`Testing GET /thread/${threadId}/live`);
+    const controller = new AbortController();
+    try {
+      const thread = await axios.get(`${API_URL}/thread/${threadId}`);
+      const lastNo = thread.data.posts.length > 0
+        ? thread.data.posts[thread.data.posts.length - 1].no
+        : thread.data.thread.no;
+      
+      // A reply posted while disconnected is replayed on resume
+      const missed = await axios.post(`${API_URL}/thread/${threadId}/reply`, {
+        comment: 'Posted before the stream opened',
+        password: 'livepass'
+      });
+      
+      const stream = await axios.get(`${API_URL}/thread/${threadId}/live?last_post=${lastNo}`, {
+        responseType: 'stream',
+        signal: controller.signal
+      });
+      assert(stream.headers['content-type'].startsWith('text/event-stream'), "Should open an event stream");
+      const received = utils.readEvents(stream.data, 3);
+      
+      const live = await axios.post(`${API_URL}/thread/${threadId}/reply`, {
+        comment: 'Posted while streaming',
+        password: 'livepass'
+      });
+      await axios.delete(`${API_URL}/post/${missed.data.post.id}`, { data: { password: 'livepass' } });
+      await axios.delete(`${API_URL}/post/${live.data.post.id}`, { data: { password: 'livepass' } });
+      
+      const events = await received;
+      const posts = events.filter(event => event.type === 'post').map(event => event.data.post.id);
+      assert(posts.includes(missed.data.post.id), "Missed replies should be replayed");
+      assert(posts.includes(live.data.post.id), "New replies should be pushed");
+      assert(events.some(event => event.type === 'delete_post'), "Deletions should be pushed");
+      utils.log("✓ Received live thread events");
+      
+      return true;
+    } catch (error) {
+      utils.error("liveUpdates failed", error);
+      return false;
+    } finally {
+      controller.abort();
+    }
+  },
+  
+  liveReplayOrder: async () => {
+    utils.log("Testing live replay ordering and resets");
+    const db = require('./db');
+    const from = db.from;
+    const controller = new AbortController();
+    try {
+      const { data: { thread } } = await axios.post(`${API_URL}/thread`, { comment: 'Replay order', password: 'livepass' });
+      testState.createdThreads.push({ id: thread.id, password: 'livepass' });
+      const missed = await axios.post(`${API_URL}/thread/${thread.id}/reply`, { comment: 'Replayed', password: 'livepass' });
+      
+      // A reply posted while the replay query runs is published mid-replay
+      let during;
+      db.from = (table) => {
+        const query = from.call(db, table);
+        if (table !== 'posts') return query;
+        db.from = from;
+        const then = query.then;
+        query.then = (resolve, reject) => then.call(query, async (result) => {
+          during = await axios.post(`${API_URL}/thread/${thread.id}/reply`, { comment: 'Live', password: 'livepass' });
+          return result;
+        }).then(resolve, reject);
+        return query;
+      };
+      
+      const stream = await axios.get(`${API_URL}/thread/${thread.id}/live?last_post=${thread.no}`, {
+        responseType: 'stream',
+        signal: controller.signal
+      });
+      const events = await utils.readEvents(stream.data, 2);
+      const posts = events.filter(event => event.type === 'post').map(event => event.data.post.id);
+      assert.deepEqual(posts, [missed.data.post.id, during.data.post.id], "Replayed posts should come before live ones, once each");
+      controller.abort();
+      utils.log("✓ Live posts wait for the replay");
+      
+      // History can't cover an unknown event ID, so the client is told to refetch
+      const resumed = new AbortController();
+      try {
+        const reset = await axios.get(`${API_URL}/thread/${thread.id}/live`, {
+          headers: { 'Last-Event-ID': '99999999' },
+          responseType: 'stream',
+          signal: resumed.signal
+        });
+        const [first] = await utils.readEvents(reset.data, 1);
+        assert.equal(first.type, 'reset', "Resuming past the history should send a reset");
+      } finally {
+        resumed.abort();
+      }
+      utils.log("✓ Resuming without history sends a reset");
+      
+      return true;
+    } catch (error) {
+      utils.error("liveReplayOrder failed", error);
+      return false;
+    } finally {
+      db.from = from;
+      controller.abort();
+    }
+  },
+  
+  apiBudgets: async () => {
+    utils.log("Testing separate read and write budgets");
+    try {
+      const before = await axios.get(`${API_URL}/threads`);
+      assert.equal(before.headers['ratelimit-limit'], process.env.RATE_LIMIT_READ_MAX, "Reads should use the read budget");
+      
+      const posted = await axios.post(`${API_URL}/thread`, { comment: 'Counted as a write', password: 'budgetpass' });
+      assert.equal(posted.headers['ratelimit-limit'], process.env.RATE_LIMIT_WRITE_MAX, "Posts should use the write budget");
+      testState.createdThreads.push({ id: posted.data.thread.id, password: 'budgetpass' });
+      
+      const after = await axios.get(`${API_URL}/threads`);
+      assert.equal(Number(after.headers['ratelimit-remaining']), Number(before.headers['ratelimit-remaining']) - 1,
+        "Posting should not use up the read budget");
+      
+      utils.log("✓ Reads and writes have their own budgets");
+      return true;
+    } catch (error) {
+      utils.error("apiBudgets failed", error);
+      return false;
+    }
+  },
+  
+  cachedListsAfterDeletion: async () => {
+    utils.log("Testing conditional GET of board lists after a thread is deleted");
+    try {
+      const { data: { thread } } = await axios.post(`${API_URL}/g/thread`, { comment: 'Listed then deleted', password: 'listpass' });
+      
+      for (const list of ['threads', 'catalog']) {
+        const first = await axios.get(`${API_URL}/g/${list}`);
+        assert(first.data.threads.some(item => item.id === thread.id), `${list} should list the new thread`);
+        assert(!first.headers['last-modified'], `${list} should be validated by ETag only`);
+        
+        const unchanged = await axios.get(`${API_URL}/g/${list}`, {
+          headers: { 'If-None-Match': first.headers.etag },
+          validateStatus: status => status === 304
+        });
+        assert.equal(unchanged.status, 304, `Unchanged ${list} should return 304`);
+      }
+      
+      await axios.delete(`${API_URL}/g/thread/${thread.id}`, { data: { password: 'listpass' } });
+      
+      for (const list of ['threads', 'catalog']) {
+        const after = await axios.get(`${API_URL}/g/${list}`, {
+          headers: { 'If-Modified-Since': new Date(Date.now() + 60000).toUTCString() }
+        });
+        assert.equal(after.status, 200, `${list} should not be served from cache by date`);
+        assert(!after.data.threads.some(item => item.id === thread.id), `${list} should drop the deleted thread`);
+      }
+      
+      utils.log("✓ Board lists drop deleted threads for cached clients");
+      return true;
+    } catch (error) {
+      utils.error("cachedListsAfterDeletion failed", error);
+      return false;
+    }
+  },
+  
+  incrementalFetch: async (threadId) => {
+    utils.log(`Testing GET /thread/${threadId}?since= and conditional GET`);
+    try {
+      const first = await axios.get(`${API_URL}/thread/${threadId}`);
+      const { etag } = first.headers;
+      assert(etag, "Thread should have an ETag");
+      assert(first.headers['last-modified'], "Thread should have a Last-Modified date");
+      
+      const unchanged = await axios.get(`${API_URL}/thread/${threadId}`, {
+        headers: { 'If-None-Match': etag },
+        validateStatus: status => status === 304
+      });
+      assert.equal(unchanged.status, 304, "Unchanged thread should return 304");
+      utils.log("✓ Got 304 for unchanged thread");
+      
+      const lastNo = first.data.posts.length > 0
+        ? first.data.posts[first.data.posts.length - 1].no
+        : first.data.thread.no;
+      const removed = await axios.post(`${API_URL}/thread/${threadId}/reply`, {
+        comment: 'Deleted before the next fetch',
+        password: 'sincepass'
+      });
+      const added = await axios.post(`${API_URL}/thread/${threadId}/reply`, {
+        comment: 'Posted after the last fetch',
+        password: 'sincepass'
+      });
+      await axios.delete(`${API_URL}/post/${removed.data.post.id}`, { data: { password: 'sincepass' } });
+      
+      const changed = await axios.get(`${API_URL}/thread/${threadId}?since=${lastNo}`, {
+        headers: { 'If-None-Match': etag }
+      });
+      utils.assertSuccess(changed, "Got thread changes since last fetch");
+      assert.deepEqual(changed.data.posts.map(post => post.id), [added.data.post.id],
+        "Only newer replies should be returned");
+      assert(changed.data.deleted.some(item => item.id === removed.data.post.id),
+        "Deleted replies should be reported");
+      
+      await axios.delete(`${API_URL}/post/${added.data.post.id}`, { data: { password: 'sincepass' } });
+      
+      return true;
+    } catch (error) {
+      utils.error("incrementalFetch failed", error);
+      return false;
+    }
+  },
+  
+  getCatalog: async (threadId) => {
+    utils.log("Testing GET /catalog");
+    try {
+      const response = await axios.get(`${API_URL}/catalog?sort=replies`);
+      utils.assertSuccess(response, "Got catalog");
+      
+      const { threads } = response.data;
+      const thread = threads.find(item => item.id === threadId);
+      assert(thread, "Catalog should list live threads");
+      assert(typeof thread.excerpt === 'string', "Catalog threads should have an excerpt");
+      assert.equal(thread.comment, undefined, "Catalog should not include full comments");
+      for (let i = 1; i < threads.length; i++) {
+        if (threads[i].is_sticky === threads[i - 1].is_sticky) {
+          assert(threads[i].replies_count <= threads[i - 1].replies_count, "Threads should be sorted by replies");
+        }
+      }
+      
+      const filtered = await axios.get(`${API_URL}/catalog`, { params: { q: thread.subject || thread.excerpt } });
+      assert(filtered.data.threads.some(item => item.id === threadId), "Text query should match the thread");
+      
+      const none = await axios.get(`${API_URL}/catalog`, { params: { q: 'no thread says this 8c1d' } });
+      assert.equal(none.data.threads.length, 0, "Text query should filter out other threads");
+      
+      const invalid = await axios.get(`${API_URL}/catalog?sort=random`, { validateStatus: () => true });
+      assert.equal(invalid.status, 400, "Unknown sort should be rejected");
+      
+      return true;
+    } catch (error) {
+      utils.error("getCatalog failed", error);
+      return false;
+    }
+  },
+  
+  search: async (threadId) => {
+    utils.log("Testing GET /search");
+    try {
+      const reply = await axios.post(`${API_URL}/thread/${threadId}/reply`, {
+        comment: 'Searching for the elusive zebracorn',
+        password: 'searchpass'
+      });
+      
+      const response = await axios.get(`${API_URL}/search`, { params: { q: 'Zebracorn' } });
+      utils.assertSuccess(response, "Searched posts");
+      const result = response.data.results.find(item => item.id === reply.data.post.id);
+      assert(result, "Search should find the reply");
+      assert.equal(result.type, 'post', "Result should be a reply");
+      assert.equal(result.thread_id, threadId, "Result should point to its thread");
+      assert(typeof response.data.pagination.total === 'number', "Results should be paginated");
+      
+      const pastEnd = await axios.get(`${API_URL}/search`, { params: { q: 'zebracorn', page: 50 } });
+      assert.equal(pastEnd.data.results.length, 0, "A page past the end should be empty");
+      assert.equal(pastEnd.data.pagination.total, response.data.pagination.total, "A page past the end should keep the total");
+      
+      const threadsOnly = await axios.get(`${API_URL}/search`, { params: { q: 'zebracorn', type: 'thread' } });
+      assert(!threadsOnly.data.results.some(item => item.id === reply.data.post.id), "type=thread should exclude replies");
+      
+      const missing = await axios.get(`${API_URL}/search`, { validateStatus: () => true });
+      assert.equal(missing.status, 400, "A query should be required");
+      
+      // Names of files after the first are searched too
+      const form = new FormData();
+      form.set('comment', 'Two pictures');
+      form.set('password', 'searchpass');
+      for (const [name, background] of [['first.png', '#123456'], ['quokka sighting.png', '#654321']]) {
+        const image = await sharp({ create: { width: 24, height: 24, channels: 3, background } }).png().toBuffer();
+        form.append('file', new File([image], name, { type: 'image/png' }));
+      }
+      const withFiles = await axios.post(`${API_URL}/thread/${threadId}/reply`, form, { headers: { ...form.headers } });
+      const byFileName = await axios.get(`${API_URL}/search`, { params: { q: 'quokka', has_file: true } });
+      assert(byFileName.data.results.some(item => item.id === withFiles.data.post.id), "Search should match the second file's name");
+      
+      await axios.delete(`${API_URL}/post/${reply.data.post.id}`, { data: { password: 'searchpass' } });
+      await axios.delete(`${API_URL}/post/${withFiles.data.post.id}`, { data: { password: 'searchpass' } });
+      
+      return true;
+    } catch (error) {
+      utils.error("search failed", error);
+      return false;
+    }
+  },
+  
+  postingCooldowns: async () => {
+    utils.log("Testing posting cooldowns on /slow/");
+    try {
+      const SLOW_URL = API_URL.replace(/\/api$/, '/api/slow');
+      const refused = { validateStatus: status => status === 429 };
+      
+      const thread = await axios.post(`${SLOW_URL}/thread`, { comment: 'First thread', password: 'slowpass' });
+      utils.assertSuccess(thread, "Created thread");
+      
+      const second = await axios.post(`${SLOW_URL}/thread`, { comment: 'Second thread' }, refused);
+      assert.equal(second.status, 429, "A second thread within the cooldown should be refused");
+      const retryAfter = parseInt(second.headers['retry-after']);
+      assert(retryAfter > 0 && retryAfter <= 300, "Retry-After should count down the thread cooldown");
+      assert.equal(second.data.retryAfter, retryAfter, "Body should match Retry-After");
+      
+      const threadId = thread.data.thread.id;
+      const reply = await axios.post(`${SLOW_URL}/thread/${threadId}/reply`, { comment: 'First reply' });
+      utils.assertSuccess(reply, "Replied");
+      
+      const secondReply = await axios.post(`${SLOW_URL}/thread/${threadId}/reply`, { comment: 'Second reply' }, refused);
+      assert.equal(secondReply.status, 429, "A second reply within the cooldown should be refused");
+      
+      await axios.post(`${SLOW_URL}/post/${reply.data.post.id}/report`, { category: 'spam' });
+      const secondReport = await axios.post(`${SLOW_URL}/thread/${threadId}/report`, { category: 'spam' }, refused);
+      assert.equal(secondReport.status, 429, "A second report within the window should be refused");
+      utils.log("✓ Cooldowns refused early posts");
+      
+      // Budgets are per board
+      const elsewhere = await axios.get(`${API_URL}/threads`);
+      utils.assertSuccess(elsewhere, "Other boards are unaffected");
+      
+      await axios.delete(`${SLOW_URL}/thread/${threadId}`, { data: { password: 'slowpass' } });
+      
+      return true;
+    } catch (error) {
+      utils.error("postingCooldowns failed", error);
+      return false;
+    }
+  },
+  
+  uploadContentChecks: async () => {
+    utils.log("Testing upload type detection and metadata stripping");
+    const postFile = async (file) => {
+      const form = new FormData();
+      form.set('comment', 'Testing upload checks');
+      form.set('password', 'testpass456');
+      form.set('file', file);
+      return axios.post(`${API_URL}/thread`, form, { headers: { ...form.headers }, validateStatus: () => true });
+    };
+    
+    try {
+      const disguised = await postFile(new File(['just some text'], 'notes.jpg', { type: 'image/jpeg' }));
+      assert.equal(disguised.status, 400, "Files that aren't really images should be refused");
+      utils.log("✓ Refused renamed non-image file");
+      
+      // A JPEG carrying EXIF, sent with a PNG name and type
+      const photo = await sharp({ create: { width: 64, height: 48, channels: 3, background: '#3a7' } })
+        .jpeg()
+        .withMetadata({ exif: { IFD0: { Copyright: 'Test location' } } })
+        .toBuffer();
+      assert((await sharp(photo).metadata()).exif, "Test photo should carry EXIF");
+      
+      const response = await postFile(new File([photo], 'holiday.png', { type: 'image/png' }));
+      assert.equal(response.status, 201, "Real images should be accepted");
+      
+      const { thread } = response.data;
+      testState.createdThreads.push({ id: thread.id, password: 'testpass456' });
+      assert.equal(thread.file_type, 'image/jpeg', "File type should come from the contents");
+      assert(thread.file_url.endsWith('.jpg'), "Stored extension should match the detected type");
+      
+      const stored = await axios.get(new URL(thread.file_url, API_URL).href, { responseType: 'arraybuffer' });
+      const metadata = await sharp(Buffer.from(stored.data)).metadata();
+      assert.equal(metadata.exif, undefined, "Stored image should have no EXIF");
+      utils.log("✓ Stored image under detected type without metadata");
+      
+      return true;
+    } catch (error) {
+      utils.error("uploadContentChecks failed", error);
+      return false;
+    }
+  },
+  
+  imageDimensionsAndSpoilers: async (threadId) => {
+    utils.log("Testing image dimensions, thumbnail sizes and spoilers");
+    const postImage = async (width, height, background, spoiler) => {
+      const image = await sharp({ create: { width, height, channels: 3, background } }).png().toBuffer();
+      const form = new FormData();
+      form.set('comment', 'Image with dimensions');
+      form.set('password', 'testpass456');
+      form.set('spoiler', String(spoiler));
+      form.set('file', new File([image], 'image.png', { type: 'image/png' }));
+      const response = await axios.post(`${API_URL}/thread/${threadId}/reply`, form, { headers: { ...form.headers } });
+      testState.createdPosts.push({ id: response.data.post.id, password: 'testpass456' });
+      return response.data.post;
+    };
+    
+    try {
+      const wide = await postImage(400, 200, '#246', false);
+      assert.equal(wide.file_width, 400, "Post should store the image width");
+      assert.equal(wide.file_height, 200, "Post should store the image height");
+      assert.equal(wide.thumbnail_width, 125, "Reply thumbnails should be 125px wide at most");
+      assert(Math.abs(wide.thumbnail_height - 63) <= 1, "Thumbnails should keep the aspect ratio");
+      utils.log("✓ Stored image and thumbnail dimensions");
+      
+      const tall = await postImage(100, 600, '#642', true);
+      assert.equal(tall.file_spoiler, true, "Post should be marked as a spoiler");
+      assert.equal(tall.thumbnail_url, '/assets/spoiler.png', "Spoilers should show the spoiler thumbnail");
+      
+      const response = await axios.get(`${API_URL}/thread/${threadId}`);
+      const listed = response.data.posts.find(post => post.id === tall.id);
+      assert.equal(listed.thumbnail_url, '/assets/spoiler.png', "Thread listing should hide spoilered thumbnails");
+      
+      const spoiler = await axios.get(`${API_URL.replace(/\/api$/, '')}${tall.thumbnail_url}`);
+      assert.equal(spoiler.status, 200, "Spoiler thumbnail should be served");
+      utils.log("✓ Spoilered image shows the generic thumbnail");
+      
+      return true;
+    } catch (error) {
+      utils.error("imageDimensionsAndSpoilers failed", error);
+      return false;
+    }
+  },
+  
+  videoUnavailable: async () => {
+    utils.log("Testing video uploads without ffmpeg");
+    try {
+      // Just enough of a WebM header to be detected as one
+      const header = Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x82, 0x84]), Buffer.from('webm'), Buffer.alloc(52)]);
+      const form = new FormData();
+      form.set('comment', 'Video without ffmpeg');
+      form.set('file', new File([header], 'clip.webm', { type: 'video/webm' }));
+      
+      const response = await axios.post(`${API_URL}/thread`, form, { headers: { ...form.headers }, validateStatus: () => true });
+      assert.equal(response.status, 400, "Videos should be refused rather than fail");
+      assert.equal(response.data.error, 'Video uploads are not available on this server', "Refusal should say why");
+      utils.log("✓ Refused video without ffmpeg");
+      return true;
+    } catch (error) {
+      utils.error("videoUnavailable failed", error);
+      return false;
+    }
+  },
+  
+  videoUploads: async () => {
+    utils.log("Testing video uploads");
+    const { execFileSync } = require('child_process');
+    const { probeVideo } = require('./utils/video');
+    const TV_URL = API_URL.replace(/\/api$/, '/api/tv');
+    
+    // Test pattern WebM of the given length, with a tone when sound is on
+    const makeVideo = (name, seconds, sound) => {
+      const videoPath = path.join(os.tmpdir(), `${name}-${process.pid}.webm`);
+      execFileSync(process.env.FFMPEG_PATH || 'ffmpeg', [
+        '-v', 'error', '-y',
+        '-f', 'lavfi', '-i', `testsrc=duration=${seconds}:size=64x48:rate=10`,
+        ...(sound ? ['-f', 'lavfi', '-i', `sine=duration=${seconds}`, '-c:a', 'libopus'] : []),
+        '-c:v', 'libvpx', '-shortest',
+        videoPath
+      ], { timeout: 60000 });
+      return videoPath;
+    };
+    const postVideo = async (url, videoPath) => {
+      const form = new FormData();
+      form.set('comment', 'Video upload');
+      form.set('password', 'testpass456');
+      form.set('file', new File([fs.readFileSync(videoPath)], path.basename(videoPath), { type: 'video/webm' }));
+      return axios.post(url, form, { headers: { ...form.headers }, validateStatus: () => true });
+    };
+    
+    const videos = {
+      silent: makeVideo('silent', 2, false),
+      sound: makeVideo('sound', 2, true),
+      short: makeVideo('short', 0.5, true)
+    };
+    
+    try {
+      const probed = await probeVideo(videos.silent);
+      assert(probed.formats.includes('webm'), "Probe should report the container");
+      assert.equal(probed.width, 64, "Probe should report the width");
+      assert.equal(probed.height, 48, "Probe should report the height");
+      assert(Math.abs(probed.duration - 2) < 0.2, "Probe should report the duration");
+      assert.equal(probed.hasAudio, false, "Silent video should have no audio");
+      assert.equal((await probeVideo(videos.sound)).hasAudio, true, "Video with a tone should have audio");
+      utils.log("✓ Probed videos");
+      
+      const silent = await postVideo(`${API_URL}/thread`, videos.silent);
+      assert.equal(silent.status, 201, "Silent videos should be accepted");
+      const { thread } = silent.data;
+      testState.createdThreads.push({ id: thread.id, password: 'testpass456' });
+      assert.equal(thread.file_type, 'video/webm', "File type should be WebM");
+      assert.equal(thread.file_has_audio, false, "Silent video should be flagged as such");
+      assert.equal(thread.file_animated, false, "Videos are not flagged as animated images");
+      assert(thread.thumbnail_url && thread.thumbnail_url.endsWith('.jpg'), "Videos should get a JPEG thumbnail from a frame");
+      assert.equal(thread.thumbnail_width, 64, "Thumbnail should keep the frame's size");
+      utils.log("✓ Posted video with a frame thumbnail");
+      
+      const sound = await postVideo(`${API_URL}/thread`, videos.sound);
+      assert.equal(sound.status, 400, "Default rules should refuse videos with sound");
+      
+      const tooLong = await postVideo(`${TV_URL}/thread`, videos.sound);
+      assert.equal(tooLong.status, 400, "Board rules should refuse videos over the length limit");
+      assert.equal(tooLong.data.error, 'Videos can be at most 1 seconds long', "Refusal should give the limit");
+      
+      const allowed = await postVideo(`${TV_URL}/thread`, videos.short);
+      assert.equal(allowed.status, 201, "Board rules should allow short videos with sound");
+      assert.equal(allowed.data.thread.file_has_audio, true, "Video with sound should be flagged as such");
+      await axios.delete(`${TV_URL}/thread/${allowed.data.thread.id}`, { data: { password: 'testpass456' } });
+      utils.log("✓ Applied per-board video rules");
+      
+      return true;
+    } catch (error) {
+      utils.error("videoUploads failed", error);
+      return false;
+    } finally {
+      Object.values(videos).forEach(videoPath => fs.rmSync(videoPath, { force: true }));
+    }
+  },
+  
+  animatedImage: async (threadId) => {
+    utils.log("Testing animated image uploads");
+    try {
+      const form = new FormData();
+      form.set('comment', 'Animated image');
+      form.set('password', 'testpass456');
+      form.set('file', new File([ANIMATED_GIF], 'animation.gif', { type: 'image/gif' }));
+      
+      const response = await axios.post(`${API_URL}/thread/${threadId}/reply`, form, { headers: { ...form.headers } });
+      const { post } = response.data;
+      testState.createdPosts.push({ id: post.id, password: 'testpass456' });
+      
+      assert.equal(post.file_type, 'image/gif', "File type should be GIF");
+      assert.equal(post.file_animated, true, "Animated GIFs should be flagged");
+      assert.equal(post.file_duration, 0.4, "Duration should add up the frame delays");
+      assert.equal(post.file_has_audio, null, "Images have no audio flag");
+      assert(post.thumbnail_url, "Animated GIFs should get a still thumbnail");
+      utils.log("✓ Flagged animated GIF");
+      
+      return true;
+    } catch (error) {
+      utils.error("animatedImage failed", error);
+      return false;
+    }
+  },
+  
+  multipleFiles: async (threadId) => {
+    utils.log("Testing posts with multiple files");
+    const image = (background) => sharp({ create: { width: 60, height: 40, channels: 3, background } }).png().toBuffer();
+    const postFiles = async (buffers, spoilers) => {
+      const form = new FormData();
+      form.set('comment', 'Several files');
+      form.set('password', 'testpass456');
+      buffers.forEach((buffer, index) => form.append('file', new File([buffer], `image-${index}.png`, { type: 'image/png' })));
+      (spoilers || []).forEach(spoiler => form.append('spoiler', String(spoiler)));
+      return axios.post(`${API_URL}/thread/${threadId}/reply`, form, { headers: { ...form.headers }, validateStatus: () => true });
+    };
+    const imagesCount = async () => (await axios.get(`${API_URL}/thread/${threadId}`)).data.thread.images_count;
+    
+    try {
+      const before = await imagesCount();
+      
+      const response = await postFiles([await image('#135'), await image('#531')], [false, true]);
+      assert.equal(response.status, 201, "Posts should accept several files");
+      const { post } = response.data;
+      testState.createdPosts.push({ id: post.id, password: 'testpass456' });
+      
+      assert.equal(post.files.length, 2, "Post should list every file");
+      assert.deepEqual(post.files.map(file => file.file_name), ['image-0.png', 'image-1.png'], "Files should keep upload order");
+      assert.equal(post.files[0].file_spoiler, false, "Spoiler flags should apply per file");
+      assert.equal(post.files[1].thumbnail_url, '/assets/spoiler.png', "Spoilered files should show the spoiler thumbnail");
+      assert.notEqual(post.files[0].thumbnail_url, post.files[1].thumbnail_url, "Each file should get its own thumbnail");
+      assert.equal(post.file_name, 'image-0.png', "Single-file columns should describe the first file");
+      assert.equal(await imagesCount(), before + 2, "Image count should include every file");
+      utils.log("✓ Posted two files");
+      
+      const twice = await postFiles([await image('#777'), await image('#777')]);
+      assert.equal(twice.status, 409, "The same file can't be attached twice");
+      
+      const tooMany = await postFiles(await Promise.all(['#101', '#202', '#303', '#404', '#505'].map(image)));
+      assert.equal(tooMany.status, 400, "Posts should be limited to the board's file count");
+      utils.log("✓ Refused repeated files and too many files");
+      
+      await axios.delete(`${API_URL}/post/${post.id}`, { data: { password: 'testpass456' } });
+      testState.createdPosts = testState.createdPosts.filter(created => created.id !== post.id);
+      assert.equal(await imagesCount(), before, "Deleting the post should remove all of its files from the count");
+      
+      return true;
+    } catch (error) {
+      utils.error("multipleFiles failed", error);
+      return false;
+    }
+  },
+  
+  threadCounts: async () => {
+    utils.log("Testing thread counts, bumps and queued file deletion");
+    try {
+      const db = require('./db');
+      const { runJobs } = require('./utils/maintenance');
+      const getThread = async (id) => (await axios.get(`${API_URL}/thread/${id}`)).data.thread;
+      const reply = (id, fields, withImage) => {
+        const form = new FormData();
+        Object.entries(fields).forEach(([name, value]) => form.set(name, value));
+        if (withImage) {
+          form.set('file', new File([fs.readFileSync(TEST_IMAGE_PATH)], 'counted.jpg', { type: 'image/jpeg' }));
+        }
+        return axios.post(`${API_URL}/thread/${id}/reply`, form, { headers: { ...form.headers } });
+      };
+      
+      const form = new FormData();
+      form.set('comment', 'Counting thread');
+      form.set('password', 'testpass123');
+      const { data: { thread } } = await axios.post(`${API_URL}/thread`, form, { headers: { ...form.headers } });
+      testState.createdThreads.push({ id: thread.id, password: 'testpass123' });
+      
+      const { data: { post } } = await reply(thread.id, { comment: 'Counted reply', password: 'testpass456' }, true);
+      const saged = await reply(thread.id, { comment: 'Saged reply', sage: 'true' });
+      
+      let current = await getThread(thread.id);
+      assert.equal(current.replies_count, 2, "Replies should be counted");
+      assert.equal(current.images_count, 1, "Reply images should be counted");
+      assert.equal(current.bumped_at, post.created_at, "Bumping reply should set bumped_at");
+      assert.equal(current.last_reply_at, saged.data.post.created_at, "Saged reply should still be the last reply");
+      
+      await axios.delete(`${API_URL}/post/${post.id}`, { data: { password: 'testpass456' } });
+      current = await getThread(thread.id);
+      assert.equal(current.replies_count, 1, "Deleted reply should leave the count");
+      assert.equal(current.images_count, 0, "Deleted reply's image should leave the count");
+      assert(!fs.existsSync(path.join(__dirname, 'uploads', post.files[0].file_url.replace('/uploads/', ''))), "Deleted reply's file should be removed");
+      const { data: queued } = await db.from('file_deletions').select('key');
+      assert.equal(queued.length, 0, "Deleted files should leave the deletion queue");
+      utils.log("✓ Replies and deletions keep thread counts");
+      
+      // Counts that drifted are put right by the repair job
+      await db.from('threads').update({ replies_count: 7, images_count: 3 }).eq('id', thread.id);
+      const report = await runJobs(['counts']);
+      const repaired = report.jobs.counts.repaired.find(row => row.thread_id === thread.id);
+      assert(repaired, "Repair should report the thread");
+      assert.equal(repaired.stored_replies_count, 7, "Repair should report the stored count");
+      current = await getThread(thread.id);
+      assert.equal(current.replies_count, 1, "Repair should restore the reply count");
+      assert.equal(current.images_count, 0, "Repair should restore the image count");
+      utils.log("✓ Repair job recounts threads");
+      
+      return true;
+    } catch (error) {
+      utils.error("threadCounts failed", error);
+      return false;
+    }
+  },
+  
+  maintenance: async () => {
+    utils.log("Testing maintenance jobs");
+    try {
+      const db = require('./db');
+      const { runJobs } = require('./utils/maintenance');
+      
+      const { data: [ban] } = await db
+        .from('bans')
+        .insert([{ ip_range: '198.51.100.0/24', reason: 'Expired ban', expires_at: new Date(Date.now() - 60000) }])
+        .select();
+      
+      // An upload no post refers to, old enough to be an orphan
+      const orphanPath = path.join(__dirname, 'uploads', `orphan-${process.pid}.jpg`);
+      fs.copyFileSync(TEST_IMAGE_PATH, orphanPath);
+      const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+      fs.utimesSync(orphanPath, old, old);
+      
+      const dryRun = await runJobs(['orphans', 'bans', 'stats'], { dryRun: true });
+      assert.equal(dryRun.dry_run, true, "Report should say it was a dry run");
+      assert(dryRun.jobs.orphans.deleted.includes(path.basename(orphanPath)), "Dry run should report the orphaned file");
+      assert(fs.existsSync(orphanPath), "Dry run should not delete files");
+      
+      // Live files spread over several pages of rows are all kept
+      const { cleanupOrphanedFiles } = require('./utils/fileUtils');
+      const liveKeys = [];
+      for (const table of ['threads', 'posts']) {
+        const { data: records } = await db.from(table).select('files');
+        records.forEach(record => record.files.forEach(file => liveKeys.push(file.file_path, file.thumbnail_path)));
+      }
+      assert(liveKeys.length > 4, "Test needs files on more rows than fit on one page");
+      // Responses capped at two rows, as PostgREST's max-rows would
+      db.maxRows = 2;
+      let paged;
+      try {
+        paged = await cleanupOrphanedFiles(db, { dryRun: true, minAgeSeconds: 0, pageSize: 2 });
+      } finally {
+        db.maxRows = null;
+      }
+      assert(paged.deleted.includes(path.basename(orphanPath)), "Paged cleanup should still find the orphan");
+      assert(!paged.deleted.some(key => liveKeys.includes(key)), "Files on later pages should not count as orphans");
+      assert.deepEqual(dryRun.jobs.bans.expired, [ban.id], "Dry run should report the expired ban");
+      
+      // Another worker holding the lock keeps the job from running twice
+      await db.rpc('acquire_maintenance_lock', { lock_name: 'maintenance:bans', lock_owner: 'other-worker', ttl_ms: 60000 });
+      const locked = await runJobs(['bans']);
+      assert.equal(locked.jobs.bans.skipped, 'locked', "Locked jobs should be skipped");
+      await db.rpc('release_maintenance_lock', { lock_name: 'maintenance:bans', lock_owner: 'other-worker' });
+      
+      const report = await runJobs(['bans', 'rate_limits', 'stats']);
+      assert.deepEqual(report.jobs.bans.expired, [ban.id], "Expired ban should be marked");
+      assert.equal(report.jobs.stats.refreshed, true, "Stats should be refreshed");
+      const { data: expired } = await db.from('bans').select('*').eq('id', ban.id).single();
+      assert(expired.lifted_at, "Expired ban should be lifted");
+      assert.equal(expired.lifted_by_username, null, "Expired ban should not name a staff member");
+      
+      // A standalone worker can't see the in-memory database, so it must not start
+      const worker = require('child_process').spawnSync(process.execPath, [path.join(__dirname, 'maintenance.js'), '--once'], {
+        env: { ...process.env, DB_DRIVER: 'memory' },
+        encoding: 'utf8',
+        timeout: 30000
+      });
+      assert.equal(worker.status, 1, "Standalone worker should refuse the memory driver");
+      assert(fs.existsSync(orphanPath), "Refused worker should not delete files");
+      
+      fs.unlinkSync(orphanPath);
+      utils.log("✓ Maintenance jobs report, lock and expire bans");
+      return true;
+    } catch (error) {
+      utils.error("maintenance failed", error);
+      return false;
+    }
+  },
+  
+  s3Storage: async () => {
+    utils.log("Testing the S3 storage driver against a fake S3 server");
+    const http = require('http');
+    const objects = new Map([['other-app/keep.txt', { body: Buffer.from('not ours'), modified: new Date() }]]);
+    
+    // Path-style bucket API: PUT, HEAD, DELETE and ListObjectsV2 in pages of two
+    const server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      const key = decodeURIComponent(url.pathname.replace(/^\/test-bucket\/?/, ''));
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        if (!/^AWS4-HMAC-SHA256 Credential=test-key\//.test(req.headers.authorization || '')) {
+          res.statusCode = 403;
+          return res.end('<Error><Code>AccessDenied</Code></Error>');
+        }
+        if (req.method === 'PUT') {
+          objects.set(key, { body: Buffer.concat(chunks), modified: new Date() });
+          return res.end();
+        }
+        if (req.method === 'DELETE') {
+          objects.delete(key);
+          res.statusCode = 204;
+          return res.end();
+        }
+        if (req.method === 'GET' && !key) {
+          const keys = [...objects.keys()].filter(name => name.startsWith(url.searchParams.get('prefix') || '')).sort();
+          const start = parseInt(url.searchParams.get('continuation-token') || '0');
+          const page = keys.slice(start, start + 2);
+          const truncated = start + 2 < keys.length;
+          return res.end(`<ListBucketResult><IsTruncated>${truncated}</IsTruncated>` +
+            (truncated ? `<NextContinuationToken>${start + 2}</NextContinuationToken>` : '') +
+            page.map(name => `<Contents><Key>${name}</Key><LastModified>${objects.get(name).modified.toISOString()}</LastModified></Contents>`).join('') +
+            '</ListBucketResult>');
+        }
+        res.statusCode = objects.has(key) ? 200 : 404;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    const settings = {
+      S3_BUCKET: 'test-bucket',
+      S3_ACCESS_KEY_ID: 'test-key',
+      S3_SECRET_ACCESS_KEY: 'test-secret',
+      S3_ENDPOINT: `http://127.0.0.1:${server.address().port}`,
+      S3_PREFIX: 'board-media'
+    };
+    const previous = Object.fromEntries(Object.keys(settings).map(name => [name, process.env[name]]));
+    Object.assign(process.env, settings);
+    const driverPath = require.resolve('./storage/s3');
+    delete require.cache[driverPath];
+    
+    try {
+      const s3 = require('./storage/s3');
+      const keys = ['a.jpg', 'b.jpg', 'thumbnails/thumb_a.jpg'];
+      
+      for (const key of keys) {
+        const localPath = path.join(os.tmpdir(), `s3-test-${process.pid}-${path.basename(key)}`);
+        fs.copyFileSync(TEST_IMAGE_PATH, localPath);
+        await s3.save(key, localPath, 'image/jpeg');
+        assert(!fs.existsSync(localPath), "Saved files should be moved into the bucket");
+      }
+      assert(objects.has('board-media/thumbnails/thumb_a.jpg'), "Objects should be stored under the prefix");
+      assert(await s3.exists('a.jpg'), "Saved file should exist");
+      assert.equal(s3.url('thumbnails/thumb_a.jpg'),
+        `http://127.0.0.1:${server.address().port}/test-bucket/board-media/thumbnails/thumb_a.jpg`, "URL should point at the object");
+      
+      const listed = await s3.list();
+      assert.deepEqual(listed.map(file => file.key), keys, "List should follow every page and only cover the prefix");
+      assert(listed.every(file => file.modifiedAt instanceof Date), "List should report modification times");
+      
+      await s3.delete('a.jpg');
+      assert(!await s3.exists('a.jpg'), "Deleted file should be gone");
+      assert(objects.has('other-app/keep.txt'), "Objects outside the prefix should be left alone");
+      
+      utils.log("✓ S3 driver stores, lists and deletes under its prefix");
+      return true;
+    } catch (error) {
+      utils.error("s3Storage failed", error);
+      return false;
+    } finally {
+      delete require.cache[driverPath];
+      Object.entries(previous).forEach(([name, value]) => {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      });
+      server.close();
+    }
+  },
+  
+  duplicateQueryFilter: async () => {
+    utils.log("Testing the duplicate lookup filter sent to PostgREST");
+    try {
+      const { createClient } = require('@supabase/supabase-js');
+      const { filesWithHash } = require('./utils/fileHashes');
+      const sha256 = 'ab'.repeat(32);
+      
+      const query = createClient('http://localhost:54321', 'test-key')
+        .from('posts')
+        .select('id, files')
+        .contains('files', filesWithHash(sha256));
+      
+      assert.equal(query.url.searchParams.get('files'), `cs.[{"file_sha256":"${sha256}"}]`, "Hash lookup should be sent as a jsonb containment filter");
+      utils.log("✓ Duplicate lookup sends a JSON filter");
+      return true;
+    } catch (error) {
+      utils.error("duplicateQueryFilter failed", error);
+      return false;
+    }
+  },
+  
+  duplicateAndBannedFiles: async (threadId, imagePostId) => {
+    utils.log("Testing duplicate file detection and file bans");
+    const postImage = async (url) => {
+      const form = new FormData();
+      form.set('comment', 'Reposting an image');
+      form.set('file', await fileFromPath(TEST_IMAGE_PATH, { type: 'image/jpeg', filename: 'repost.jpg' }));
+      return axios.post(url, form, { headers: { ...form.headers }, validateStatus: () => true });
+    };
+    
+    try {
+      const repost = await postImage(`${API_URL}/thread/${threadId}/reply`);
+      assert.equal(repost.status, 409, "Reposting an image in the same thread should be refused");
+      assert.equal(repost.data.duplicate.id, imagePostId, "Response should point to the earlier copy");
+      utils.log("✓ Refused duplicate image");
+      
+      const login = await axios.post(`${API_URL}/admin/login`, {
+        username: ADMIN_USERNAME,
+        password: ADMIN_PASSWORD
+      });
+      const headers = { Authorization: `Bearer ${login.data.token}` };
+      
+      const ban = await axios.post(`${API_URL}/admin/post/${imagePostId}/file/ban`, {
+        reason: 'Test file ban',
+        delete_file: false
+      }, { headers });
+      assert.equal(ban.status, 201, "Moderators should be able to ban a post's file");
+      assert(/^[0-9a-f]{64}$/.test(ban.data.file_ban.sha256), "File ban should store the SHA-256");
+      
+      const banned = await postImage(`${API_URL}/thread`);
+      assert.equal(banned.status, 403, "Banned files should be refused on upload");
+      utils.log("✓ Refused banned file");
+      
+      await axios.delete(`${API_URL}/admin/file-bans/${ban.data.file_ban.id}`, { headers });
+      
+      return true;
+    } catch (error) {
+      utils.error("duplicateAndBannedFiles failed", error);
+      return false;
+    }
+  },
+  
+  boardDuplicateWindow: async () => {
+    utils.log("Testing the board-wide duplicate window on /dup/");
+    const DUP_URL = API_URL.replace(/\/api$/, '/api/dup');
+    const postImage = async () => {
+      const form = new FormData();
+      form.set('comment', 'Posting an image on /dup/');
+      form.set('password', 'duppass');
+      form.set('file', await fileFromPath(TEST_IMAGE_PATH, { type: 'image/jpeg', filename: 'dup.jpg' }));
+      return axios.post(`${DUP_URL}/thread`, form, { headers: { ...form.headers }, validateStatus: () => true });
+    };
+    
+    try {
+      const first = await postImage();
+      assert.equal(first.status, 201, "First copy should be accepted");
+      
+      const second = await postImage();
+      assert.equal(second.status, 409, "A recent copy anywhere on the board should be refused");
+      assert.equal(second.data.duplicate.id, first.data.thread.id, "Response should point to the earlier copy");
+      
+      await axios.delete(`${DUP_URL}/thread/${first.data.thread.id}`, { data: { password: 'duppass' } });
+      utils.log("✓ Refused file posted on the board recently");
+      return true;
+    } catch (error) {
+      utils.error("boardDuplicateWindow failed", error);
+      return false;
+    }
+  },
+  
+  bannedRawUpload: async () => {
+    utils.log("Testing file bans on the hash of the file as uploaded");
+    try {
+      // EXIF data is stripped on upload, so the stored copy hashes differently
+      const photo = await sharp(TEST_IMAGE_PATH)
+        .jpeg()
+        .withMetadata({ exif: { IFD0: { Copyright: 'Banned photo' } } })
+        .toBuffer();
+      const sha256 = require('crypto').createHash('sha256').update(photo).digest('hex');
+      
+      const login = await axios.post(`${API_URL}/admin/login`, {
+        username: ADMIN_USERNAME,
+        password: ADMIN_PASSWORD
+      });
+      const headers = { Authorization: `Bearer ${login.data.token}` };
+      
+      const ban = await axios.post(`${API_URL}/admin/file-bans`, { sha256, reason: 'Banned photo' }, { headers });
+      assert.equal(ban.status, 201, "Admins should be able to ban a hash");
+      
+      const form = new FormData();
+      form.set('comment', 'Reposting a banned photo');
+      form.set('password', 'testpass456');
+      form.set('file', new File([photo], 'photo.jpg', { type: 'image/jpeg' }));
+      const response = await axios.post(`${API_URL}/thread`, form, { headers: { ...form.headers }, validateStatus: () => true });
+      
+      await axios.delete(`${API_URL}/admin/file-bans/${ban.data.file_ban.id}`, { headers });
+      if (response.status === 201) testState.createdThreads.push({ id: response.data.thread.id, password: 'testpass456' });
+      
+      assert.equal(response.status, 403, "Banned files should be refused even when stripping metadata changes them");
+      utils.log("✓ Refused banned file carrying metadata");
+      return true;
+    } catch (error) {
+      utils.error("bannedRawUpload failed", error);
+      return false;
+    }
+  },
+  
+  boardLimits: async () => {
+    utils.log("Testing the bump limit, image limit and pruning on /tiny/ and /gone/");
+    const TINY_URL = API_URL.replace(/\/api$/, '/api/tiny');
+    const GONE_URL = API_URL.replace(/\/api$/, '/api/gone');
+    const created = [];
+    const newThread = async (url, comment) => {
+      const { data: { thread } } = await axios.post(`${url}/thread`, { comment });
+      created.push(thread.id);
+      return thread;
+    };
+    const imageReply = async (threadId, colors) => {
+      const form = new FormData();
+      form.set('comment', 'Image reply');
+      for (const background of colors) {
+        const image = await sharp({ create: { width: 16, height: 16, channels: 3, background } }).png().toBuffer();
+        form.append('file', new File([image], `${background.slice(1)}.png`, { type: 'image/png' }));
+      }
+      return axios.post(`${TINY_URL}/thread/${threadId}/reply`, form, { headers: { ...form.headers }, validateStatus: () => true });
+    };
+    const bumpedAt = async (threadId) => (await axios.get(`${TINY_URL}/thread/${threadId}`)).data.thread.bumped_at;
+    
+    try {
+      // Replies bump the thread until it has bumpLimit replies
+      const thread = await newThread(TINY_URL, 'Limits thread');
+      const images = await imageReply(thread.id, ['#102030', '#203040']);
+      assert.equal(images.status, 201, "Images up to the image limit should be accepted");
+      const bumpedOnce = await bumpedAt(thread.id);
+      assert(bumpedOnce > thread.bumped_at, "Replies under the bump limit should bump");
+      
+      await axios.post(`${TINY_URL}/thread/${thread.id}/reply`, { comment: 'Second reply' });
+      const bumpedTwice = await bumpedAt(thread.id);
+      assert(bumpedTwice > bumpedOnce, "Replies under the bump limit should bump");
+      
+      await axios.post(`${TINY_URL}/thread/${thread.id}/reply`, { comment: 'Past the bump limit' });
+      assert.equal(await bumpedAt(thread.id), bumpedTwice, "Replies past the bump limit should not bump");
+      utils.log("✓ Bump limit stopped bumping");
+      
+      const overLimit = await imageReply(thread.id, ['#304050']);
+      assert.equal(overLimit.status, 403, "Images past the image limit should be refused");
+      assert.equal(overLimit.data.error, 'Image limit reached', "Refusal should name the image limit");
+      utils.log("✓ Image limit refused more files");
+      
+      // Two pages of one thread: a third thread pushes the least bumped one off
+      await newThread(TINY_URL, 'Second thread');
+      await newThread(TINY_URL, 'Third thread');
+      const archived = await axios.get(`${TINY_URL}/thread/${thread.id}`);
+      assert.equal(archived.data.thread.is_archived, true, "Thread past the last page should be archived");
+      const archive = await axios.get(`${TINY_URL}/archive`);
+      assert(JSON.stringify(archive.data).includes(thread.id), "Archived thread should be listed in the archive");
+      const live = await axios.get(`${TINY_URL}/threads`);
+      assert.equal(live.data.pagination.total, 2, "Board should keep threadsPerPage * maxPages live threads");
+      utils.log("✓ Pruned thread was archived");
+      
+      // Without an archive, pruned threads are deleted
+      const first = await newThread(GONE_URL, 'Deleted when pruned');
+      await newThread(GONE_URL, 'Pushes the first one off');
+      const deleted = await axios.get(`${GONE_URL}/thread/${first.id}`, { validateStatus: () => true });
+      assert.equal(deleted.status, 404, "Pruned thread should be deleted on boards without an archive");
+      utils.log("✓ Pruned thread was deleted");
+      
+      return true;
+    } catch (error) {
+      utils.error("boardLimits failed", error);
+      return false;
+    } finally {
+      const login = await axios.post(`${API_URL}/admin/login`, { username: ADMIN_USERNAME, password: ADMIN_PASSWORD });
+      const headers = { Authorization: `Bearer ${login.data.token}` };
+      for (const id of created) {
+        await axios.delete(`${API_URL}/admin/thread/${id}`, { data: { reason: 'Test over' }, headers, validateStatus: () => true });
+      }
+    }
+  },
+  
+  getArchive: async () => {
+    utils.log("Testing GET /archive");
+    try {
+      const response = await axios.get(`${API_URL}/archive`);
+      utils.assertSuccess(response, "Got archive");
+      
+      const { threads, pagination } = response.data;
+      assert(Array.isArray(threads), "threads should be an array");
+      assert(typeof pagination.total === 'number', "pagination should include total count");
+      
+      return true;
+    } catch (error) {
+      utils.error("getArchive failed", error);
+      return false;
+    }
+  },
+  
+  replyToNonExistentThread: async () => {
+    utils.log("Testing POST /thread/non-existent/reply");
+    try {
+      // Generate a random UUID that shouldn't exist
+      const fakeId = 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+        const r = Math.random() * 16 | 0, v = c == 'x' ? r : (r & 0x3 | 0x8);
+        return v.toString(16);
+      });
+      
+      const form = new FormData();
+      form.set('comment', 'This is a test reply to a non-existent thread.');
+      
+      await axios.post(`${API_URL}/thread/${fakeId}/reply`, form, {
+        headers: { ...form.headers }
+      });
+      
+      utils.error("Expected 404 error but got success");
+      return false;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        utils.log("✓ Got expected 404 for reply to non-existent thread");
+        return true;
+      } else {
+        utils.error("replyToNonExistentThread failed with unexpected error", error);
+        return false;
+      }
+    }
+  },
+  
+  deletePost: async (postId, password) => {
+    utils.log(`Testing DELETE /post/${postId}`);
+    try {
+      const response = await axios.delete(`${API_URL}/post/${postId}`, {
+        data: { password }
+      });
+      
+      utils.assertSuccess(response, "Deleted post");
+      return true;
+    } catch (error) {
+      utils.error("deletePost failed", error);
+      return false;
+    }
+  },
+  
+  deletePostWithWrongPassword: async (postId) => {
+    utils.log(`Testing DELETE /post/${postId} (wrong password)`);
+    try {
+      await axios.delete(`${API_URL}/post/${postId}`, {
+        data: { password: 'wrongpassword' }
+      });
+      
+      utils.error("Expected authentication error but got success");
+      return false;
+    } catch (error) {
+      if (error.response && error.response.status === 403) {
+        utils.log("✓ Got expected 403 for wrong password");
+        return true;
+      } else {
+        utils.error("deletePostWithWrongPassword failed with unexpected error", error);
+        return false;
+      }
+    }
+  },
+  
+  deleteThread: async (threadId, password) => {
+    utils.log(`Testing DELETE /thread/${threadId}`);
+    try {
+      const response = await axios.delete(`${API_URL}/thread/${threadId}`, {
+        data: { password }
+      });
+      
+      utils.assertSuccess(response, "Deleted thread");
+      return true;
+    } catch (error) {
+      utils.error("deleteThread failed", error);
+      return false;
+    }
+  },
+  
+  deleteThreadWithWrongPassword: async (threadId) => {
+    utils.log(`Testing DELETE /thread/${threadId} (wrong password)`);
+    try {
+      await axios.delete(`${API_URL}/thread/${threadId}`, {
+        data: { password: 'wrongpassword' }
+      });
+      
+      utils.error("Expected authentication error but got success");
+      return false;
+    } catch (error) {
+      if (error.response && error.response.status === 403) {
+        utils.log("✓ Got expected 403 for wrong password");
+        return true;
+      } else {
+        utils.error("deleteThreadWithWrongPassword failed with unexpected error", error);
+        return false;
+      }
+    }
+  }
+};
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  utils.log("Starting comprehensive API test suite");
+  const results = {
+    total: 0,
+    passed: 0,
+    failed: 0
+  };
+  let server = null;
+  
+  try {
+    if (OFFLINE) {
+      server = await startOfflineServer();
+    }
+    
+    // Ensure test image exists
+    if (!fs.existsSync(TEST_IMAGE_PATH)) {
+      utils.error(`Test image not found at: ${TEST_IMAGE_PATH}`);
+      utils.log("Please create a test image first or run the create-test-image.js script");
+      return;
+    }
+    
+    // Test board stats
+    results.total++;
+    results.passed += await tests.getBoardStats() ? 1 : 0;
+    
+    // Test thread creation
+    results.total++;
+    const threadId1 = await tests.createThreadWithoutImage();
+    results.passed += threadId1 ? 1 : 0;
+    
+    results.total++;
+    const threadId2 = await tests.createThreadWithImage();
+    results.passed += threadId2 ? 1 : 0;
+    
+    // Test getting threads
+    results.total++;
+    results.passed += await tests.getThreads() ? 1 : 0;
+    
+    if (threadId1) {
+      // Test getting specific thread
+      results.total++;
+      results.passed += await tests.getThread(threadId1) ? 1 : 0;
+      
+      // Test replying to thread
+      results.total++;
+      const replyId1 = await tests.replyToThread(threadId1);
+      results.passed += replyId1 ? 1 : 0;
+      
+      // Test replying with image
+      results.total++;
+      const replyId2 = await tests.replyWithImage(threadId1);
+      results.passed += replyId2 ? 1 : 0;
+      
+      // Test replying without bumping
+      results.total++;
+      results.passed += await tests.replyWithSage(threadId1) ? 1 : 0;
+      
+      // Test name#password and options parsing
+      results.total++;
+      results.passed += await tests.replyWithNameAndOptions(threadId1) ? 1 : 0;
+      
+      // Test deleting with a server-generated password
+      results.total++;
+      results.passed += await tests.deleteWithGeneratedPassword(threadId1) ? 1 : 0;
+      
+      // Test comment markup and multiple quotes
+      if (replyId1) {
+        results.total++;
+        const markupId = await tests.replyWithMarkup(threadId1, replyId1);
+        results.passed += markupId ? 1 : 0;
+        
+        // Test backlinks and the replies endpoint
+        if (markupId) {
+          results.total++;
+          results.passed += await tests.backlinks(threadId1, replyId1, markupId) ? 1 : 0;
+        }
+      }
+      
+      // Test quote references inside URLs
+      results.total++;
+      results.passed += await tests.markupUrls() ? 1 : 0;
+      
+      // Test post numbers
+      results.total++;
+      results.passed += await tests.postNumbers(threadId1) ? 1 : 0;
+      
+      // Test live updates
+      results.total++;
+      results.passed += await tests.liveUpdates(threadId1) ? 1 : 0;
+      
+      if (OFFLINE) {
+        results.total++;
+        results.passed += await tests.liveReplayOrder() ? 1 : 0;
+      }
+      
+      // Test incremental fetches and conditional GET
+      results.total++;
+      results.passed += await tests.incrementalFetch(threadId1) ? 1 : 0;
+      
+      // Test the read and write budgets
+      if (OFFLINE) {
+        results.total++;
+        results.passed += await tests.apiBudgets() ? 1 : 0;
+      }
+      
+      // Test conditional GET of board lists after a deletion
+      results.total++;
+      results.passed += await tests.cachedListsAfterDeletion() ? 1 : 0;
+      
+      // Test the catalog
+      results.total++;
+      results.passed += await tests.getCatalog(threadId1) ? 1 : 0;
+      
+      // Test search
+      results.total++;
+      results.passed += await tests.search(threadId1) ? 1 : 0;
+      
+      // Test posting cooldowns
+      if (OFFLINE) {
+        results.total++;
+        results.passed += await tests.postingCooldowns() ? 1 : 0;
+      }
+      
+      // Test upload type detection and metadata stripping
+      results.total++;
+      results.passed += await tests.uploadContentChecks() ? 1 : 0;
+      
+      // Test image dimensions and spoilers
+      results.total++;
+      results.passed += await tests.imageDimensionsAndSpoilers(threadId1) ? 1 : 0;
+      
+      // Test animated image uploads
+      results.total++;
+      results.passed += await tests.animatedImage(threadId1) ? 1 : 0;
+      
+      // Test video uploads, which need ffmpeg and the /tv/ board
+      if (await require('./utils/video').videoToolsAvailable()) {
+        if (OFFLINE) {
+          results.total++;
+          results.passed += await tests.videoUploads() ? 1 : 0;
+        }
+      } else {
+        utils.log("Skipping video upload tests: ffmpeg is not installed");
+        results.total++;
+        results.passed += await tests.videoUnavailable() ? 1 : 0;
+      }
+      
+      // Test posts with multiple files
+      results.total++;
+      results.passed += await tests.multipleFiles(threadId1) ? 1 : 0;
+      
+      // Test thread counts and the repair job
+      if (OFFLINE) {
+        results.total++;
+        results.passed += await tests.threadCounts() ? 1 : 0;
+      }
+      
+      // Test maintenance jobs
+      if (OFFLINE) {
+        results.total++;
+        results.passed += await tests.maintenance() ? 1 : 0;
+      }
+      
+      // Test the S3 storage driver
+      results.total++;
+      results.passed += await tests.s3Storage() ? 1 : 0;
+      
+      // Test the duplicate lookup filter
+      results.total++;
+      results.passed += await tests.duplicateQueryFilter() ? 1 : 0;
+      
+      // Test duplicate detection and file bans
+      if (replyId2 && ADMIN_USERNAME && ADMIN_PASSWORD) {
+        results.total++;
+        results.passed += await tests.duplicateAndBannedFiles(threadId1, replyId2) ? 1 : 0;
+      }
+      
+      // Test the board-wide duplicate window
+      if (OFFLINE) {
+        results.total++;
+        results.passed += await tests.boardDuplicateWindow() ? 1 : 0;
+      }
+      
+      // Test file bans against the raw upload's hash
+      if (ADMIN_USERNAME && ADMIN_PASSWORD) {
+        results.total++;
+        results.passed += await tests.bannedRawUpload() ? 1 : 0;
+      }
+      
+      // Test reporting a post
+      if (replyId1) {
+        results.total++;
+        results.passed += await tests.reportPost(threadId1, replyId1) ? 1 : 0;
+      }
+      
+      // Test deleting post with wrong password
+      if (replyId1) {
+        results.total++;
+        results.passed += await tests.deletePostWithWrongPassword(replyId1) ? 1 : 0;
+      }
+      
+      // Test staff moderation
+      if (ADMIN_USERNAME && ADMIN_PASSWORD) {
+        results.total++;
+        results.passed += await tests.adminModeration(threadId1) ? 1 : 0;
+      }
+      
+      // Test deleting thread with wrong password
+      results.total++;
+      results.passed += await tests.deleteThreadWithWrongPassword(threadId1) ? 1 : 0;
+    }
+    
+    // Test bans and appeals
+    if (ADMIN_USERNAME && ADMIN_PASSWORD) {
+      results.total++;
+      results.passed += await tests.banAndAppeal() ? 1 : 0;
+    }
+    
+    // Test the bump limit, image limit and pruning
+    if (OFFLINE) {
+      results.total++;
+      results.passed += await tests.boardLimits() ? 1 : 0;
+    }
+    
+    // Test ban lookups and listing
+    if (OFFLINE) {
+      results.total++;
+      results.passed += await tests.banLookup() ? 1 : 0;
+    }
+    
+    // Test subnet bans on a poster
+    if (ADMIN_USERNAME && ADMIN_PASSWORD) {
+      results.total++;
+      results.passed += await tests.posterSubnetBan() ? 1 : 0;
+    }
+    
+    // Test moving a thread between boards
+    if (ADMIN_USERNAME && ADMIN_PASSWORD) {
+      results.total++;
+      results.passed += await tests.moveThread() ? 1 : 0;
+    }
+    
+    // Test archive listing
+    results.total++;
+    results.passed += await tests.getArchive() ? 1 : 0;
+    
+    // Test getting non-existent thread
+    results.total++;
+    results.passed += await tests.getNonExistentThread() ? 1 : 0;
+    
+    // Test replying to non-existent thread
     results.total++;
     results.passed += await tests.replyToNonExistentThread() ? 1 : 0;
     
@@ -521,6 +2325,11 @@ async function runTests() {
     // Run cleanup
     await utils.cleanup();
     
+    if (server) {
+      server.close();
+    }
+    
+    process.exitCode = results.failed > 0 || results.total === 0 ? 1 : 0;
     utils.log("Test suite completed");
   }
 }
@@ -0,0 +1,55 @@
+/**
+ * Add a backlinks array to each thread/post: the IDs of the records in the
+ * same list that quote it, oldest first
+ *
+ * Backlinks are derived from the quotes column at read time, so deleted
+ * posts drop out of them automatically.
+ *
+ * @param {Object[]} records - Threads and/or posts with quotes arrays
+ * @returns {Object[]} Copies of the records, in the original order, with backlinks
+ */
+exports.attachBacklinks = (records) => {
+  const backlinks = new Map(records.map(record => [record.id, []]));
+
+  records
+    .slice()
+    .sort((a, b) => (a.created_at < b.created_at ? -1 : a.created_at > b.created_at ? 1 : 0))
+    .forEach(record => {
+      (record.quotes || []).forEach(quotedId => {
+        const list = backlinks.get(quotedId);
+        if (list && quotedId !== record.id && !list.includes(record.id)) {
+          list.push(record.id);
+        }
+      });
+    });
+
+  return records.map(record => ({ ...record, backlinks: backlinks.get(record.id) }));
+};
+
+/**
+ * Collect every record that replies to a post, directly or through other replies
+ *
+ * @param {Object[]} records - Records returned by attachBacklinks
+ * @param {string} rootId - ID of the post whose replies to collect
+ * @returns {Object[]} Replies, oldest first
+ */
+exports.collectReplies = (records, rootId) => {
+  const byId = new Map(records.map(record => [record.id, record]));
+  const seen = new Set([rootId]);
+  const queue = [rootId];
+
+  while (queue.length > 0) {
+    const current = byId.get(queue.shift());
+    (current ? current.backlinks : []).forEach(id => {
+      if (!seen.has(id)) {
+        seen.add(id);
+        queue.push(id);
+      }
+    });
+  }
+
+  seen.delete(rootId);
+  return records
+    .filter(record => seen.has(record.id))
+    .sort((a, b) => (a.created_at < b.created_at ? -1 : a.created_at > b.created_at ? 1 : 0));
+};
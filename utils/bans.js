@@ -0,0 +1,130 @@
+const net = require('net');
+const db = require('../db');
+
+/**
+ * Get the client IP of a request, unwrapping IPv4-mapped IPv6 addresses
+ *
+ * @param {Object} req - Express request
+ * @returns {string|null} IP address
+ */
+exports.getClientIp = (req) => {
+  const forwarded = (req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+  const ip = req.ip || forwarded || null;
+
+  if (ip && ip.startsWith('::ffff:') && net.isIPv4(ip.substring(7))) {
+    return ip.substring(7);
+  }
+  return ip;
+};
+
+/**
+ * An IP address as a number
+ */
+const addressToBigInt = (address, family) => {
+  if (family === 4) {
+    return address.split('.').reduce((value, octet) => (value << 8n) | BigInt(octet), 0n);
+  }
+
+  // Expand "::" and a trailing dotted IPv4 part into eight 16-bit groups
+  let groups = address.split('%')[0];
+  const dotted = groups.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const v4 = addressToBigInt(dotted[1], 4);
+    groups = groups.slice(0, -dotted[1].length) + `${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+  }
+  const [head, tail] = groups.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = tail === undefined ? [] : Array(8 - headGroups.length - tailGroups.length).fill('0');
+
+  return [...headGroups, ...missing, ...tailGroups].reduce((value, group) => (value << 16n) | BigInt(parseInt(group, 16)), 0n);
+};
+
+/**
+ * Format a number as an IP address
+ */
+const bigIntToAddress = (value, family) => {
+  if (family === 4) {
+    return [24n, 16n, 8n, 0n].map(shift => String((value >> shift) & 0xffn)).join('.');
+  }
+
+  const groups = [112n, 96n, 80n, 64n, 48n, 32n, 16n, 0n].map(shift => ((value >> shift) & 0xffffn).toString(16));
+
+  // Shorten the longest run of zero groups to "::"
+  let best = { start: -1, length: 1 };
+  for (let start = 0; start < 8; start++) {
+    let length = 0;
+    while (start + length < 8 && groups[start + length] === '0') length++;
+    if (length > best.length) best = { start, length };
+  }
+  if (best.start === -1) return groups.join(':');
+
+  return `${groups.slice(0, best.start).join(':')}::${groups.slice(best.start + best.length).join(':')}`;
+};
+
+/**
+ * Normalize an IP address or CIDR range to CIDR notation, clearing host bits
+ * so the result is a valid Postgres cidr value ("1.2.3.57/24" becomes
+ * "1.2.3.0/24")
+ *
+ * @param {string} input - "1.2.3.4", "1.2.3.0/24", "2001:db8::/32", ...
+ * @returns {string|null} CIDR range, or null if the input is invalid
+ */
+exports.normalizeRange = (input) => {
+  const [network, prefix] = String(input || '').trim().split('/');
+  const family = net.isIP(network);
+  if (!family) return null;
+
+  const maxPrefix = family === 4 ? 32 : 128;
+  const bits = prefix === undefined ? maxPrefix : Number(prefix);
+  if (!Number.isInteger(bits) || bits < 0 || bits > maxPrefix) return null;
+
+  const hostBits = BigInt(maxPrefix - bits);
+  const masked = (addressToBigInt(network, family) >> hostBits) << hostBits;
+
+  return `${bigIntToAddress(masked, family)}/${bits}`;
+};
+
+/**
+ * Check whether a ban is currently in force
+ *
+ * @param {Object} ban - Ban row
+ * @returns {boolean}
+ */
+exports.isActive = (ban) => !ban.lifted_at && (!ban.expires_at || new Date(ban.expires_at) > new Date());
+
+/**
+ * Find the active bans covering an IP address
+ *
+ * @param {string} ip - Client IP address
+ * @param {string} [board] - Only include bans for this board and global bans
+ * @returns {Promise<Object[]>} Matching bans, newest first
+ */
+exports.findActiveBans = async (ip, board) => {
+  if (!ip || !net.isIP(ip)) return [];
+
+  // Ranges are matched in the database, so only the matching bans are loaded
+  const { data: bans, error } = await db.rpc('find_active_bans', {
+    client_ip: ip,
+    board_filter: board || null
+  });
+
+  if (error) throw error;
+  return bans;
+};
+
+/**
+ * Ban details shown to the banned user
+ *
+ * @param {Object} ban - Ban row
+ * @returns {Object}
+ */
+exports.publicBan = (ban) => ({
+  id: ban.id,
+  board: ban.board,
+  reason: ban.reason,
+  created_at: ban.created_at,
+  expires_at: ban.expires_at,
+  appealable: !ban.appeal_text,
+  appeal_status: ban.appeal_status
+});
@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+/**
+ * Send a JSON response with ETag and Last-Modified validators, or an empty
+ * 304 when the client's cached copy is still current
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} body - Response body
+ * @param {string|Date} [lastModified] - When the underlying data last changed
+ */
+exports.sendCached = (req, res, body, lastModified) => {
+  const json = JSON.stringify(body);
+  const hash = crypto.createHash('sha1').update(json).digest('base64url');
+
+  res.set('ETag', `W/"${hash}"`);
+  res.set('Cache-Control', 'no-cache');
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+  }
+
+  // req.fresh compares the validators above with If-None-Match / If-Modified-Since
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.type('json').send(json);
+};
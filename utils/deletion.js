@@ -0,0 +1,94 @@
+const db = require('../db');
+const { deleteQueuedFiles, attachmentColumns } = require('./fileUtils');
+const { publish } = require('./live');
+
+/**
+ * Delete the files the database queued for deletion, once the change that
+ * removed them has committed. Files that can't be deleted now stay queued
+ * for the maintenance worker.
+ */
+const flushFileDeletions = async () => {
+  try {
+    await deleteQueuedFiles(db);
+  } catch (err) {
+    console.error('Error deleting queued files:', err);
+  }
+};
+
+exports.flushFileDeletions = flushFileDeletions;
+
+/**
+ * Delete a thread, its replies and all of their files
+ *
+ * @param {Object} thread - Thread row
+ */
+exports.removeThread = async (thread) => {
+  // Replies are cascaded away with the thread, queueing their files as they go
+  const { error } = await db
+    .from('threads')
+    .delete()
+    .eq('id', thread.id);
+
+  if (error) throw error;
+
+  await flushFileDeletions();
+
+  publish('delete_thread', { board: thread.board, threadId: thread.id }, { id: thread.id, no: thread.no });
+};
+
+/**
+ * Delete a reply and its files
+ *
+ * The thread's counts and the deletion record used by incremental thread
+ * fetches are updated in the same transaction.
+ *
+ * @param {Object} post - Post row
+ */
+exports.removePost = async (post) => {
+  const { error } = await db
+    .from('posts')
+    .delete()
+    .eq('id', post.id);
+
+  if (error) throw error;
+
+  await flushFileDeletions();
+
+  publish('delete_post', { board: post.board, threadId: post.thread_id }, {
+    id: post.id,
+    no: post.no,
+    thread_id: post.thread_id
+  });
+};
+
+/**
+ * Delete the files attached to a thread or post, keeping the text
+ *
+ * @param {string} table - "threads" or "posts"
+ * @param {Object} record - Thread or post row
+ * @param {number|null} [index] - Position of the one file to delete, or null for all of them
+ */
+exports.removeFile = async (table, record, index = null) => {
+  const removed = index === null ? record.files : record.files.filter((file, position) => position === index);
+  if (removed.length === 0) return;
+
+  const remaining = record.files.filter(file => !removed.includes(file));
+
+  const { error } = await db
+    .from(table)
+    .update({ ...attachmentColumns(remaining), file_deleted: true })
+    .eq('id', record.id);
+
+  if (error) throw error;
+
+  await flushFileDeletions();
+
+  const threadId = table === 'threads' ? record.id : record.thread_id;
+
+  publish('delete_file', { board: record.board, threadId }, {
+    id: record.id,
+    no: record.no,
+    thread_id: threadId,
+    index
+  });
+};
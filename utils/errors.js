@@ -0,0 +1,24 @@
+/**
+ * Errors handled by the error middleware in app.js
+ */
+
+class UnauthorizedError extends Error {
+  constructor(message = 'Invalid or missing authentication') {
+    super(message);
+    this.name = 'UnauthorizedError';
+    this.status = 401;
+  }
+}
+
+class ForbiddenError extends Error {
+  constructor(message = 'Insufficient permissions') {
+    super(message);
+    this.name = 'ForbiddenError';
+    this.status = 403;
+  }
+}
+
+module.exports = {
+  UnauthorizedError,
+  ForbiddenError
+};
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const sharp = require('sharp');
+const db = require('../db');
+
+/**
+ * SHA-256 of a file's contents
+ *
+ * @param {string} filePath - Path on disk
+ * @returns {Promise<string>} Hex digest
+ */
+exports.hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+
+  fs.createReadStream(filePath)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+/**
+ * 64-bit difference hash (dHash) of an image, which stays the same or close
+ * when the image is resized, recompressed or slightly edited
+ *
+ * @param {string} filePath - Path on disk
+ * @returns {Promise<string|null>} 16 hex digits, or null if the image can't be decoded
+ */
+exports.perceptualHash = async (filePath) => {
+  try {
+    const pixels = await sharp(filePath)
+      .greyscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    // One bit per horizontally adjacent pixel pair: is the left one brighter?
+    let bits = 0n;
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        bits = (bits << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+      }
+    }
+    return bits.toString(16).padStart(16, '0');
+  } catch (err) {
+    console.error('Error computing perceptual hash:', err);
+    return null;
+  }
+};
+
+/**
+ * Number of differing bits between two perceptual hashes
+ */
+const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+/**
+ * Check whether perceptual matching applies to an upload
+ */
+const usesPerceptual = (file, distance) => distance !== null && distance !== undefined && Boolean(file.phash);
+
+/**
+ * Check whether a stored file is the same file, or a similar image when
+ * perceptual matching is on
+ */
+const sameFile = (row, file, distance) => (
+  row.file_sha256 === file.sha256 ||
+  (usesPerceptual(file, distance) && Boolean(row.file_phash) && hammingDistance(row.file_phash, file.phash) <= distance)
+);
+
+/**
+ * Find a file ban matching an upload
+ *
+ * Bans with a perceptual hash also catch close copies of the image.
+ *
+ * @param {{ sha256: string, phash: string|null }} file - Upload fingerprints
+ * @param {number|null} distance - Largest perceptual hash distance counted as the same image
+ * @returns {Promise<Object|null>} File ban row
+ */
+exports.findFileBan = async (file, distance) => {
+  let query = db
+    .from('file_bans')
+    .select('*');
+
+  if (!usesPerceptual(file, distance)) {
+    query = query.eq('sha256', file.sha256);
+  }
+
+  const { data: bans, error } = await query;
+
+  if (error) throw error;
+
+  return bans.find(ban => sameFile({ file_sha256: ban.sha256, file_phash: ban.phash }, file, distance)) || null;
+};
+
+/**
+ * Filter value for contains('files', ...) matching rows with a file of this
+ * hash. postgrest-js sends arrays given to contains() as Postgres array
+ * literals, so the jsonb value has to be passed as JSON text.
+ *
+ * @param {string} sha256 - Hex digest
+ * @returns {string} JSON array with one partial file entry
+ */
+exports.filesWithHash = (sha256) => JSON.stringify([{ file_sha256: sha256 }]);
+
+/**
+ * Find an earlier copy of an upload that the board doesn't allow reposting:
+ * anywhere in the same thread, or anywhere on the board within the window
+ *
+ * @param {Object} board - Board settings
+ * @param {string|null} threadId - Thread being replied to, null for new threads
+ * @param {{ sha256: string, phash: string|null }} file - Upload fingerprints
+ * @returns {Promise<{ scope: string, record: Object }|null>} Duplicate and where it was found
+ */
+exports.findDuplicate = async (board, threadId, file) => {
+  const { thread, boardWindowSeconds, perceptualDistance } = board.duplicateFiles;
+
+  const candidates = async (table, filter) => {
+    let query = filter(db
+      .from(table)
+      .select(table === 'threads' ? 'id, no, files' : 'id, no, thread_id, files'));
+
+    // Without perceptual matching the database can compare hashes itself
+    if (!usesPerceptual(file, perceptualDistance)) {
+      query = query.contains('files', exports.filesWithHash(file.sha256));
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return data
+      .filter(row => row.files.some(stored => sameFile(stored, file, perceptualDistance)))
+      .map(row => ({ id: row.id, no: row.no, thread_id: row.thread_id || row.id }));
+  };
+
+  if (thread && threadId) {
+    const matches = [
+      ...await candidates('threads', query => query.eq('id', threadId)),
+      ...await candidates('posts', query => query.eq('thread_id', threadId))
+    ];
+    if (matches.length > 0) return { scope: 'thread', record: matches[0] };
+  }
+
+  if (boardWindowSeconds) {
+    const since = new Date(Date.now() - boardWindowSeconds * 1000).toISOString();
+    const matches = [
+      ...await candidates('threads', query => query.eq('board', board.slug).gte('created_at', since)),
+      ...await candidates('posts', query => query.eq('board', board.slug).gte('created_at', since))
+    ];
+    if (matches.length > 0) return { scope: 'board', record: matches[0] };
+  }
+
+  return null;
+};
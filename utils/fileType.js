@@ -0,0 +1,140 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const { remuxWithoutMetadata } = require('./video');
+
+// File signatures, checked against the first bytes of an upload
+const SIGNATURES = [
+  {
+    mime: 'image/jpeg',
+    ext: 'jpg',
+    format: 'jpeg',
+    kind: 'image',
+    matches: (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff
+  },
+  {
+    mime: 'image/png',
+    ext: 'png',
+    format: 'png',
+    kind: 'image',
+    matches: (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    mime: 'image/gif',
+    ext: 'gif',
+    format: 'gif',
+    kind: 'image',
+    matches: (bytes) => ['GIF87a', 'GIF89a'].includes(bytes.toString('ascii', 0, 6))
+  },
+  {
+    mime: 'image/webp',
+    ext: 'webp',
+    format: 'webp',
+    kind: 'image',
+    matches: (bytes) => bytes.toString('ascii', 0, 4) === 'RIFF' && bytes.toString('ascii', 8, 12) === 'WEBP'
+  },
+  {
+    mime: 'video/webm',
+    ext: 'webm',
+    format: 'webm',
+    kind: 'video',
+    // EBML header naming the webm document type (plain Matroska is not accepted)
+    matches: (bytes) => bytes.readUInt32BE(0) === 0x1a45dfa3 && bytes.includes('webm')
+  },
+  {
+    mime: 'video/mp4',
+    ext: 'mp4',
+    format: 'mp4',
+    kind: 'video',
+    // ISO media file type box, excluding QuickTime movies
+    matches: (bytes) => bytes.toString('ascii', 4, 8) === 'ftyp' && bytes.toString('ascii', 8, 12) !== 'qt  '
+  }
+];
+
+// Formats re-encoded to drop EXIF/GPS and other metadata
+const STRIPPED_FORMATS = ['jpeg', 'png', 'webp'];
+
+/**
+ * Detect a file's type from its contents, ignoring its name and the
+ * client-supplied MIME type
+ *
+ * @param {string} filePath - Path on disk
+ * @returns {Promise<{ mime: string, ext: string, format: string, kind: string }|null>} Detected type, or null if unknown
+ */
+exports.detectFileType = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const bytes = Buffer.alloc(64);
+    await handle.read(bytes, 0, bytes.length, 0);
+
+    const signature = SIGNATURES.find(candidate => candidate.matches(bytes));
+    if (!signature) return null;
+
+    const { matches, ...type } = signature;
+    return type;
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * MIME type of a file stored with one of the detected types' extensions
+ *
+ * @param {string} fileName - File name or key, e.g. "thumb_abc.jpg"
+ * @returns {string|null} MIME type, or null for unknown extensions
+ */
+exports.mimeTypeOf = (fileName) => {
+  const ext = fileName.split('.').pop().toLowerCase();
+  const signature = SIGNATURES.find(candidate => candidate.ext === ext);
+  return signature ? signature.mime : null;
+};
+
+/**
+ * Decode an image to confirm it really is the detected type
+ *
+ * @param {string} filePath - Path on disk
+ * @param {{ format: string }} type - Type from detectFileType
+ * @returns {Promise<boolean>} True if sharp decodes it as that format
+ */
+exports.verifyImage = async (filePath, type) => {
+  try {
+    const metadata = await sharp(filePath).metadata();
+    return metadata.format === type.format && metadata.width > 0 && metadata.height > 0;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Write a copy of an upload without EXIF/GPS or other metadata
+ *
+ * JPEG, PNG and WebP are re-encoded and videos are remuxed; GIFs are
+ * copied unchanged. EXIF orientation is applied to the pixels first so
+ * images still display the right way up.
+ *
+ * @param {string} sourcePath - Uploaded file
+ * @param {string} targetPath - Where to write the clean copy
+ * @param {{ format: string, kind: string }} type - Type from detectFileType
+ */
+exports.stripMetadata = async (sourcePath, targetPath, type) => {
+  if (type.kind === 'video') {
+    await remuxWithoutMetadata(sourcePath, targetPath);
+    return;
+  }
+  if (!STRIPPED_FORMATS.includes(type.format)) {
+    await fs.promises.copyFile(sourcePath, targetPath);
+    return;
+  }
+
+  const image = sharp(sourcePath, { animated: type.format === 'webp' }).rotate();
+
+  switch (type.format) {
+    case 'jpeg':
+      await image.jpeg({ quality: 92 }).toFile(targetPath);
+      break;
+    case 'png':
+      await image.png().toFile(targetPath);
+      break;
+    default:
+      await image.webp({ quality: 92 }).toFile(targetPath);
+  }
+};
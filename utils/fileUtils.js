@@ -1,117 +1,173 @@
-const crypto = require('crypto');
-const path = require('path');
 const fs = require('fs');
+const storage = require('../storage');
+
+// Columns describing one attachment. Each entry of a row's `files` array
+// has these keys, and the row's own columns mirror its first attachment.
+const FILE_COLUMNS = [
+  'file_name', 'file_path', 'file_size', 'file_type', 'file_width', 'file_height', 'file_animated',
+  'file_duration', 'file_has_audio', 'file_spoiler', 'thumbnail_path', 'thumbnail_width', 'thumbnail_height',
+  'file_sha256', 'file_phash'
+];
+
+// Values of the single-file columns when a row has no attachments
+const NO_FILE = FILE_COLUMNS.reduce((columns, column) => ({ ...columns, [column]: null }), {
+  file_animated: false,
+  file_spoiler: false
+});
 
 /**
- * Generate a tripcode from a password
- * 
- * @param {string} password - User-provided password
- * @returns {string} Generated tripcode
+ * Build the attachment columns of a thread or post row
+ *
+ * @param {Object[]} files - Attachment entries, in display order
+ * @returns {Object} `files` plus the single-file columns describing the first one
  */
-exports.generateTripcode = (password) => {
-  if (!password) return null;
-  
-  // Get salt from env or use a default
-  const salt = process.env.TRIPCODE_SALT || 'defaultsalt';
-  
-  // Create a hash of the password with the salt
-  const hash = crypto
-    .createHash('sha256')
-    .update(password + salt)
-    .digest('base64')
-    .substring(0, 10) // Use first 10 chars for tripcode
-    .replace(/\+/g, '.')  // Replace problematic chars
-    .replace(/\//g, ',')
-    .replace(/=/g, '-');
-  
-  return hash;
+exports.attachmentColumns = (files) => {
+  const first = {};
+  FILE_COLUMNS.forEach(column => {
+    first[column] = files.length > 0 ? files[0][column] : NO_FILE[column];
+  });
+  return { ...first, files };
 };
 
 /**
- * Verify if a password matches a tripcode
- * 
- * @param {string} password - User-provided password to check
- * @param {string} tripcode - Stored tripcode to verify against
- * @returns {boolean} Whether password matches tripcode
+ * Delete files queued for deletion by the database, oldest first
+ *
+ * Keys are only taken off the queue once their file is gone, so failed
+ * deletions are retried on the next run.
+ *
+ * @param {Object} db - Database client from db/index.js
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only report what would be deleted
+ * @param {number} [options.limit] - Most keys to handle in one run
+ * @returns {Promise<{ deleted: string[], failed: string[] }>} Keys deleted (or to delete) and keys that couldn't be
  */
-exports.verifyTripcode = (password, tripcode) => {
-  const generatedTripcode = exports.generateTripcode(password);
-  return generatedTripcode === tripcode;
+exports.deleteQueuedFiles = async (db, { dryRun = false, limit = 100 } = {}) => {
+  const { data: queued, error } = await db
+    .from('file_deletions')
+    .select('key')
+    .order('queued_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+
+  const keys = queued.map(row => row.key);
+  if (dryRun) return { deleted: keys, failed: [] };
+
+  const deleted = [];
+  const failed = [];
+
+  for (const key of keys) {
+    try {
+      await storage.delete(key);
+      deleted.push(key);
+    } catch (err) {
+      console.error(`Error deleting file ${key}:`, err);
+      failed.push(key);
+    }
+  }
+
+  if (deleted.length > 0) {
+    const { error: dequeueError } = await db
+      .from('file_deletions')
+      .delete()
+      .in('key', deleted);
+
+    if (dequeueError) throw dequeueError;
+  }
+
+  return { deleted, failed };
 };
 
 /**
- * Clean up old files that are no longer in the database
- * This can be run as a scheduled task
+ * Remove the files uploaded with a request that was rejected, from storage
+ * once they were stored and from the upload directory before that
+ *
+ * @param {Object[]} [files] - Multer files, with thumbnailPath when a thumbnail was made
  */
-exports.cleanupOrphanedFiles = async (supabase) => {
-  const uploadDir = process.env.UPLOAD_DIRECTORY || './uploads';
-  const thumbnailDir = path.join(uploadDir, 'thumbnails');
-  
-  try {
-    // Get all files in the uploads directory
-    const files = fs.readdirSync(uploadDir)
-      .filter(file => !fs.statSync(path.join(uploadDir, file)).isDirectory())
-      .map(file => path.join(uploadDir, file));
-    
-    // Get all thumbnails
-    const thumbnails = fs.existsSync(thumbnailDir) ? 
-      fs.readdirSync(thumbnailDir)
-        .map(file => path.join(thumbnailDir, file)) : 
-      [];
-    
-    // Get all file paths from the database
-    const { data: threadFiles } = await supabase
-      .from('threads')
-      .select('file_path, thumbnail_path')
-      .not('file_path', 'is', null);
-    
-    const { data: postFiles } = await supabase
-      .from('posts')
-      .select('file_path, thumbnail_path')
-      .not('file_path', 'is', null);
-    
-    // Create a set of all valid file paths
-    const validFilePaths = new Set();
-    const validThumbnailPaths = new Set();
-    
-    // Add thread files
-    threadFiles.forEach(record => {
-      if (record.file_path) validFilePaths.add(path.join(__dirname, '..', record.file_path));
-      if (record.thumbnail_path) validThumbnailPaths.add(path.join(__dirname, '..', record.thumbnail_path));
-    });
-    
-    // Add post files
-    postFiles.forEach(record => {
-      if (record.file_path) validFilePaths.add(path.join(__dirname, '..', record.file_path));
-      if (record.thumbnail_path) validThumbnailPaths.add(path.join(__dirname, '..', record.thumbnail_path));
-    });
-    
-    // Delete orphaned files
-    files.forEach(file => {
-      if (!validFilePaths.has(file)) {
-        try {
-          fs.unlinkSync(file);
-          console.log(`Deleted orphaned file: ${file}`);
-        } catch (err) {
-          console.error(`Error deleting file ${file}:`, err);
-        }
+exports.removeUploadedFiles = async (files) => {
+  for (const file of files || []) {
+    try {
+      if (file.key) {
+        await storage.delete(file.key);
+      } else {
+        await fs.promises.unlink(file.path);
       }
-    });
-    
-    // Delete orphaned thumbnails
-    thumbnails.forEach(thumb => {
-      if (!validThumbnailPaths.has(thumb)) {
-        try {
-          fs.unlinkSync(thumb);
-          console.log(`Deleted orphaned thumbnail: ${thumb}`);
-        } catch (err) {
-          console.error(`Error deleting thumbnail ${thumb}:`, err);
-        }
+
+      if (file.thumbnailKey) {
+        await storage.delete(file.thumbnailKey);
+      } else if (file.thumbnailPath) {
+        await fs.promises.unlink(file.thumbnailPath);
       }
-    });
-    
-    console.log('File cleanup completed');
-  } catch (err) {
-    console.error('Error during file cleanup:', err);
+    } catch (e) {
+      console.error('Error cleaning up files:', e);
+    }
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Delete stored files that no thread or post refers to
+ *
+ * Files stored less than minAgeSeconds ago are kept, since their post may
+ * still be on its way into the database.
+ *
+ * @param {Object} db - Database client from db/index.js
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only report what would be deleted
+ * @param {number} [options.minAgeSeconds] - Age below which files are never orphans
+ * @param {number} [options.pageSize] - Rows read per query, at most PostgREST's max-rows
+ * @returns {Promise<{ deleted: string[], failed: string[] }>} Keys deleted (or to delete) and keys that couldn't be
+ */
+exports.cleanupOrphanedFiles = async (db, { dryRun = false, minAgeSeconds = 3600, pageSize = 1000 } = {}) => {
+  // List storage first, so files stored after the queries below are too new to count
+  const stored = await storage.list();
+  const cutoff = Date.now() - minAgeSeconds * 1000;
+
+  // Every key still in use, files and thumbnails alike
+  const validKeys = new Set();
+
+  // PostgREST caps each response, so rows are read a page at a time until a
+  // short page; a truncated read would delete files that are still in use
+  for (const table of ['threads', 'posts']) {
+    for (let offset = 0; ; offset += pageSize) {
+      const { data: records, error } = await db
+        .from(table)
+        .select('id, files')
+        .not('file_path', 'is', null)
+        .order('id', { ascending: true })
+        .range(offset, offset + pageSize - 1);
+
+      if (error) throw error;
+
+      records.forEach(record => {
+        record.files.forEach(file => {
+          if (file.file_path) validKeys.add(file.file_path);
+          if (file.thumbnail_path) validKeys.add(file.thumbnail_path);
+        });
+      });
+
+      if (records.length < pageSize) break;
+    }
+  }
+
+  const orphans = stored
+    .filter(file => !validKeys.has(file.key))
+    .filter(file => !file.modifiedAt || file.modifiedAt.getTime() < cutoff)
+    .map(file => file.key);
+
+  if (dryRun) return { deleted: orphans, failed: [] };
+
+  const deleted = [];
+  const failed = [];
+
+  for (const key of orphans) {
+    try {
+      await storage.delete(key);
+      deleted.push(key);
+    } catch (err) {
+      console.error(`Error deleting file ${key}:`, err);
+      failed.push(key);
+    }
+  }
+
+  return { deleted, failed };
+};
@@ -0,0 +1,79 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Live update hub
+ *
+ * Controllers publish board events (new threads and posts, deletions, flag
+ * changes) and event streams subscribe to them. Events live in this process
+ * only; a bounded history lets reconnecting clients catch up with
+ * Last-Event-ID.
+ */
+
+// Events kept for clients resuming with Last-Event-ID
+const HISTORY_SIZE = parseInt(process.env.LIVE_HISTORY_SIZE) || 500;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const history = [];
+let lastEventId = 0;
+
+/**
+ * Publish an event to everyone watching the board or the thread
+ *
+ * @param {string} type - Event type, e.g. "post" or "delete_thread"
+ * @param {Object} target
+ * @param {string} target.board - Board slug
+ * @param {string} target.threadId - Thread the event belongs to
+ * @param {Object} data - Event payload
+ */
+exports.publish = (type, { board, threadId }, data) => {
+  const event = { id: ++lastEventId, type, board, thread_id: threadId, data };
+
+  history.push(event);
+  if (history.length > HISTORY_SIZE) {
+    history.shift();
+  }
+
+  emitter.emit('event', event);
+};
+
+/**
+ * Check whether history still holds every event published after an event ID
+ *
+ * IDs from before a restart, or older than the oldest event kept, can't be
+ * caught up from history.
+ *
+ * @param {number} after - Last event ID the client saw
+ * @returns {boolean}
+ */
+exports.hasHistoryAfter = (after) => {
+  if (after > lastEventId) return false;
+  if (after === lastEventId) return true;
+  return history.length > 0 && history[0].id <= after + 1;
+};
+
+/**
+ * Receive events matching a filter, first replaying any still in history
+ * after a given event ID
+ *
+ * @param {Function} filter - Called with each event, returns true to deliver it
+ * @param {Function} listener - Called with each delivered event
+ * @param {Object} [options]
+ * @param {number} [options.after] - Last event ID the client saw
+ * @returns {Function} Unsubscribe function
+ */
+exports.subscribe = (filter, listener, { after } = {}) => {
+  if (after !== undefined && after !== null) {
+    history
+      .filter(event => event.id > after && filter(event))
+      .forEach(listener);
+  }
+
+  const handler = (event) => {
+    if (filter(event)) listener(event);
+  };
+
+  emitter.on('event', handler);
+  return () => emitter.off('event', handler);
+};
@@ -0,0 +1,231 @@
+const os = require('os');
+const db = require('../db');
+const { listBoards } = require('../config/boards');
+const { cleanupOrphanedFiles, deleteQueuedFiles } = require('./fileUtils');
+const { pruneBoard, purgeArchive } = require('./pruning');
+
+/**
+ * Read a whole number from the environment, where 0 is a valid value
+ */
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+// How long a job's lock is held before another worker may take it over,
+// should this one die without releasing it
+const LOCK_TTL_MS = 15 * 60 * 1000;
+
+// Identifies this worker's locks
+const owner = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Mark bans whose time ran out as lifted, taking them out of the active ban
+ * index. Expired bans keep an empty lifted_by_username, unlike bans lifted
+ * by staff.
+ */
+const expireBans = async ({ dryRun }) => {
+  const { data: expired, error } = await db
+    .from('bans')
+    .select('id')
+    .is('lifted_at', null)
+    .lt('expires_at', new Date().toISOString());
+
+  if (error) throw error;
+
+  const ids = expired.map(ban => ban.id);
+  if (ids.length > 0 && !dryRun) {
+    const { error: updateError } = await db
+      .from('bans')
+      .update({ lifted_at: new Date() })
+      .in('id', ids);
+
+    if (updateError) throw updateError;
+  }
+
+  return { expired: ids };
+};
+
+/**
+ * Delete rate limit counters whose window has ended
+ */
+const purgeRateLimits = async ({ dryRun }) => {
+  const now = new Date().toISOString();
+
+  const query = dryRun
+    ? db.from('rate_limits').select('key').lt('reset_at', now)
+    : db.from('rate_limits').delete().lt('reset_at', now).select('key');
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return { deleted: data.length };
+};
+
+/**
+ * Prune threads past the last page and archived threads past their retention
+ */
+const pruneBoards = async ({ dryRun }) => {
+  const boards = {};
+  for (const board of listBoards()) {
+    boards[board.slug] = {
+      pruned: await pruneBoard(board, { dryRun }),
+      purged: await purgeArchive(board, { dryRun })
+    };
+  }
+  return { boards };
+};
+
+/**
+ * Recount every thread's replies and images, fixing the ones that are off
+ */
+const repairCounts = async ({ dryRun }) => {
+  const { data, error } = await db.rpc('repair_thread_counts', { dry_run: dryRun });
+  if (error) throw error;
+
+  return { repaired: data };
+};
+
+/**
+ * Recount the board stats served by GET /stats
+ */
+const refreshStats = async ({ dryRun }) => {
+  if (dryRun) return { refreshed: false };
+
+  const { error } = await db.rpc('refresh_board_stats');
+  if (error) throw error;
+
+  return { refreshed: true };
+};
+
+// Jobs and how often they run in seconds (0 turns a job off, leaving it to
+// be run by hand with `node maintenance.js --once --jobs=<name>`)
+const jobs = {
+  files: {
+    interval: envInt('MAINTENANCE_FILES_INTERVAL', 300),
+    run: ({ dryRun }) => deleteQueuedFiles(db, { dryRun, limit: 1000 })
+  },
+  orphans: {
+    interval: envInt('MAINTENANCE_ORPHANS_INTERVAL', 3600),
+    run: ({ dryRun }) => cleanupOrphanedFiles(db, { dryRun, minAgeSeconds: envInt('ORPHAN_MIN_AGE', 3600) })
+  },
+  prune: {
+    interval: envInt('MAINTENANCE_PRUNE_INTERVAL', 300),
+    run: pruneBoards
+  },
+  bans: {
+    interval: envInt('MAINTENANCE_BANS_INTERVAL', 600),
+    run: expireBans
+  },
+  rate_limits: {
+    interval: envInt('MAINTENANCE_RATE_LIMITS_INTERVAL', 3600),
+    run: purgeRateLimits
+  },
+  stats: {
+    interval: envInt('MAINTENANCE_STATS_INTERVAL', 60),
+    run: refreshStats
+  },
+  counts: {
+    interval: envInt('MAINTENANCE_COUNTS_INTERVAL', 0),
+    run: repairCounts
+  }
+};
+
+/**
+ * Throw for job names that don't exist
+ */
+const checkJobNames = (names) => {
+  const unknown = names.filter(name => !jobs[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown maintenance job: ${unknown.join(', ')}. Expected one of: ${Object.keys(jobs).join(', ')}`);
+  }
+};
+
+/**
+ * Run one job under its lock
+ *
+ * @param {string} name - Job name
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report what the job would do without changing anything
+ * @returns {Promise<Object>} The job's report, { skipped: 'locked' } if another
+ *   worker is running it, or { error } if it failed
+ */
+const runJob = async (name, { dryRun = false } = {}) => {
+  const lockName = `maintenance:${name}`;
+  const startedAt = Date.now();
+
+  const { data: acquired, error: lockError } = await db.rpc('acquire_maintenance_lock', {
+    lock_name: lockName,
+    lock_owner: owner,
+    ttl_ms: LOCK_TTL_MS
+  });
+
+  if (lockError) return { error: lockError.message };
+  if (!acquired) return { skipped: 'locked' };
+
+  try {
+    const result = await jobs[name].run({ dryRun });
+    return { ...result, duration_ms: Date.now() - startedAt };
+  } catch (err) {
+    console.error(`Error running maintenance job ${name}:`, err);
+    return { error: err.message, duration_ms: Date.now() - startedAt };
+  } finally {
+    await db.rpc('release_maintenance_lock', { lock_name: lockName, lock_owner: owner });
+  }
+};
+
+/**
+ * Run several jobs one after another
+ *
+ * @param {string[]} [names] - Jobs to run, every job by default
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report what the jobs would do without changing anything
+ * @returns {Promise<Object>} Report with each job's result
+ */
+exports.runJobs = async (names = Object.keys(jobs), { dryRun = false } = {}) => {
+  checkJobNames(names);
+
+  const report = { started_at: new Date(), finished_at: null, dry_run: dryRun, jobs: {} };
+  for (const name of names) {
+    report.jobs[name] = await runJob(name, { dryRun });
+  }
+  report.finished_at = new Date();
+
+  return report;
+};
+
+/**
+ * Run jobs now and then again on their intervals, a run at a time per job
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.names] - Jobs to schedule, every job by default
+ * @param {boolean} [options.dryRun] - Report what the jobs would do without changing anything
+ * @param {Function} [options.onReport] - Called with each run's report
+ * @returns {Function} Stops the scheduler
+ */
+exports.startScheduler = ({ names = Object.keys(jobs), dryRun = false, onReport = () => {} } = {}) => {
+  checkJobNames(names);
+
+  const timers = new Map();
+  let stopped = false;
+
+  const schedule = (name) => {
+    if (stopped) return;
+    timers.set(name, setTimeout(async () => {
+      onReport(await exports.runJobs([name], { dryRun }));
+      schedule(name);
+    }, jobs[name].interval * 1000));
+  };
+
+  names.filter(name => jobs[name].interval > 0).forEach(async (name) => {
+    onReport(await exports.runJobs([name], { dryRun }));
+    schedule(name);
+  });
+
+  return () => {
+    stopped = true;
+    timers.forEach(timer => clearTimeout(timer));
+  };
+};
+
+exports.jobNames = Object.keys(jobs);
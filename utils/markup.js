@@ -0,0 +1,175 @@
+// Most quote links rendered per post, to stop link spam
+const MAX_QUOTES = 20;
+
+const UUID_PATTERN = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+
+// A quote reference is a UUID or a post number, not followed by more of either
+const REF_PATTERN = `(?:${UUID_PATTERN}|[1-9]\\d{0,14})(?![\\w-])`;
+
+const CODE_BLOCK = /\[code\]([\s\S]*?)\[\/code\]/gi;
+const SPOILER = /\[spoiler\]([\s\S]*?)\[\/spoiler\]/gi;
+// URLs stop at spoiler tags, so [spoiler]https://…[/spoiler] keeps its closing tag
+const URL = /\bhttps?:\/\/(?:(?!\[\/?spoiler\])[^\s<>"])+/gi;
+
+/**
+ * Escape text for safe inclusion in HTML
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Split a comment into code blocks and regular text
+ */
+const splitCodeBlocks = (comment) => {
+  const segments = [];
+  let lastIndex = 0;
+
+  comment.replace(CODE_BLOCK, (match, code, offset) => {
+    if (offset > lastIndex) {
+      segments.push({ type: 'text', value: comment.substring(lastIndex, offset) });
+    }
+    segments.push({ type: 'code', value: code });
+    lastIndex = offset + match.length;
+  });
+
+  if (lastIndex < comment.length) {
+    segments.push({ type: 'text', value: comment.substring(lastIndex) });
+  }
+  return segments;
+};
+
+/**
+ * Find the posts a comment quotes with >>number or >>id, ignoring [code] blocks
+ *
+ * @param {string} comment - Raw comment
+ * @returns {string[]} Quoted references in order of appearance, without duplicates
+ */
+exports.extractQuotes = (comment) => {
+  const refs = new Set();
+  const pattern = new RegExp(`>>(${REF_PATTERN})`, 'gi');
+
+  splitCodeBlocks(comment || '')
+    .filter(segment => segment.type === 'text')
+    .forEach(segment => {
+      let match;
+      while ((match = pattern.exec(segment.value)) !== null && refs.size < MAX_QUOTES) {
+        refs.add(match[1].toLowerCase());
+      }
+    });
+
+  return Array.from(refs);
+};
+
+/**
+ * Change the post numbers quoted with >>number, leaving [code] blocks alone
+ *
+ * @param {string} comment - Raw comment
+ * @param {Map<string, string>} numbers - New post number by old post number
+ * @returns {string} Comment quoting the new numbers
+ */
+exports.renumberQuotes = (comment, numbers) => {
+  const pattern = new RegExp(`(${CODE_BLOCK.source})|>>(${REF_PATTERN})`, 'gi');
+
+  return (comment || '').replace(pattern, (match, code, codeBody, ref) => (
+    !code && numbers.has(ref) ? `>>${numbers.get(ref)}` : match
+  ));
+};
+
+/**
+ * Link a URL, leaving trailing punctuation outside the link
+ */
+const renderUrl = (url) => {
+  const [, href, trailing] = url.match(/^(.*?)([.,!?)]*)$/);
+  return `<a href="${href}" class="autolink" rel="nofollow noopener noreferrer" target="_blank">${href}</a>${trailing}`;
+};
+
+/**
+ * Render one line of escaped text: quote links, URLs and greentext
+ *
+ * The line is split into URLs and the text around them first, so quote links
+ * are only looked for outside URLs.
+ */
+const renderLine = (line, { board, quotes }) => {
+  const quotePattern = new RegExp(`&gt;&gt;(${REF_PATTERN})`, 'gi');
+  // A line starting with a quote link is a reply, not greentext
+  const isGreentext = line.startsWith('&gt;') && !new RegExp(`^&gt;&gt;${REF_PATTERN}`, 'i').test(line);
+
+  // Splitting on a capturing pattern puts the URLs at the odd indexes
+  let html = line
+    .split(new RegExp(`(${URL.source})`, 'i'))
+    .map((part, index) => (index % 2 === 1 ? renderUrl(part) : part.replace(quotePattern, (match, ref) => {
+      const target = quotes.get(ref.toLowerCase());
+      if (!target) {
+        return `<span class="deadlink">${match}</span>`;
+      }
+      return `<a href="/${board}/thread/${target.thread_id}#p${target.id}" class="quotelink" data-post="${target.id}">${match}</a>`;
+    })))
+    .join('');
+
+  if (isGreentext) {
+    html = `<span class="quote">${html}</span>`;
+  }
+  return html;
+};
+
+/**
+ * Render a comment to HTML
+ *
+ * Supports >greentext, >>number and >>id quote links, [spoiler], [code] and URL
+ * autolinking. All user text is HTML-escaped before markup is applied.
+ *
+ * @param {string} comment - Raw comment
+ * @param {Object} [options]
+ * @param {string} [options.board] - Board slug used in quote link URLs
+ * @param {Map<string, Object>} [options.quotes] - Resolved quotes from extractQuotes,
+ *   mapping each reference to { id, thread_id }; unresolved quotes render as dead links
+ * @returns {string} HTML
+ */
+exports.renderComment = (comment, { board = '', quotes = new Map() } = {}) => {
+  if (!comment) return '';
+
+  return splitCodeBlocks(comment)
+    .map(segment => {
+      if (segment.type === 'code') {
+        return `<pre class="code"><code>${escapeHtml(segment.value.replace(/^\n|\n$/g, ''))}</code></pre>`;
+      }
+
+      const withSpoilers = escapeHtml(segment.value)
+        .replace(SPOILER, '<span class="spoiler">$1</span>');
+
+      return withSpoilers
+        .split(/\r?\n/)
+        .map(line => renderLine(line, { board, quotes }))
+        .join('<br>');
+    })
+    .join('');
+};
+
+/**
+ * Shorten a comment to a one-line plain text excerpt
+ *
+ * Spoilers stay hidden and [code] tags are dropped. The excerpt is raw text,
+ * to be escaped by whoever displays it.
+ *
+ * @param {string} comment - Raw comment
+ * @param {number} [length=200] - Maximum length
+ * @returns {string} Excerpt
+ */
+exports.excerpt = (comment, length = 200) => {
+  const text = (comment || '')
+    .replace(SPOILER, '[spoiler]')
+    .replace(/\[\/?code\]/gi, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return text.length > length ? `${text.substring(0, length - 1).trimEnd()}…` : text;
+};
+
+exports.escapeHtml = escapeHtml;
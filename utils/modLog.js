@@ -0,0 +1,29 @@
+const db = require('../db');
+
+/**
+ * Record a staff action in the moderation log
+ *
+ * @param {Object} staff - Staff member who performed the action
+ * @param {string} action - Action name, e.g. "delete_post"
+ * @param {Object} target
+ * @param {string} [target.board] - Board the action applies to
+ * @param {string} [target.targetType] - thread, post, staff, ...
+ * @param {string} [target.targetId] - ID of the affected row
+ * @param {Object} [target.details] - Extra context, such as a reason
+ */
+exports.logAction = async (staff, action, { board = null, targetType = null, targetId = null, details = {} } = {}) => {
+  const { error } = await db
+    .from('mod_log')
+    .insert([{
+      staff_id: staff.id,
+      staff_username: staff.username,
+      action,
+      board,
+      target_type: targetType,
+      target_id: targetId,
+      details,
+      created_at: new Date()
+    }]);
+
+  if (error) throw error;
+};
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters, stored alongside each hash so they can be raised later
+const COST = 16384;
+const BLOCK_SIZE = 8;
+const PARALLELIZATION = 1;
+const KEY_LENGTH = 32;
+
+/**
+ * Hash a password with scrypt
+ *
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Encoded hash: scrypt$N$r$p$salt$key
+ */
+exports.hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, KEY_LENGTH, {
+    N: COST,
+    r: BLOCK_SIZE,
+    p: PARALLELIZATION
+  });
+
+  return ['scrypt', COST, BLOCK_SIZE, PARALLELIZATION, salt.toString('base64'), key.toString('base64')].join('$');
+};
+
+/**
+ * Verify a password against a hash from hashPassword
+ *
+ * @param {string} password - Plain text password
+ * @param {string} encoded - Stored hash
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+exports.verifyPassword = async (password, encoded) => {
+  if (!password || !encoded) return false;
+
+  const [algorithm, N, r, p, salt, key] = encoded.split('$');
+  if (algorithm !== 'scrypt' || !key) return false;
+
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: parseInt(N),
+    r: parseInt(r),
+    p: parseInt(p)
+  });
+
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Generate a random deletion password for posters who didn't choose one
+ *
+ * @returns {string} Random password
+ */
+exports.generatePassword = () => crypto.randomBytes(12).toString('base64url');
@@ -0,0 +1,51 @@
+const db = require('../db');
+
+// Post numbers are positive integers without leading zeros
+const POST_NUMBER = /^[1-9]\d{0,14}$/;
+
+/**
+ * Check whether a route parameter or quote reference is a post number rather than a UUID
+ *
+ * @param {string|number} ref - Post number or UUID
+ * @returns {boolean}
+ */
+exports.isPostNumber = (ref) => POST_NUMBER.test(String(ref));
+
+/**
+ * Take the next post number on a board
+ *
+ * Threads and replies share one sequence per board. The counter is
+ * incremented by the database, so concurrent posts never get the same number.
+ *
+ * @param {string} board - Board slug
+ * @returns {Promise<number>} Post number
+ */
+exports.nextPostNumber = async (board) => {
+  const { data, error } = await db.rpc('next_post_number', { board_slug: board });
+
+  if (error) throw error;
+  return Number(data);
+};
+
+/**
+ * Find the UUID of the thread or post with a number on a board
+ *
+ * @param {string[]} tables - Tables to search, in order
+ * @param {string} board - Board slug
+ * @param {number|string} no - Post number
+ * @returns {Promise<string|null>} UUID, or null if nothing has that number
+ */
+exports.findIdByNumber = async (tables, board, no) => {
+  for (const table of tables) {
+    const { data, error } = await db
+      .from(table)
+      .select('id')
+      .eq('board', board)
+      .eq('no', Number(no))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (data) return data.id;
+  }
+  return null;
+};
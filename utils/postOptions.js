@@ -0,0 +1,54 @@
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * Split a "name#password" field into a display name and tripcode password
+ *
+ * Everything before the first "#" is the display name, everything after it
+ * is the tripcode password. A second "#" ("name##password") asks for a
+ * secure tripcode. An empty display name falls back to Anonymous.
+ *
+ * @param {string} rawName - Name field as submitted
+ * @returns {{ name: string, tripPassword: string|null, secureTrip: boolean }}
+ */
+exports.parseName = (rawName) => {
+  const value = (rawName || '').trim();
+  const separator = value.indexOf('#');
+
+  const name = (separator === -1 ? value : value.substring(0, separator)).trim();
+  let tripPassword = separator === -1 ? null : value.substring(separator + 1);
+  const secureTrip = Boolean(tripPassword && tripPassword.startsWith('#'));
+
+  if (secureTrip) {
+    tripPassword = tripPassword.substring(1);
+  }
+
+  return {
+    name: name || 'Anonymous',
+    tripPassword: tripPassword || null,
+    secureTrip
+  };
+};
+
+/**
+ * Parse the options/email field into posting flags
+ *
+ * Supports the usual imageboard keywords, separated by spaces or "+":
+ * - sage: reply without bumping the thread
+ * - noko: return to the thread after posting
+ *
+ * @param {string} rawOptions - Options field as submitted
+ * @returns {{ sage: boolean, noko: boolean }}
+ */
+exports.parseOptions = (rawOptions) => {
+  const keywords = (rawOptions || '')
+    .toLowerCase()
+    .split(/[\s+]+/)
+    .filter(Boolean);
+
+  return {
+    sage: keywords.includes('sage'),
+    noko: keywords.includes('noko')
+  };
+};
+
+exports.MAX_NAME_LENGTH = MAX_NAME_LENGTH;
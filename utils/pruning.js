@@ -0,0 +1,108 @@
+const db = require('../db');
+const { flushFileDeletions } = require('./deletion');
+const { publish } = require('./live');
+
+/**
+ * Delete threads along with their replies and files
+ *
+ * @param {string} board - Board slug
+ * @param {Object[]} threads - Thread rows
+ */
+const deleteThreads = async (board, threads) => {
+  // Replies are cascaded away with the threads, queueing their files as they go
+  const { error } = await db
+    .from('threads')
+    .delete()
+    .in('id', threads.map(thread => thread.id));
+
+  if (error) throw error;
+
+  await flushFileDeletions();
+
+  threads.forEach(thread => publish('delete_thread', { board, threadId: thread.id }, {
+    id: thread.id,
+    no: thread.no
+  }));
+};
+
+/**
+ * Prune threads that fell off the last page of a board
+ *
+ * Pruned threads are moved to the read-only archive when the board keeps
+ * one, otherwise they are deleted along with their replies and files.
+ *
+ * @param {Object} board - Board settings
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only find the threads to prune
+ * @returns {Promise<string[]>} IDs of the pruned threads
+ */
+exports.pruneBoard = async (board, { dryRun = false } = {}) => {
+  const capacity = board.threadsPerPage * board.maxPages;
+
+  // Live threads past the last page, in bump order. Stickies never fall off.
+  const { data: expired, error } = await db
+    .from('threads')
+    .select('*')
+    .eq('board', board.slug)
+    .eq('is_archived', false)
+    .eq('is_sticky', false)
+    .order('bumped_at', { ascending: false })
+    .range(capacity, capacity + 99);
+
+  if (error) throw error;
+
+  const threadIds = expired.map(thread => thread.id);
+  if (expired.length === 0 || dryRun) return threadIds;
+
+  if (board.archive) {
+    const { error: archiveError } = await db
+      .from('threads')
+      .update({ is_archived: true, archived_at: new Date() })
+      .in('id', threadIds);
+
+    if (archiveError) throw archiveError;
+
+    expired.forEach(thread => publish('update_thread', { board: board.slug, threadId: thread.id }, {
+      id: thread.id,
+      no: thread.no,
+      is_archived: true
+    }));
+    return threadIds;
+  }
+
+  await deleteThreads(board.slug, expired);
+
+  return threadIds;
+};
+
+/**
+ * Delete archived threads older than the board's archive retention
+ *
+ * @param {Object} board - Board settings
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only find the threads to delete
+ * @returns {Promise<string[]>} IDs of the deleted threads
+ */
+exports.purgeArchive = async (board, { dryRun = false } = {}) => {
+  if (!board.archive || !board.archiveDays) return [];
+
+  const cutoff = new Date(Date.now() - board.archiveDays * 24 * 60 * 60 * 1000);
+
+  const { data: expired, error } = await db
+    .from('threads')
+    .select('*')
+    .eq('board', board.slug)
+    .eq('is_archived', true)
+    .lt('archived_at', cutoff.toISOString())
+    .order('archived_at', { ascending: true })
+    .limit(100);
+
+  if (error) throw error;
+
+  const threadIds = expired.map(thread => thread.id);
+  if (expired.length === 0 || dryRun) return threadIds;
+
+  await deleteThreads(board.slug, expired);
+
+  return threadIds;
+};
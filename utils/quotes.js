@@ -0,0 +1,128 @@
+const db = require('../db');
+const { isPostNumber } = require('./postNumbers');
+const { extractQuotes, renumberQuotes, renderComment } = require('./markup');
+
+// Rows read per query, at most PostgREST's max-rows
+const PAGE_SIZE = 1000;
+
+/**
+ * Fetch rows on a board whose column matches any of the values
+ */
+const findOnBoard = async (table, columns, board, column, values) => {
+  if (values.length === 0) return [];
+
+  const { data, error } = await db
+    .from(table)
+    .select(columns)
+    .eq('board', board)
+    .in(column, values);
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Look up the threads and posts a comment quotes
+ *
+ * Quotes only resolve to live content on the same board. References can be
+ * post numbers or UUIDs.
+ *
+ * @param {string[]} refs - References from extractQuotes
+ * @param {string} board - Board slug
+ * @returns {Promise<Map<string, { id: string, thread_id: string }>>} Resolved quotes by reference
+ */
+exports.resolveQuotes = async (refs, board) => {
+  const resolved = new Map();
+  if (refs.length === 0) return resolved;
+
+  const numbers = refs.filter(isPostNumber).map(Number);
+  const ids = refs.filter(ref => !isPostNumber(ref));
+
+  // Each row is reachable by its UUID and by its number
+  const add = (row, threadId) => {
+    const target = { id: row.id, thread_id: threadId };
+    resolved.set(row.id, target);
+    if (row.no) resolved.set(String(row.no), target);
+  };
+
+  const threads = [
+    ...await findOnBoard('threads', 'id, no', board, 'id', ids),
+    ...await findOnBoard('threads', 'id, no', board, 'no', numbers)
+  ];
+  threads.forEach(thread => add(thread, thread.id));
+
+  const posts = [
+    ...await findOnBoard('posts', 'id, no, thread_id', board, 'id', ids),
+    ...await findOnBoard('posts', 'id, no, thread_id', board, 'no', numbers)
+  ];
+  posts.forEach(post => add(post, post.thread_id));
+
+  return resolved;
+};
+
+/**
+ * Rewrite the quotes inside a thread that moved to another board
+ *
+ * Quotes between the thread's posts follow them to their new numbers and
+ * link to the new board. Quotes of posts left on the old board become dead
+ * links, as cross-board quotes are everywhere else.
+ *
+ * @param {string} threadId - Moved thread
+ * @param {string} board - Board the thread moved to
+ * @param {Object} numbers - New post number by old post number, from move_thread
+ */
+exports.relinkMovedThread = async (threadId, board, numbers) => {
+  const { data: thread, error } = await db
+    .from('threads')
+    .select('id, no, comment, quotes')
+    .eq('id', threadId)
+    .single();
+
+  if (error) throw error;
+
+  const records = [{ table: 'threads', row: thread }];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data: posts, error: postsError } = await db
+      .from('posts')
+      .select('id, no, comment, quotes')
+      .eq('thread_id', threadId)
+      .order('id', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (postsError) throw postsError;
+
+    posts.forEach(row => records.push({ table: 'posts', row }));
+    if (posts.length < PAGE_SIZE) break;
+  }
+
+  // Only the thread's own posts resolve
+  const quotes = new Map();
+  records.forEach(({ row }) => {
+    const target = { id: row.id, thread_id: threadId };
+    quotes.set(row.id, target);
+    quotes.set(String(row.no), target);
+  });
+  const renumbered = new Map(Object.entries(numbers).map(([from, to]) => [from, String(to)]));
+
+  for (const { table, row } of records) {
+    if (extractQuotes(row.comment).length === 0 && (row.quotes || []).length === 0) continue;
+
+    const comment = renumberQuotes(row.comment, renumbered);
+    // Stored quotes also hold the post a reply was sent to, which the comment may not quote
+    const kept = (row.quotes || []).filter(id => quotes.has(id));
+    const quoted = extractQuotes(comment)
+      .filter(ref => quotes.has(ref))
+      .map(ref => quotes.get(ref).id);
+
+    const { error: updateError } = await db
+      .from(table)
+      .update({
+        comment,
+        comment_html: renderComment(comment, { board, quotes }),
+        quotes: Array.from(new Set([...kept, ...quoted]))
+      })
+      .eq('id', row.id);
+
+    if (updateError) throw updateError;
+  }
+};
@@ -0,0 +1,65 @@
+const path = require('path');
+const db = require('../db');
+
+/**
+ * express-rate-limit store keeping hit counts in the database, so every API
+ * process shares the same budgets
+ *
+ * Counts are updated by the rate_limit_hit and rate_limit_undo functions,
+ * which run atomically in the database.
+ */
+class DatabaseStore {
+  constructor(prefix) {
+    this.prefix = prefix;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const { data, error } = await db.rpc('rate_limit_hit', {
+      limit_key: `${this.prefix}${key}`,
+      window_ms: this.windowMs
+    });
+
+    if (error) throw error;
+
+    const [row] = data;
+    return { totalHits: row.hits, resetTime: new Date(row.reset_at) };
+  }
+
+  async decrement(key) {
+    const { error } = await db.rpc('rate_limit_undo', { limit_key: `${this.prefix}${key}` });
+    if (error) throw error;
+  }
+
+  async resetKey(key) {
+    const { error } = await db
+      .from('rate_limits')
+      .delete()
+      .eq('key', `${this.prefix}${key}`);
+
+    if (error) throw error;
+  }
+}
+
+/**
+ * Create the store for one rate limiter, chosen by RATE_LIMIT_STORE:
+ * - memory (default): counts live in this process only
+ * - database: counts are shared through the database
+ * - a path to a module exporting (prefix) => store, e.g. to wrap a Redis store
+ *
+ * @param {string} prefix - Key prefix unique to the limiter
+ * @returns {Object|undefined} Store, or undefined for express-rate-limit's memory store
+ */
+exports.createStore = (prefix) => {
+  const driver = process.env.RATE_LIMIT_STORE || 'memory';
+
+  if (driver === 'memory') return undefined;
+  if (driver === 'database') return new DatabaseStore(prefix);
+
+  return require(path.resolve(driver))(prefix);
+};
+
+exports.DatabaseStore = DatabaseStore;
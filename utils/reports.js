@@ -0,0 +1,58 @@
+const db = require('../db');
+
+// Reasons a user can pick when reporting
+const REPORT_CATEGORIES = ['rule_violation', 'illegal', 'spam', 'off_topic', 'other'];
+
+/**
+ * Count open reports per thread or post
+ *
+ * @param {string} targetType - "thread" or "post"
+ * @param {string[]} targetIds - IDs to count reports for
+ * @returns {Promise<Map<string, number>>} Open report count per ID
+ */
+exports.countOpenReports = async (targetType, targetIds) => {
+  const counts = new Map();
+  if (targetIds.length === 0) return counts;
+
+  const { data: reports, error } = await db
+    .from('reports')
+    .select('target_id')
+    .eq('target_type', targetType)
+    .eq('status', 'open')
+    .in('target_id', targetIds);
+
+  if (error) throw error;
+
+  reports.forEach(report => {
+    counts.set(report.target_id, (counts.get(report.target_id) || 0) + 1);
+  });
+  return counts;
+};
+
+/**
+ * Close all open reports on a thread or post
+ *
+ * @param {Object} staff - Staff member closing the reports
+ * @param {string} targetType - "thread" or "post"
+ * @param {string} targetId - Reported thread or post ID
+ * @param {string} status - "resolved" (action taken) or "dismissed"
+ * @returns {Promise<Object[]>} Closed reports
+ */
+exports.closeReports = async (staff, targetType, targetId, status) => {
+  const { data, error } = await db
+    .from('reports')
+    .update({
+      status,
+      closed_by_username: staff.username,
+      closed_at: new Date()
+    })
+    .eq('target_type', targetType)
+    .eq('target_id', targetId)
+    .eq('status', 'open')
+    .select();
+
+  if (error) throw error;
+  return data;
+};
+
+exports.REPORT_CATEGORIES = REPORT_CATEGORIES;
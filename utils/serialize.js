@@ -0,0 +1,70 @@
+const { renderComment } = require('./markup');
+const storage = require('../storage');
+
+// Columns that must never be shown to the public
+const PRIVATE_COLUMNS = ['delete_password_hash', 'ip_address'];
+
+// Generic thumbnail shown in place of spoilered images
+const SPOILER_THUMBNAIL = { url: '/assets/spoiler.png', width: 100, height: 100 };
+
+/**
+ * Replace a file's storage keys with public URLs, swapping a spoilered
+ * file's thumbnail for the generic spoiler thumbnail
+ */
+const fileUrls = (file) => {
+  const { file_path: filePath, thumbnail_path: thumbnailPath, ...result } = file;
+
+  if (filePath !== undefined) {
+    result.file_url = filePath ? storage.url(filePath) : null;
+  }
+  if (thumbnailPath === undefined) return result;
+
+  if (file.file_spoiler && thumbnailPath) {
+    return {
+      ...result,
+      thumbnail_url: SPOILER_THUMBNAIL.url,
+      thumbnail_width: SPOILER_THUMBNAIL.width,
+      thumbnail_height: SPOILER_THUMBNAIL.height
+    };
+  }
+
+  return { ...result, thumbnail_url: thumbnailPath ? storage.url(thumbnailPath) : null };
+};
+
+/**
+ * Give a row's files public URLs, showing the generic spoiler thumbnail for
+ * spoilered ones
+ *
+ * @param {Object} record - Row with file or thumbnail columns and optionally its files
+ * @returns {Object} Row with the URLs and thumbnails clients should show
+ */
+const withMediaUrls = (record) => {
+  if (!record) return record;
+
+  const result = fileUrls(record);
+  return Array.isArray(record.files) ? { ...result, files: record.files.map(fileUrls) } : result;
+};
+
+/**
+ * Strip private columns from a thread or post row before sending it to clients
+ *
+ * @param {Object} record - Thread or post row
+ * @returns {Object} Row safe to return from the API
+ */
+exports.publicRecord = (record) => {
+  if (!record) return record;
+
+  const result = withMediaUrls(record);
+  PRIVATE_COLUMNS.forEach(column => {
+    delete result[column];
+  });
+
+  // Rows from before comment rendering have no stored HTML
+  if (result.comment_html === null && result.comment) {
+    result.comment_html = renderComment(result.comment, { board: result.board });
+  }
+
+  return result;
+};
+
+exports.withMediaUrls = withMediaUrls;
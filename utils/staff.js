@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const db = require('../db');
+const { hashPassword, verifyPassword } = require('./passwords');
+
+// Staff roles, lowest to highest privilege
+const ROLES = ['janitor', 'moderator', 'admin'];
+
+// How long a login session stays valid
+const SESSION_TTL_MS = (parseInt(process.env.STAFF_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Check whether a role is at least as privileged as another
+ *
+ * @param {string} role - Role to check
+ * @param {string} minimumRole - Required role
+ * @returns {boolean}
+ */
+exports.hasRole = (role, minimumRole) => ROLES.indexOf(role) >= ROLES.indexOf(minimumRole);
+
+/**
+ * Check whether a staff member may act on a board
+ *
+ * @param {Object} staff - Staff row
+ * @param {string} board - Board slug
+ * @returns {boolean}
+ */
+exports.canModerate = (staff, board) => !staff.boards || staff.boards.includes(board);
+
+/**
+ * Strip credentials from a staff row
+ *
+ * @param {Object} staff - Staff row
+ * @returns {Object}
+ */
+exports.publicStaff = ({ password_hash, ...staff }) => staff;
+
+/**
+ * Create a staff account
+ *
+ * @param {Object} account
+ * @param {string} account.username - Login name
+ * @param {string} account.password - Plain text password
+ * @param {string} account.role - One of janitor, moderator, admin
+ * @param {string[]|null} [account.boards] - Boards the account may moderate, null for all
+ * @returns {Promise<Object>} Created staff row
+ */
+exports.createStaff = async ({ username, password, role, boards = null }) => {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid role "${role}". Expected one of: ${ROLES.join(', ')}`);
+  }
+
+  const { data, error } = await db
+    .from('staff')
+    .insert([{
+      username,
+      password_hash: await hashPassword(password),
+      role,
+      boards,
+      created_at: new Date()
+    }])
+    .select();
+
+  if (error) throw error;
+  return data[0];
+};
+
+/**
+ * Check credentials and open a session
+ *
+ * @param {string} username - Login name
+ * @param {string} password - Plain text password
+ * @returns {Promise<{ token: string, expiresAt: Date, staff: Object }|null>} Session, or null on bad credentials
+ */
+exports.login = async (username, password) => {
+  const { data: staff, error } = await db
+    .from('staff')
+    .select('*')
+    .eq('username', username)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!staff || !(await verifyPassword(password, staff.password_hash))) {
+    return null;
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+
+  const { error: sessionError } = await db
+    .from('staff_sessions')
+    .insert([{
+      token_hash: hashToken(token),
+      staff_id: staff.id,
+      expires_at: expiresAt,
+      created_at: new Date()
+    }]);
+
+  if (sessionError) throw sessionError;
+  return { token, expiresAt, staff };
+};
+
+/**
+ * Close a session
+ *
+ * @param {string} token - Session token
+ */
+exports.logout = async (token) => {
+  const { error } = await db
+    .from('staff_sessions')
+    .delete()
+    .eq('token_hash', hashToken(token));
+
+  if (error) throw error;
+};
+
+/**
+ * Look up the staff member behind a session token
+ *
+ * @param {string} token - Session token
+ * @returns {Promise<Object|null>} Staff row, or null if the session is invalid or expired
+ */
+exports.findBySession = async (token) => {
+  const { data: session, error } = await db
+    .from('staff_sessions')
+    .select('*')
+    .eq('token_hash', hashToken(token))
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!session) return null;
+
+  const { data: staff, error: staffError } = await db
+    .from('staff')
+    .select('*')
+    .eq('id', session.staff_id)
+    .maybeSingle();
+
+  if (staffError) throw staffError;
+  return staff;
+};
+
+/**
+ * Create the admin account from ADMIN_USERNAME/ADMIN_PASSWORD if it doesn't exist yet
+ */
+exports.ensureBootstrapAdmin = async () => {
+  const username = process.env.ADMIN_USERNAME;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!username || !password) return;
+
+  const { data: existing, error } = await db
+    .from('staff')
+    .select('id')
+    .eq('username', username)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (existing) return;
+
+  await exports.createStaff({ username, password, role: 'admin' });
+  console.log(`Created admin account: ${username}`);
+};
+
+exports.ROLES = ROLES;
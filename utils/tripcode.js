@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+
+let secret = process.env.TRIPCODE_SECRET || null;
+
+/**
+ * Get the server secret for secure tripcodes
+ *
+ * Without TRIPCODE_SECRET a random secret is generated, so secure
+ * tripcodes only stay stable for the lifetime of the process.
+ */
+const getSecret = () => {
+  if (!secret) {
+    console.warn('TRIPCODE_SECRET is not set, secure tripcodes will change on restart');
+    secret = crypto.randomBytes(32).toString('hex');
+  }
+  return secret;
+};
+
+/**
+ * Make a base64 digest safe for display
+ */
+const toTripcode = (digest, length) => digest
+  .toString('base64')
+  .substring(0, length)
+  .replace(/\+/g, '.')
+  .replace(/\//g, ',')
+  .replace(/=/g, '-');
+
+/**
+ * Generate a tripcode from a password
+ *
+ * Classic tripcodes ("name#password") are an unsalted public hash: anyone can
+ * compute them, and short passwords can be brute-forced. Secure tripcodes
+ * ("name##password") are keyed with the server secret.
+ *
+ * @param {string} password - Tripcode password
+ * @param {Object} [options]
+ * @param {boolean} [options.secure=false] - Generate a secure tripcode
+ * @returns {string|null} Tripcode prefixed with "!" (classic) or "!!" (secure)
+ */
+exports.generateTripcode = (password, { secure = false } = {}) => {
+  if (!password) return null;
+
+  if (secure) {
+    const digest = crypto.createHmac('sha256', getSecret()).update(password).digest();
+    return `!!${toTripcode(digest, 15)}`;
+  }
+
+  const digest = crypto.createHash('sha1').update(password).digest();
+  return `!${toTripcode(digest, 10)}`;
+};
+
+/**
+ * Verify a password against a tripcode generated before deletion passwords
+ * existed, when the tripcode doubled as the deletion credential
+ *
+ * @param {string} password - User-provided password to check
+ * @param {string} tripcode - Stored legacy tripcode
+ * @returns {boolean} Whether password matches tripcode
+ */
+exports.verifyLegacyTripcode = (password, tripcode) => {
+  const salt = process.env.TRIPCODE_SALT || 'defaultsalt';
+  const legacyTripcode = toTripcode(
+    crypto.createHash('sha256').update(password + salt).digest(),
+    10
+  );
+  return legacyTripcode === tripcode;
+};
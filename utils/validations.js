@@ -1,4 +1,24 @@
 const Joi = require('joi');
+const { parseName, MAX_NAME_LENGTH } = require('./postOptions');
+const { REPORT_CATEGORIES } = require('./reports');
+
+// Name field, optionally in name#password form; only the display name is length-limited
+const nameSchema = Joi.string()
+  .allow('')
+  .max(200)
+  .default('Anonymous')
+  .custom((value, helpers) => {
+    if (parseName(value).name.length > MAX_NAME_LENGTH) {
+      return helpers.message(`"name" must be at most ${MAX_NAME_LENGTH} characters before the #password`);
+    }
+    return value;
+  });
+
+// Spoiler flag for every attached file, or one flag per file in upload order
+const spoilerSchema = Joi.alternatives().try(Joi.boolean(), Joi.array().items(Joi.boolean()));
+
+// Options field (sage, noko), also accepted as "email" like classic imageboards
+const optionsSchema = Joi.string().max(100).allow('', null);
 
 /**
  * Validate thread creation request
@@ -8,10 +28,15 @@ exports.validateThread = (req, res, next) => {
   const schema = Joi.object({
     subject: Joi.string().max(100).allow('', null),
     comment: Joi.string().required().min(1).max(10000),
-    name: Joi.string().max(50).default('Anonymous'),
+    name: nameSchema,
+    // Deletion password, separate from the name#password tripcode
     password: Joi.string().allow('', null),
-    is_nsfw: Joi.boolean().default(false)
-  });
+    // Left unset so the board's NSFW default applies
+    is_nsfw: Joi.boolean(),
+    // Show a generic thumbnail in place of the images, or per file when repeated
+    spoiler: spoilerSchema,
+    options: optionsSchema
+  }).rename('email', 'options', { ignoreUndefined: true });
 
   // Validate request body
   const { error, value } = schema.validate(req.body);
@@ -24,7 +49,7 @@ exports.validateThread = (req, res, next) => {
   }
 
   // Check if either a file or comment is provided
-  if (!req.file && (!req.body.comment || req.body.comment.trim() === '')) {
+  if (req.files.length === 0 && (!req.body.comment || req.body.comment.trim() === '')) {
     return res.status(400).json({ 
       error: 'Either an image or comment is required' 
     });
@@ -42,11 +67,17 @@ exports.validatePost = (req, res, next) => {
   // Define validation schema
   const schema = Joi.object({
     comment: Joi.string().required().min(1).max(10000),
-    name: Joi.string().max(50).default('Anonymous'),
+    name: nameSchema,
+    // Deletion password, separate from the name#password tripcode
     password: Joi.string().allow('', null),
-    is_nsfw: Joi.boolean().default(false),
-    reply_to: Joi.string().uuid().allow(null)
-  });
+    is_nsfw: Joi.boolean(),
+    // Show a generic thumbnail in place of the images, or per file when repeated
+    spoiler: spoilerSchema,
+    reply_to: Joi.string().uuid().allow(null),
+    options: optionsSchema,
+    // Shorthand for options=sage
+    sage: Joi.boolean().default(false)
+  }).rename('email', 'options', { ignoreUndefined: true });
 
   // Validate request body
   const { error, value } = schema.validate(req.body);
@@ -59,7 +90,7 @@ exports.validatePost = (req, res, next) => {
   }
 
   // Check if either a file or comment is provided
-  if (!req.file && (!req.body.comment || req.body.comment.trim() === '')) {
+  if (req.files.length === 0 && (!req.body.comment || req.body.comment.trim() === '')) {
     return res.status(400).json({ 
       error: 'Either an image or comment is required' 
     });
@@ -92,4 +123,182 @@ exports.validateDelete = (req, res, next) => {
   // Validation passed
   req.body = value;
   next();
-};
\ No newline at end of file
+};
+
+/**
+ * Validate a request body against a schema, replacing it with the validated value
+ */
+const validateBody = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.body || {});
+
+  if (error) {
+    return res.status(400).json({ 
+      error: 'Validation error', 
+      details: error.details.map(d => d.message) 
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Build middleware validating query parameters against a Joi schema
+ */
+const validateQuery = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.query || {});
+
+  if (error) {
+    return res.status(400).json({ 
+      error: 'Validation error', 
+      details: error.details.map(d => d.message) 
+    });
+  }
+
+  req.query = value;
+  next();
+};
+
+/**
+ * Validate a UUID route parameter, for router.param
+ *
+ * A malformed ID would otherwise fail in Postgres as a server error.
+ */
+exports.validateUuidParam = (req, res, next, value, name) => {
+  const { error } = Joi.string().uuid().label(name).validate(value);
+
+  if (error) {
+    return res.status(400).json({ 
+      error: 'Validation error', 
+      details: error.details.map(d => d.message) 
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate staff login request
+ */
+exports.validateLogin = validateBody(Joi.object({
+  username: Joi.string().required(),
+  password: Joi.string().required()
+}));
+
+/**
+ * Validate staff account creation request
+ */
+exports.validateStaff = validateBody(Joi.object({
+  username: Joi.string().alphanum().min(3).max(30).required(),
+  password: Joi.string().min(8).max(200).required(),
+  role: Joi.string().valid('janitor', 'moderator', 'admin').required(),
+  // Boards the account may moderate, omit for all boards
+  boards: Joi.array().items(Joi.string()).min(1).allow(null).default(null)
+}));
+
+/**
+ * Validate staff moderation request (delete, sticky, lock)
+ */
+exports.validateModAction = validateBody(Joi.object({
+  reason: Joi.string().max(500).allow('', null)
+}));
+
+/**
+ * Validate staff request to delete the files of a thread or post
+ */
+exports.validateFileAction = validateBody(Joi.object({
+  reason: Joi.string().max(500).allow('', null),
+  // Position of the one file to delete, omit for all files
+  file_index: Joi.number().integer().min(0).allow(null).default(null)
+}));
+
+/**
+ * Validate thread move request
+ */
+exports.validateMove = validateBody(Joi.object({
+  board: Joi.string().required(),
+  reason: Joi.string().max(500).allow('', null)
+}));
+
+/**
+ * Validate ban creation request for an IP or CIDR range
+ */
+exports.validateBan = validateBody(Joi.object({
+  range: Joi.string().required(),
+  // Omit for a global ban
+  board: Joi.string().allow(null).default(null),
+  reason: Joi.string().max(500).required(),
+  // Omit for a permanent ban
+  expires_at: Joi.date().greater('now').allow(null).default(null)
+}));
+
+/**
+ * Validate request to ban the author of a thread or post
+ */
+exports.validatePosterBan = validateBody(Joi.object({
+  // Ban on every board instead of the post's board
+  global: Joi.boolean().default(false),
+  // Widen the ban to the poster's subnet, e.g. 24 for a /24
+  prefix: Joi.number().integer().min(0).max(128),
+  reason: Joi.string().max(500).required(),
+  expires_at: Joi.date().greater('now').allow(null).default(null)
+}));
+
+/**
+ * Validate request to ban a file by hash
+ */
+exports.validateFileBan = validateBody(Joi.object({
+  sha256: Joi.string().hex().length(64).lowercase().required(),
+  // Perceptual hash, to also refuse close copies of an image
+  phash: Joi.string().hex().length(16).lowercase().allow(null),
+  reason: Joi.string().max(500).required()
+}));
+
+/**
+ * Validate request to ban the file attached to a thread or post
+ */
+exports.validatePostFileBan = validateBody(Joi.object({
+  reason: Joi.string().max(500).required(),
+  // Position of the file among the post's files
+  file_index: Joi.number().integer().min(0).default(0),
+  // Also remove the file from the thread or post
+  delete_file: Joi.boolean().default(true)
+}));
+
+/**
+ * Validate ban appeal submitted by a banned user
+ */
+exports.validateAppeal = validateBody(Joi.object({
+  ban_id: Joi.string().required(),
+  appeal: Joi.string().min(1).max(2000).required()
+}));
+
+/**
+ * Validate staff decision on a ban appeal
+ */
+exports.validateAppealReview = validateBody(Joi.object({
+  decision: Joi.string().valid('accepted', 'denied').required(),
+  note: Joi.string().max(500).allow('', null)
+}));
+
+/**
+ * Validate report of a thread or post
+ */
+exports.validateReport = validateBody(Joi.object({
+  category: Joi.string().valid(...REPORT_CATEGORIES).required(),
+  note: Joi.string().max(500).allow('', null)
+}));
+
+/**
+ * Validate search query parameters
+ */
+exports.validateSearch = validateQuery(Joi.object({
+  q: Joi.string().trim().min(1).max(200).required(),
+  board: Joi.string(),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  has_file: Joi.boolean(),
+  type: Joi.string().valid('thread', 'post'),
+  page: Joi.number().integer().min(1).default(1),
+  pageSize: Joi.number().integer().min(1).max(50).default(20)
+}));
@@ -0,0 +1,94 @@
+const { execFile } = require('child_process');
+
+// Video tools are run locally; point these at the binaries if they aren't on PATH
+const ffprobePath = process.env.FFPROBE_PATH || 'ffprobe';
+const ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+
+/**
+ * Run a command and collect its output
+ */
+const run = (command, args, encoding = 'utf8') => new Promise((resolve, reject) => {
+  execFile(command, args, { encoding, maxBuffer: 20 * 1024 * 1024 }, (err, stdout) => {
+    if (err) return reject(err);
+    resolve(stdout);
+  });
+});
+
+let toolsCheck = null;
+
+/**
+ * Whether ffprobe and ffmpeg can be run, checked once and remembered
+ *
+ * @returns {Promise<boolean>} False if either binary is missing or fails
+ */
+exports.videoToolsAvailable = () => {
+  if (!toolsCheck) {
+    toolsCheck = Promise.all([run(ffprobePath, ['-version']), run(ffmpegPath, ['-version'])])
+      .then(() => true, () => false);
+  }
+  return toolsCheck;
+};
+
+/**
+ * Read a video's container format, duration, dimensions and whether it has sound
+ *
+ * @param {string} filePath - Path on disk
+ * @returns {Promise<Object|null>} Video details, or null if ffprobe can't read a video stream
+ */
+exports.probeVideo = async (filePath) => {
+  let output;
+  try {
+    output = await run(ffprobePath, ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath]);
+  } catch (err) {
+    // A missing ffprobe is a server problem, not a bad upload
+    if (err.code === 'ENOENT') throw err;
+    return null;
+  }
+
+  const { format = {}, streams = [] } = JSON.parse(output);
+  const video = streams.find(stream => stream.codec_type === 'video');
+  if (!video) return null;
+
+  return {
+    formats: (format.format_name || '').split(','),
+    duration: parseFloat(format.duration) || null,
+    width: video.width,
+    height: video.height,
+    hasAudio: streams.some(stream => stream.codec_type === 'audio')
+  };
+};
+
+/**
+ * Grab one frame of a video as a PNG
+ *
+ * @param {string} filePath - Path on disk
+ * @param {number} seconds - Position of the frame
+ * @returns {Promise<Buffer>} PNG image
+ */
+exports.extractFrame = (filePath, seconds) => run(ffmpegPath, [
+  '-v', 'error',
+  '-ss', String(seconds),
+  '-i', filePath,
+  '-frames:v', '1',
+  '-f', 'image2pipe',
+  '-vcodec', 'png',
+  '-'
+], 'buffer');
+
+/**
+ * Copy a video's streams into a new file without container metadata
+ * (recording location, device, creation time, ...)
+ *
+ * @param {string} sourcePath - Uploaded file
+ * @param {string} targetPath - Where to write the clean copy; its extension picks the container
+ */
+exports.remuxWithoutMetadata = (sourcePath, targetPath) => run(ffmpegPath, [
+  '-v', 'error',
+  '-i', sourcePath,
+  // Only picture and sound; data tracks (timecodes, GPS) are dropped too
+  '-map', '0:v',
+  '-map', '0:a?',
+  '-map_metadata', '-1',
+  '-c', 'copy',
+  targetPath
+]);